@@ -4,18 +4,128 @@
  * Handles image loading, color detection, and OTBM generation.
  */
 
+// Item attributes that can be set per color (keys match OTBM_ITEM_ATTRIBUTES)
+const COLOR_ITEM_ATTRIBUTES = [
+	{ key: 'actionId', label: 'Action ID', short: 'AID', type: 'number', min: 1, max: 65535 },
+	{ key: 'uniqueId', label: 'Unique ID', short: 'UID', type: 'number', min: 1, max: 65535 },
+	{ key: 'count', label: 'Count', short: 'Count', type: 'number', min: 1, max: 255 },
+	{ key: 'text', label: 'Text', short: 'Text', type: 'text' },
+	{ key: 'description', label: 'Description', short: 'Desc', type: 'text' },
+	{ key: 'teleportDestination', label: 'Teleport to', short: 'Tele', type: 'position' },
+	{ key: 'doorId', label: 'Door ID', short: 'Door', type: 'number', min: 1, max: 255 },
+	{ key: 'depotId', label: 'Depot ID', short: 'Depot', type: 'number', min: 1, max: 65535 }
+];
+
+// Maximum number of items stacked on top of a color's ground
+const MAX_STACKED_ITEMS = 10;
+
+// Limits for weighted ID lists (ground variants, scattered decorations)
+const MAX_WEIGHTED_IDS = 16;
+const MAX_ID_WEIGHT = 1000;
+
+// Maximum free tiles kept between scattered decorations
+const SCATTER_MAX_SPACING = 10;
+
+// Color of scattered decorations on the preview
+const SCATTER_PREVIEW_COLOR = [255, 255, 255];
+
+// Largest square of tiles a pixel can become, and the largest block of pixels merged into one
+const MAX_SCALE_FACTOR = 8;
+const MAX_DOWNSAMPLE_FACTOR = 16;
+
+// Largest image held in memory as a whole (per side and in total). Larger PNG images (up to
+// the map size) are decoded a strip of rows at a time when they are used (see PNGStripReader),
+// and go to the map in blocks of TILED_BLOCK_SIZE tiles per side
+const MAX_IMAGE_DIMENSION = 4500;
+const MAX_IMAGE_PIXELS = 13500000; // 4500 × 3000 = 13,500,000 pixels - this was tested and it works fine
+const TILED_BLOCK_SIZE = 1024; // A multiple of the 256 tiles of an OTBM tile area
+const TILED_PREVIEW_SIZE = 2048; // Largest side of the preview of an image read in strips
+const MAX_MAP_SIZE = 65535;
+
+// Most colors an image can have, and the palette size suggested when reducing one
+const MAX_IMAGE_COLORS = 256;
+const QUANTIZE_DEFAULT_COLORS = 32;
+
+// Largest color tolerance (ΔE) for matching unassigned colors to assigned ones
+const MAX_COLOR_TOLERANCE = 50;
+
+// Default alpha below which pixels are transparent (alpha bands are in map-generator.js)
+const DEFAULT_ALPHA_THRESHOLD = 128;
+
+// Spawn marker defaults and limits
+const SPAWN_DEFAULT_RADIUS = 3;
+const SPAWN_MAX_RADIUS = 30;
+const SPAWN_DEFAULT_TIME = 60; // seconds
+
+// Tile flags that can be assigned to zone mask colors, in preview overlay priority order
+const ZONE_FLAGS = [
+	{ flag: TILE_FLAG_PROTECTION_ZONE, label: 'PZ', color: [34, 197, 94] },
+	{ flag: TILE_FLAG_PVP_ZONE, label: 'PvP', color: [239, 68, 68] },
+	{ flag: TILE_FLAG_NO_PVP, label: 'No-PvP', color: [59, 130, 246] },
+	{ flag: TILE_FLAG_NO_LOGOUT, label: 'No-logout', color: [245, 158, 11] },
+	{ flag: TILE_FLAG_REFRESH, label: 'Refresh', color: [168, 85, 247] }
+];
+
+// Pixel cleanup: largest island or hole size that can be set, and the color marking changed pixels on the preview
+const CLEANUP_MAX_REGION_SIZE = 1000;
+const CLEANUP_PREVIEW_COLOR = [255, 0, 255];
+
+// Heightmap mode: number of brightness bands (one floor each)
+const HEIGHT_MIN_LEVELS = 2;
+const HEIGHT_MAX_LEVELS = 8;
+
+// Neighbour rules: how many there can be, and the colors marking each rule's tiles on the preview
+const MAX_RULES = 50;
+const RULE_PREVIEW_COLORS = [
+	[236, 72, 153],
+	[14, 165, 233],
+	[234, 179, 8],
+	[16, 185, 129],
+	[249, 115, 22],
+	[139, 92, 246]
+];
+
 class PNGToOTBMApp {
 	constructor() {
 		// State
-		this.image = null;
-		this.imageData = null;
-		this.colorMappings = new Map(); // color hex -> { color, tileId, count }
+		this.image = null; // Image of the floor shown in the preview
+		this.imageData = null; // Pixel data of the floor shown in the preview
+		this.floors = []; // Array of { name, image, imageData, file, preview, z }, all the same size (imageData is null for a tiled image, see _isTiled, which is read in strips from its file and shown from its preview)
+		this.activeFloor = 0; // Index of the floor shown in the preview
+		this.colorMappings = new Map(); // color hex -> { color, tileId, variants, items, scatter, wall, attributes, waypoint, spawn, count }
+		this.similarColors = null; // { tolerance, colors } from _findSimilarColors(), dropped when the mappings change
 		this.transparentPixelCount = 0; // Count of transparent pixels
 		this.filteredColors = null; // Filtered color list for search
 		this.zoomLevel = 1.0; // Current zoom level (1.0 = 100%)
 		this.minZoom = 0.1; // Minimum zoom (10%)
 		this.maxZoom = 20.0; // Maximum zoom (2000%)
 		this.favorites = []; // Array of { id, name } favorite items
+		this.baseMap = null; // Map model from OTBMReader to paste the image into
+		this.baseMapData = null; // Its OTBM file, read again by the map worker (much smaller to send than the model)
+		this.baseMapName = null; // File name of the base map
+		this.zoneMask = null; // { name, width, height, pixels, colors: Map hex -> { hex, rgb, count, flags } }
+		this.zoneOverlay = null; // Canvas with the zones drawn for the preview
+		this.houseMask = null; // { name, width, height, pixels, colors: Map hex -> house }
+		this.houseOverlay = null; // Canvas with the house mask for the preview
+		this.scatterOverlay = null; // Canvas with the scattered decorations of the shown floor
+		this.rules = []; // Array of neighbour rules { name, color, neighbour, sides, min, max, ground, items }
+		this.ruleOverlay = null; // Canvas with the tiles changed by each rule on the shown floor
+		this.ruleCounts = []; // Tiles changed by each rule on the shown floor
+		this.cleanupOverlay = null; // Canvas with the pixels changed by the cleanup passes on the shown floor
+		this.towns = []; // Array of { id, name, temple: { x, y, z } }
+		this.waypoints = []; // Array of { name, position: { x, y, z } }
+		this.borderMaterials = null; // { borders, brushes } read from RME material files (see parseMaterialsXml)
+		this.wallBrushes = []; // Array of { name, types } read from RME walls.xml (see parseWallsXml)
+		this.positionPicker = null; // { target, description, onPick } while a map position is picked on the preview
+		this.cropMode = false; // The next rectangle drawn on the preview crops the image
+		this.cropSelection = null; // { startX, startY, endX, endY, dragging } in image pixels while cropping
+		this.cropPointerDown = false; // The mouse was pressed to draw a crop rectangle (its click is ignored)
+		this.quantizedFloors = null; // Array of { image, imageData } per floor while a palette reduction is previewed
+		this.quantizeRequired = false; // The floors have too many colors to be used without reducing them
+		this.colorAnalysis = null; // Token of the color analysis in progress, so a dropped one is ignored
+		this.analysisWorker = null; // Map worker counting the colors
+		this.generationWorker = null; // Map worker generating the map
+		this.workerUnavailable = false; // The map worker can't start here (e.g. opened from file://), so tasks run on the page
 		
 		// DOM Elements
 		this.fileInput = document.getElementById('fileInput');
@@ -31,31 +141,119 @@ class PNGToOTBMApp {
 		this.status = document.getElementById('status');
 		this.clientVersion = document.getElementById('clientVersion');
 		this.transparentTileId = document.getElementById('transparentTileId');
+		this.alphaThreshold = document.getElementById('alphaThreshold');
+		this.alphaBands = document.getElementById('alphaBands');
+		this.colorTolerance = document.getElementById('colorTolerance');
+		this.mergeColorsBtn = document.getElementById('mergeColorsBtn');
 		this.zLevel = document.getElementById('zLevel');
 		this.offsetX = document.getElementById('offsetX');
 		this.offsetY = document.getElementById('offsetY');
+		this.seed = document.getElementById('seed');
+		this.scaleFactor = document.getElementById('scaleFactor');
+		this.downsampleFactor = document.getElementById('downsampleFactor');
+		this.newSeedBtn = document.getElementById('newSeedBtn');
 		this.colorSearch = document.getElementById('colorSearch');
 		this.exportMappingsBtn = document.getElementById('exportMappingsBtn');
 		this.importMappingsBtn = document.getElementById('importMappingsBtn');
 		this.progressContainer = document.getElementById('progressContainer');
 		this.progressFill = document.getElementById('progressFill');
 		this.progressText = document.getElementById('progressText');
+		this.cancelGenerateBtn = document.getElementById('cancelGenerateBtn');
 		this.zoomInBtn = document.getElementById('zoomInBtn');
 		this.zoomOutBtn = document.getElementById('zoomOutBtn');
 		this.zoomFitBtn = document.getElementById('zoomFitBtn');
+		this.rotateLeftBtn = document.getElementById('rotateLeftBtn');
+		this.rotateRightBtn = document.getElementById('rotateRightBtn');
+		this.rotate180Btn = document.getElementById('rotate180Btn');
+		this.flipHorizontalBtn = document.getElementById('flipHorizontalBtn');
+		this.flipVerticalBtn = document.getElementById('flipVerticalBtn');
+		this.cropBtn = document.getElementById('cropBtn');
+		this.reduceColorsBtn = document.getElementById('reduceColorsBtn');
+		this.quantizeBar = document.getElementById('quantizeBar');
+		this.quantizeInfo = document.getElementById('quantizeInfo');
+		this.quantizeColors = document.getElementById('quantizeColors');
+		this.quantizeMethod = document.getElementById('quantizeMethod');
+		this.quantizeDither = document.getElementById('quantizeDither');
+		this.quantizeShowToggle = document.getElementById('quantizeShowToggle');
+		this.applyQuantizeBtn = document.getElementById('applyQuantizeBtn');
+		this.cancelQuantizeBtn = document.getElementById('cancelQuantizeBtn');
+		this.floorSelect = document.getElementById('floorSelect');
+		this.floorInput = document.getElementById('floorInput');
+		this.addFloorBtn = document.getElementById('addFloorBtn');
+		this.removeFloorBtn = document.getElementById('removeFloorBtn');
+		this.showFloorBelowToggle = document.getElementById('showFloorBelowToggle');
+		this.showScatterToggle = document.getElementById('showScatterToggle');
 		this.zoomLevelDisplay = document.getElementById('zoomLevel');
 		this.pixelInfo = document.getElementById('pixelInfo');
 		this.addFavoriteBtn = document.getElementById('addFavoriteBtn');
 		this.favoritesList = document.getElementById('favoritesList');
 		this.favoritesEmptyState = document.getElementById('favoritesEmptyState');
+		this.baseMapInput = document.getElementById('baseMapInput');
+		this.loadBaseMapBtn = document.getElementById('loadBaseMapBtn');
+		this.clearBaseMapBtn = document.getElementById('clearBaseMapBtn');
+		this.baseMapInfo = document.getElementById('baseMapInfo');
+		this.conflictPolicy = document.getElementById('conflictPolicy');
+		this.zoneMaskInput = document.getElementById('zoneMaskInput');
+		this.loadZoneMaskBtn = document.getElementById('loadZoneMaskBtn');
+		this.clearZoneMaskBtn = document.getElementById('clearZoneMaskBtn');
+		this.zoneMaskInfo = document.getElementById('zoneMaskInfo');
+		this.showZonesToggle = document.getElementById('showZonesToggle');
+		this.zoneList = document.getElementById('zoneList');
+		this.houseMaskInput = document.getElementById('houseMaskInput');
+		this.loadHouseMaskBtn = document.getElementById('loadHouseMaskBtn');
+		this.clearHouseMaskBtn = document.getElementById('clearHouseMaskBtn');
+		this.houseMaskInfo = document.getElementById('houseMaskInfo');
+		this.showHousesToggle = document.getElementById('showHousesToggle');
+		this.houseList = document.getElementById('houseList');
+		this.townInfo = document.getElementById('townInfo');
+		this.addTownBtn = document.getElementById('addTownBtn');
+		this.townList = document.getElementById('townList');
+		this.waypointInfo = document.getElementById('waypointInfo');
+		this.addWaypointBtn = document.getElementById('addWaypointBtn');
+		this.waypointList = document.getElementById('waypointList');
+		this.spawnInfo = document.getElementById('spawnInfo');
+		this.separateNpcFile = document.getElementById('separateNpcFile');
+		this.borderInfo = document.getElementById('borderInfo');
+		this.borderFilesInput = document.getElementById('borderFilesInput');
+		this.loadBorderFilesBtn = document.getElementById('loadBorderFilesBtn');
+		this.clearBorderFilesBtn = document.getElementById('clearBorderFilesBtn');
+		this.autoBorders = document.getElementById('autoBorders');
+		this.wallInfo = document.getElementById('wallInfo');
+		this.wallFilesInput = document.getElementById('wallFilesInput');
+		this.loadWallFilesBtn = document.getElementById('loadWallFilesBtn');
+		this.clearWallFilesBtn = document.getElementById('clearWallFilesBtn');
+		this.ruleInfo = document.getElementById('ruleInfo');
+		this.rulesInput = document.getElementById('rulesInput');
+		this.applyRulesBtn = document.getElementById('applyRulesBtn');
+		this.showRulesToggle = document.getElementById('showRulesToggle');
+		this.ruleList = document.getElementById('ruleList');
+		this.cleanupInfo = document.getElementById('cleanupInfo');
+		this.islandSize = document.getElementById('islandSize');
+		this.holeSize = document.getElementById('holeSize');
+		this.majorityFilter = document.getElementById('majorityFilter');
+		this.showCleanupToggle = document.getElementById('showCleanupToggle');
+		this.heightmapInfo = document.getElementById('heightmapInfo');
+		this.heightmapMode = document.getElementById('heightmapMode');
+		this.heightLevels = document.getElementById('heightLevels');
+		this.heightFillId = document.getElementById('heightFillId');
+		this.cliffItemId = document.getElementById('cliffItemId');
 		
 		// Canvas context
 		this.ctx = this.previewCanvas.getContext('2d');
 		
 		// Initialize
 		this._populateClientVersions();
+		this.seed.value = createSeed(); // Replaced by the saved seed, if any
 		this._loadSettings();
 		this._loadFavorites();
+		this._loadTowns();
+		this._loadWaypoints();
+		this._loadBorderMaterials();
+		this._loadWallBrushes();
+		this._loadRules();
+		this._buildCleanupOverlay();
+		this._updateHeightmapInfo();
+		this._updateFloorControls();
 		this._bindEvents();
 	}
 	
@@ -116,14 +314,16 @@ class PNGToOTBMApp {
 			e.preventDefault();
 			this.previewContainer.classList.remove('drag-over');
 			
-			const file = e.dataTransfer.files[0];
-			if (file && file.type.startsWith('image/')) {
-				this._loadImage(file);
+			// Several images are loaded as a stack of floors
+			const files = [...e.dataTransfer.files].filter(file => file.type.startsWith('image/'));
+			if (files.length > 0) {
+				this._loadFloors(files, true);
 			}
 		});
 		
 		// Generate button
 		this.generateBtn.addEventListener('click', () => this._generateOTBM());
+		this.cancelGenerateBtn.addEventListener('click', () => this._cancelGeneration());
 		
 		// Color search
 		this.colorSearch.addEventListener('input', () => this._filterColors());
@@ -131,25 +331,218 @@ class PNGToOTBMApp {
 		// Export/Import mappings
 		this.exportMappingsBtn.addEventListener('click', () => this._exportMappings());
 		this.importMappingsBtn.addEventListener('click', () => this._importMappings());
+		this.mergeColorsBtn.addEventListener('click', () => this._mergeSimilarColors());
 		
 		// Favorites
 		this.addFavoriteBtn.addEventListener('click', () => this._showAddFavoriteDialog());
 		
+		// Base map
+		this.loadBaseMapBtn.addEventListener('click', () => this.baseMapInput.click());
+		this.baseMapInput.addEventListener('change', (e) => {
+			const file = e.target.files[0];
+			if (file) {
+				this._loadBaseMap(file);
+			}
+			// Allow re-selecting the same file
+			e.target.value = '';
+		});
+		this.clearBaseMapBtn.addEventListener('click', () => this._clearBaseMap());
+		
+		// Zone mask
+		this.loadZoneMaskBtn.addEventListener('click', () => this.zoneMaskInput.click());
+		this.zoneMaskInput.addEventListener('change', (e) => {
+			const file = e.target.files[0];
+			if (file) {
+				this._loadZoneMask(file);
+			}
+			e.target.value = '';
+		});
+		this.clearZoneMaskBtn.addEventListener('click', () => this._clearZoneMask());
+		this.showZonesToggle.addEventListener('change', () => {
+			this._saveSettings();
+			this._updatePreview();
+		});
+		
+		// House mask
+		this.loadHouseMaskBtn.addEventListener('click', () => this.houseMaskInput.click());
+		this.houseMaskInput.addEventListener('change', (e) => {
+			const file = e.target.files[0];
+			if (file) {
+				this._loadHouseMask(file);
+			}
+			e.target.value = '';
+		});
+		this.clearHouseMaskBtn.addEventListener('click', () => this._clearHouseMask());
+		this.showHousesToggle.addEventListener('change', () => {
+			this._saveSettings();
+			this._updatePreview();
+		});
+		
+		// Towns
+		this.addTownBtn.addEventListener('click', () => this._addTown());
+		
+		// Waypoints
+		this.addWaypointBtn.addEventListener('click', () => this._addWaypoint());
+		
+		// Spawns
+		this.separateNpcFile.addEventListener('change', () => this._saveSettings());
+		
+		// Borders
+		this.loadBorderFilesBtn.addEventListener('click', () => this.borderFilesInput.click());
+		this.borderFilesInput.addEventListener('change', (e) => {
+			const files = [...e.target.files];
+			if (files.length > 0) {
+				this._loadBorderFiles(files);
+			}
+			e.target.value = '';
+		});
+		this.clearBorderFilesBtn.addEventListener('click', () => this._clearBorderMaterials());
+		this.autoBorders.addEventListener('change', () => this._saveSettings());
+		
+		// Walls
+		this.loadWallFilesBtn.addEventListener('click', () => this.wallFilesInput.click());
+		this.wallFilesInput.addEventListener('change', (e) => {
+			const files = [...e.target.files];
+			if (files.length > 0) {
+				this._loadWallFiles(files);
+			}
+			e.target.value = '';
+		});
+		this.clearWallFilesBtn.addEventListener('click', () => this._clearWallBrushes());
+		
+		// Pixel cleanup
+		for (const input of [this.islandSize, this.holeSize, this.majorityFilter]) {
+			input.addEventListener('change', () => {
+				this._setCleanupSettings(this._getCleanupSettings());
+				this._saveSettings();
+				this._buildCleanupOverlay();
+				this._updatePreview();
+			});
+		}
+		this.showCleanupToggle.addEventListener('change', () => {
+			this._saveSettings();
+			this._buildCleanupOverlay();
+			this._updatePreview();
+		});
+		
+		// Heightmap
+		for (const input of [this.heightmapMode, this.heightLevels, this.heightFillId, this.cliffItemId]) {
+			input.addEventListener('change', () => {
+				this._sanitizeHeightmapSettings();
+				this._saveSettings();
+				this._updateHeightmapInfo();
+			});
+		}
+		
+		// Neighbour rules
+		this.applyRulesBtn.addEventListener('click', () => this._applyRules());
+		this.showRulesToggle.addEventListener('change', () => {
+			this._saveSettings();
+			this._updatePreview();
+		});
+		
 		// Settings change handlers (for localStorage)
 		this.clientVersion.addEventListener('change', () => this._saveSettings());
 		this.transparentTileId.addEventListener('change', () => this._saveSettings());
-		this.zLevel.addEventListener('change', () => this._saveSettings());
-		this.offsetX.addEventListener('change', () => this._saveSettings());
-		this.offsetY.addEventListener('change', () => this._saveSettings());
+		for (const input of [this.alphaThreshold, this.alphaBands]) {
+			input.addEventListener('change', () => {
+				this.alphaThreshold.value = this._getAlphaThreshold();
+				this._saveSettings();
+				// Pixels change between transparent, opaque and band colors
+				if (this.image) {
+					this._setActiveFloor(this.activeFloor);
+					this._analyzeColors();
+				}
+			});
+		}
+		this.colorTolerance.addEventListener('change', () => {
+			this.colorTolerance.value = this._getColorTolerance();
+			this._saveSettings();
+		});
+		this.zLevel.addEventListener('change', () => {
+			this._setActiveFloorZ(this.zLevel.value);
+			this._saveSettings();
+			this._updateHeightmapInfo();
+		});
+		this.offsetX.addEventListener('change', () => {
+			this._saveSettings();
+			this._updateScatterPreview();
+		});
+		this.offsetY.addEventListener('change', () => {
+			this._saveSettings();
+			this._updateScatterPreview();
+		});
+		this.scaleFactor.addEventListener('change', () => {
+			this.scaleFactor.value = this._getScaleFactor();
+			this._saveSettings();
+			this._updateScatterPreview();
+		});
+		this.downsampleFactor.addEventListener('change', () => {
+			this.downsampleFactor.value = this._getDownsampleFactor();
+			this._saveSettings();
+		});
+		this.seed.addEventListener('change', () => {
+			this.seed.value = this._sanitizeSeed(this.seed.value);
+			this._saveSettings();
+			this._updateScatterPreview();
+		});
+		this.newSeedBtn.addEventListener('click', () => {
+			this.seed.value = createSeed();
+			this._saveSettings();
+			this._updateScatterPreview();
+			this._updateStatus(`New seed: ${this.seed.value}`, 'success');
+		});
+		this.conflictPolicy.addEventListener('change', () => this._saveSettings());
 		
 		// Keyboard shortcuts
 		document.addEventListener('keydown', (e) => this._handleKeyboard(e));
 		
+		// Floors
+		this.floorSelect.addEventListener('change', () => this._setActiveFloor(parseInt(this.floorSelect.value)));
+		this.addFloorBtn.addEventListener('click', () => this.floorInput.click());
+		this.floorInput.addEventListener('change', (e) => {
+			const files = [...e.target.files];
+			if (files.length > 0) {
+				this._loadFloors(files, false);
+			}
+			e.target.value = '';
+		});
+		this.removeFloorBtn.addEventListener('click', () => this._removeActiveFloor());
+		this.showFloorBelowToggle.addEventListener('change', () => {
+			this._saveSettings();
+			this._updatePreview();
+		});
+		this.showScatterToggle.addEventListener('change', () => {
+			this._saveSettings();
+			this._updateScatterPreview();
+		});
+		
 		// Zoom controls
 		this.zoomInBtn.addEventListener('click', () => this._zoomIn());
 		this.zoomOutBtn.addEventListener('click', () => this._zoomOut());
 		this.zoomFitBtn.addEventListener('click', () => this._zoomFit());
 		
+		// Image transforms (all floors and the masks)
+		this.rotateLeftBtn.addEventListener('click', () => this._transformImage({ type: 'rotateLeft' }));
+		this.rotateRightBtn.addEventListener('click', () => this._transformImage({ type: 'rotateRight' }));
+		this.rotate180Btn.addEventListener('click', () => this._transformImage({ type: 'rotate180' }));
+		this.flipHorizontalBtn.addEventListener('click', () => this._transformImage({ type: 'flipHorizontal' }));
+		this.flipVerticalBtn.addEventListener('click', () => this._transformImage({ type: 'flipVertical' }));
+		this.cropBtn.addEventListener('click', () => this._setCropMode(!this.cropMode));
+		
+		// Palette reduction
+		this.reduceColorsBtn.addEventListener('click', () => this._openQuantize());
+		for (const input of [this.quantizeColors, this.quantizeMethod, this.quantizeDither]) {
+			input.addEventListener('change', () => this._updateQuantizePreview());
+		}
+		this.quantizeShowToggle.addEventListener('change', () => this._updatePreview());
+		this.applyQuantizeBtn.addEventListener('click', () => this._applyQuantize());
+		this.cancelQuantizeBtn.addEventListener('click', () => this._cancelQuantize());
+		this.previewCanvas.addEventListener('pointerdown', (e) => this._startCropSelection(e));
+		this.previewCanvas.addEventListener('pointermove', (e) => this._updateCropSelection(e));
+		this.previewCanvas.addEventListener('pointerup', () => this._finishCropSelection());
+		this.previewCanvas.addEventListener('pointercancel', () => this._cancelCropSelection());
+		
 		// Mouse wheel zoom (scroll up/down to zoom)
 		this.previewContainer.addEventListener('wheel', (e) => {
 			if (this.image) {
@@ -184,68 +577,343 @@ class PNGToOTBMApp {
 	 * Handle file selection
 	 */
 	_handleFileSelect(event) {
-		const file = event.target.files[0];
-		if (file) {
-			this._loadImage(file);
+		const files = [...event.target.files];
+		if (files.length > 0) {
+			this._loadFloors(files, true);
 		}
+		// Allow re-selecting the same files
+		event.target.value = '';
 	}
 	
 	/**
-	 * Load an image file
+	 * Load PNG floors. Replacing starts a new stack at the Z-level setting;
+	 * otherwise the floors are added above the highest floor.
+	 * Each following file goes one floor up (Z - 1).
+	 * @param {File[]} files - Image files, one per floor
+	 * @param {boolean} replace - Replace the current floors instead of adding to them
 	 */
-	_loadImage(file) {
-		const reader = new FileReader();
+	_loadFloors(files, replace) {
+		const loaded = [];
 		
-		reader.onload = (e) => {
-			const img = new Image();
+		const loadNext = (index) => {
+			if (index === files.length) {
+				this._addFloors(loaded, replace);
+				return;
+			}
 			
-			img.onload = () => {
-				// Check image complexity before processing
-				const complexityCheck = this._checkImageComplexity(img.width, img.height);
+			const file = files[index];
+			this._readImageFile(file, ({ image, imageData, file: source }) => {
+				// Check image complexity before processing: PNG images too large to hold at once are
+				// read in strips instead, unless they are downsampled
+				const factor = this._getDownsampleFactor();
+				const width = imageData ? imageData.width : Math.ceil(image.width / factor);
+				const height = imageData ? imageData.height : Math.ceil(image.height / factor);
+				const complexityCheck = imageData || factor > 1
+					? this._checkImageComplexity(width, height)
+					: this._checkTiledImage(width, height, replace && files.length === 1, Boolean(source));
 				if (!complexityCheck.valid) {
-					this._updateStatus(complexityCheck.error, 'error');
-					this.image = null;
-					this.imageData = null;
-					this.colorMappings.clear();
-					this.filteredColors = null;
-					this.colorSearch.value = '';
-					this._buildColorList();
-					this.generateBtn.disabled = true;
-					// Reset preview
-					this.previewPlaceholder.style.display = 'block';
-					this.previewCanvas.classList.remove('visible');
-					this.imageInfo.textContent = 'No image loaded';
+					const needed = imageData || factor > 1 || !source ? this._findDownsampleFactor(width * factor, height * factor) : null;
+					this._updateStatus(needed
+						? `${complexityCheck.error} Or set Downsample to ${needed} and import it again.`
+						: complexityCheck.error, 'error');
+					if (replace) {
+						this._clearImage();
+					}
+					return;
+				}
+				
+				// All floors share the offset, so they must line up
+				const reference = (replace ? loaded[0] : this.floors[0]) || null;
+				if (reference && (width !== reference.image.width || height !== reference.image.height)) {
+					this._updateStatus(`Floor ${file.name} is ${width} × ${height} px but the other floors are ${reference.image.width} × ${reference.image.height} px`, 'error');
+					return;
+				}
+				
+				const floor = { name: file.name, image, imageData, file: source || null, preview: null, z: 0 };
+				loaded.push(floor);
+				if (imageData) {
+					loadNext(index + 1);
 					return;
 				}
 				
-			this.image = img;
+				// An image read in strips is shown from a smaller copy, read once up front
+				this._readTiledPreview(floor, (percent) => {
+					this._updateStatus(`Reading ${file.name}... ${percent}%`, '');
+				}).then(() => loadNext(index + 1), (error) => {
+					this._updateStatus(`Failed to load image: ${file.name}: ${error.message}`, 'error');
+					if (replace) {
+						this._clearImage();
+					}
+				});
+			});
+		};
+		
+		loadNext(0);
+	}
+	
+	/**
+	 * Add loaded floors to the stack and analyze the colors of all floors
+	 */
+	_addFloors(loaded, replace) {
+		if (replace) {
+			let z = Math.max(0, Math.min(15, parseInt(this.zLevel.value) || 7));
+			for (const floor of loaded) {
+				floor.z = z;
+				z = Math.max(0, z - 1);
+			}
+			this.floors = loaded;
+		} else {
+			for (const floor of loaded) {
+				floor.z = this._nextFreeFloor();
+				this.floors.push(floor);
+			}
+		}
+		
+		const image = this.floors[0].image;
+		if (replace) {
 			// Calculate initial zoom to fit container
 			const containerRect = this.previewContainer.getBoundingClientRect();
 			const maxWidth = containerRect.width - 32;
 			const maxHeight = containerRect.height - 32;
 			const fitScale = Math.min(
-				maxWidth / img.width,
-				maxHeight / img.height,
+				maxWidth / image.width,
+				maxHeight / image.height,
 				1.0 // Don't zoom in beyond 100% initially
 			);
 			this.zoomLevel = Math.max(fitScale, this.minZoom);
-				this._updatePreview();
-				// Analyze colors - this will show error if too complex
-				const colorAnalysisResult = this._analyzeColors();
-				// Only show success if color analysis passed
-				if (colorAnalysisResult && colorAnalysisResult.success) {
-					this._updateStatus(`Loaded: ${file.name}`, 'success');
+		}
+		
+		this._setActiveFloor(replace ? 0 : this.floors.length - 1);
+		this._updateZoneInfo();
+		this._buildTownList();
+		this._buildWaypointList();
+		this._buildHouseList();
+		
+		// Analyze colors - this will show error if too complex
+		this._analyzeColors(result => {
+			// Only show success if color analysis passed
+			if (result.success) {
+				const names = loaded.map(floor => floor.name).join(', ');
+				this._updateStatus(loaded.length === 1 ? `Loaded: ${names}` : `Loaded ${loaded.length} floors: ${names}`, 'success');
+			}
+		});
+	}
+	
+	/**
+	 * Z-level for a new floor: one above the highest floor, or below the lowest if floor 0 is taken
+	 */
+	_nextFreeFloor() {
+		const used = new Set(this.floors.map(floor => floor.z));
+		for (let z = Math.min(...used) - 1; z >= 0; z--) {
+			if (!used.has(z)) return z;
+		}
+		for (let z = Math.max(...used) + 1; z <= 15; z++) {
+			if (!used.has(z)) return z;
+		}
+		return 0;
+	}
+	
+	/**
+	 * Show a floor in the preview; the Z-level setting edits the shown floor
+	 */
+	_setActiveFloor(index) {
+		this.activeFloor = index;
+		const floor = this.floors[index];
+		this.image = floor.image;
+		this.imageData = floor.imageData;
+		this.zLevel.value = floor.z;
+		this._updateFloorControls();
+		this._buildRuleOverlay();
+		this._buildCleanupOverlay();
+		this._updateHeightmapInfo();
+		this._updateScatterPreview();
+	}
+	
+	/**
+	 * Remove the floor shown in the preview
+	 */
+	_removeActiveFloor() {
+		if (this.floors.length < 2) return;
+		
+		const [removed] = this.floors.splice(this.activeFloor, 1);
+		this._setActiveFloor(Math.min(this.activeFloor, this.floors.length - 1));
+		this._analyzeColors();
+		this._updateStatus(`Removed floor ${removed.z}: ${removed.name}`, 'success');
+	}
+	
+	/**
+	 * Set the Z-level of the floor shown in the preview
+	 */
+	_setActiveFloorZ(value) {
+		const floor = this.floors[this.activeFloor];
+		if (!floor) return;
+		
+		floor.z = Math.max(0, Math.min(15, parseInt(value) || 0));
+		this.zLevel.value = floor.z;
+		this._updateFloorControls();
+		this._updateScatterPreview();
+	}
+	
+	/**
+	 * Check that no two floors share a Z-level
+	 * @returns {string|null} Error message, or null if the floors are valid
+	 */
+	_validateFloors() {
+		const names = new Map();
+		for (const floor of this.floors) {
+			if (names.has(floor.z)) {
+				return `Floors ${names.get(floor.z)} and ${floor.name} both use Z-level ${floor.z}`;
+			}
+			names.set(floor.z, floor.name);
+		}
+		return null;
+	}
+	
+	/**
+	 * Update the floor selector and buttons
+	 */
+	_updateFloorControls() {
+		this.floorSelect.innerHTML = '';
+		this.floors.forEach((floor, index) => {
+			const option = document.createElement('option');
+			option.value = index;
+			option.textContent = `Floor ${floor.z} — ${floor.name}`;
+			this.floorSelect.appendChild(option);
+		});
+		this.floorSelect.value = this.activeFloor;
+		this.floorSelect.disabled = this.floors.length === 0;
+		this.removeFloorBtn.disabled = this.floors.length < 2;
+		// A tiled image is never whole in memory, so it can't be edited or stacked
+		const tiled = this._isTiled();
+		for (const button of [this.addFloorBtn, this.rotateLeftBtn, this.rotateRightBtn, this.rotate180Btn, this.flipHorizontalBtn, this.flipVerticalBtn, this.cropBtn, this.reduceColorsBtn]) {
+			button.disabled = this.floors.length === 0 || tiled;
+		}
+		this.floorSelect.classList.toggle('error', this._validateFloors() !== null);
+	}
+	
+	/**
+	 * Remove all floors (e.g. after an image was rejected)
+	 */
+	_clearImage() {
+		this._stopColorAnalysis();
+		this._finishGeneration();
+		this.floors = [];
+		this.activeFloor = 0;
+		this.image = null;
+		this.imageData = null;
+		this.colorMappings.clear();
+		this.similarColors = null;
+		this.filteredColors = null;
+		this.colorSearch.value = '';
+		this._buildColorList();
+		this.colorCount.textContent = '0 colors';
+		this._updateFloorControls();
+		this._closeQuantize();
+		this.generateBtn.disabled = true;
+		// Reset preview
+		this.previewPlaceholder.style.display = 'block';
+		this.previewCanvas.classList.remove('visible');
+		this.imageInfo.textContent = 'No image loaded';
+	}
+	
+	/**
+	 * Downsample an image too large to draw into one canvas, a block of pixels at a time
+	 * (see _downsampleImage)
+	 * @param {HTMLImageElement} image - Full size image
+	 * @param {number} factor - Block size
+	 * @returns {Object} { image, imageData } with a canvas as the image to draw
+	 */
+	_downsampleImageInBlocks(image, factor) {
+		const width = Math.ceil(image.width / factor);
+		const height = Math.ceil(image.height / factor);
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		const ctx = canvas.getContext('2d');
+		const result = ctx.createImageData(width, height);
+		
+		// Each read covers whole merged blocks, so none is split between reads
+		const size = factor * Math.max(1, Math.floor(TILED_BLOCK_SIZE / factor));
+		for (let y = 0; y < image.height; y += size) {
+			for (let x = 0; x < image.width; x += size) {
+				const blockWidth = Math.min(size, image.width - x);
+				const blockHeight = Math.min(size, image.height - y);
+				const pixels = this._readImageBlock(image, x, y, blockWidth, blockHeight);
+				const block = this._downsampleImage({ width: blockWidth, height: blockHeight, data: pixels }, factor).imageData;
+				for (let row = 0; row < block.height; row++) {
+					const start = row * block.width * 4;
+					result.data.set(block.data.subarray(start, start + block.width * 4), ((y / factor + row) * width + x / factor) * 4);
 				}
-			};
-			
-			img.onerror = () => {
-				this._updateStatus('Failed to load image', 'error');
-			};
-			
-			img.src = e.target.result;
-		};
+			}
+		}
+		
+		ctx.putImageData(result, 0, 0);
+		return { image: canvas, imageData: result };
+	}
+	
+	/**
+	 * Downsample a PNG image too large to decode at once, a strip of rows at a time
+	 * (see _downsampleImage)
+	 * @param {File} file - PNG file
+	 * @param {Object} header - Its size { width, height } (see PNGStripReader.readHeader)
+	 * @param {number} factor - Block size
+	 * @returns {Promise<Object>} { image, imageData } with a canvas as the image to draw
+	 */
+	async _downsampleImageInStrips(file, header, factor) {
+		const width = Math.ceil(header.width / factor);
+		const height = Math.ceil(header.height / factor);
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		const ctx = canvas.getContext('2d');
+		const result = ctx.createImageData(width, height);
 		
-		reader.readAsDataURL(file);
+		// Each strip holds whole rows of merged blocks
+		const reader = new PNGStripReader(file);
+		const size = factor * Math.max(1, Math.floor(TILED_BLOCK_SIZE / factor));
+		for (let y = 0; y < header.height; y += size) {
+			const rows = Math.min(size, header.height - y);
+			const pixels = await reader.readStrip(y, rows);
+			const strip = this._downsampleImage({ width: header.width, height: rows, data: pixels }, factor).imageData;
+			result.data.set(strip.data, (y / factor) * width * 4);
+		}
+		
+		ctx.putImageData(result, 0, 0);
+		return { image: canvas, imageData: result };
+	}
+	
+	/**
+	 * Make the preview of a floor read in strips: every nth pixel of every nth row, so that it is
+	 * at most TILED_PREVIEW_SIZE px per side. The pixel info on hover reads it too.
+	 * @param {Object} floor - Floor read in strips (see this.floors); its preview is set
+	 * @param {Function} onProgress - Called with the percent of the image read
+	 * @returns {Promise} Resolves once the preview is set
+	 */
+	async _readTiledPreview(floor, onProgress) {
+		const { width, height } = floor.image;
+		const factor = Math.ceil(Math.max(width, height) / TILED_PREVIEW_SIZE);
+		const canvas = document.createElement('canvas');
+		canvas.width = Math.ceil(width / factor);
+		canvas.height = Math.ceil(height / factor);
+		const ctx = canvas.getContext('2d');
+		const imageData = ctx.createImageData(canvas.width, canvas.height);
+		
+		const reader = new PNGStripReader(floor.file);
+		for (let row = 0; row < canvas.height; row++) {
+			const pixels = await reader.readStrip(row * factor, 1);
+			for (let x = 0; x < canvas.width; x++) {
+				const i = x * factor * 4;
+				imageData.data.set(pixels.subarray(i, i + 4), (row * canvas.width + x) * 4);
+			}
+			// Let the page show the progress
+			if (row % 64 === 63) {
+				onProgress(Math.floor((row + 1) * 100 / canvas.height));
+				await new Promise(resolve => setTimeout(resolve));
+			}
+		}
+		
+		ctx.putImageData(imageData, 0, 0);
+		floor.preview = { image: canvas, imageData, factor };
 	}
 	
 	/**
@@ -255,23 +923,21 @@ class PNGToOTBMApp {
 	 * @returns {Object} { valid: boolean, error: string }
 	 */
 	_checkImageComplexity(width, height) {
-		const MAX_DIMENSION = 4500; // Maximum width or height
-		const MAX_TOTAL_PIXELS = 13500000; // 4500 × 3000 = 13,500,000 pixels - this was tested and it works fine
 		const totalPixels = width * height;
 		
 		// Check dimensions
-		if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+		if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION) {
 			return {
 				valid: false,
-				error: `Image too large: ${width} × ${height} px. Maximum dimension: ${MAX_DIMENSION} px. Please reduce the image size.`
+				error: `Image too large: ${width} × ${height} px. Maximum dimension: ${MAX_IMAGE_DIMENSION} px. Please reduce the image size.`
 			};
 		}
 		
 		// Check total pixel count
-		if (totalPixels > MAX_TOTAL_PIXELS) {
+		if (totalPixels > MAX_IMAGE_PIXELS) {
 			return {
 				valid: false,
-				error: `Image too complex: ${totalPixels.toLocaleString()} pixels. Maximum: ${MAX_TOTAL_PIXELS.toLocaleString()} pixels (${MAX_DIMENSION} × ${MAX_DIMENSION}). Please reduce the image size.`
+				error: `Image too complex: ${totalPixels.toLocaleString()} pixels. Maximum: ${MAX_IMAGE_PIXELS.toLocaleString()} pixels (${MAX_IMAGE_DIMENSION} × ${MAX_IMAGE_DIMENSION}). Please reduce the image size.`
 			};
 		}
 		
@@ -279,642 +945,4608 @@ class PNGToOTBMApp {
 	}
 	
 	/**
-	 * Update the preview canvas
+	 * Check if an image too large to hold at once can be read in strips
+	 * @param {number} width - Image width in pixels
+	 * @param {number} height - Image height in pixels
+	 * @param {boolean} single - The image is loaded as the only floor
+	 * @param {boolean} streamed - The image can be decoded in strips (a PNG file without interlacing)
+	 * @returns {Object} { valid: boolean, error: string }
 	 */
-	_updatePreview() {
-		if (!this.image) return;
-		
-		// Hide placeholder, show canvas
-		this.previewPlaceholder.style.display = 'none';
-		this.previewCanvas.classList.add('visible');
-		
-		// Calculate display size based on zoom
-		const displayWidth = Math.floor(this.image.width * this.zoomLevel);
-		const displayHeight = Math.floor(this.image.height * this.zoomLevel);
-		
-		// Set canvas size
-		this.previewCanvas.width = displayWidth;
-		this.previewCanvas.height = displayHeight;
-		
-		// Disable image smoothing for pixel-perfect rendering
-		this.ctx.imageSmoothingEnabled = false;
-		
-		// Draw image
-		this.ctx.drawImage(this.image, 0, 0, displayWidth, displayHeight);
-		
-		// Update info
-		this.imageInfo.textContent = `${this.image.width} × ${this.image.height} px`;
-		
-		// Update zoom level display
-		this._updateZoomDisplay();
+	_checkTiledImage(width, height, single, streamed) {
+		if (!streamed) {
+			return {
+				valid: false,
+				error: `Image too large: ${width} × ${height} px. Images over ${MAX_IMAGE_DIMENSION} px are read in strips, which works only for PNG files without interlacing.`
+			};
+		}
+		if (width > MAX_MAP_SIZE || height > MAX_MAP_SIZE) {
+			return {
+				valid: false,
+				error: `Image too large: ${width} × ${height} px. Maximum dimension: ${MAX_MAP_SIZE} px, the map size limit.`
+			};
+		}
+		if (!single) {
+			return {
+				valid: false,
+				error: `Images over ${MAX_IMAGE_DIMENSION} px are read in strips and can only be imported on their own, as a single floor.`
+			};
+		}
+		return { valid: true, error: null };
 	}
 	
 	/**
-	 * Zoom in
+	 * The loaded image is too large to hold at once: it is read in strips when it is
+	 * analyzed or converted, and the tools that need all its pixels are not available
 	 */
-	_zoomIn() {
-		if (!this.image) return;
-		// Allow zooming up to maxZoom regardless of container size
-		const newZoom = this.zoomLevel * 1.2;
-		this.zoomLevel = Math.min(newZoom, this.maxZoom);
-		this._updatePreview();
+	_isTiled() {
+		return this.floors.length > 0 && !this.floors[0].imageData;
 	}
 	
 	/**
-	 * Zoom out
+	 * Read a rectangle of an image's pixels
+	 * @param {CanvasImageSource} image - Decoded image
+	 * @returns {Uint8ClampedArray} RGBA pixels
 	 */
-	_zoomOut() {
-		if (!this.image) return;
-		// Allow zooming down to minZoom regardless of container size
-		const newZoom = this.zoomLevel / 1.2;
-		this.zoomLevel = Math.max(newZoom, this.minZoom);
-		this._updatePreview();
+	_readImageBlock(image, x, y, width, height) {
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		const ctx = canvas.getContext('2d');
+		ctx.drawImage(image, x, y, width, height, 0, 0, width, height);
+		return ctx.getImageData(0, 0, width, height).data;
 	}
 	
 	/**
-	 * Fit image to container
+	 * Make a reader for the blocks of the floors, enlarged to tiles, for maps made a block at a time.
+	 * Block edges are on multiples of TILED_BLOCK_SIZE on the map, so each block holds whole tile areas.
+	 * Floors held in memory are cut up; a tiled floor (see _isTiled) is decoded from its file, the rows
+	 * of one row of blocks at a time, so its blocks must be read in order.
+	 * @param {Object[]} floors - Floors, all the same size
+	 * @param {number} scale - Tiles per pixel
+	 * @param {number} offX - X offset of the image on the map
+	 * @param {number} offY - Y offset of the image on the map
+	 * @returns {Function} Called with the block index, row by row and floor by floor: returns the block
+	 *   { floor, x, y, width, height, pixels } in tiles (see MapGenerator.addBlock), a Promise of it
+	 *   while its rows are decoded, or null past the last block
 	 */
-	_zoomFit() {
-		if (!this.image) return;
-		const containerRect = this.previewContainer.getBoundingClientRect();
-		const maxWidth = containerRect.width - 32;
-		const maxHeight = containerRect.height - 32;
-		const fitScale = Math.min(
-			maxWidth / this.image.width,
-			maxHeight / this.image.height
-		);
-		this.zoomLevel = Math.max(Math.min(fitScale, 1.0), this.minZoom); // Don't zoom in beyond 100% when fitting, but ensure at least minZoom
-		this._updatePreview();
+	_createBlockReader(floors, scale, offX = 0, offY = 0) {
+		const width = floors[0].image.width;
+		const height = floors[0].image.height;
+		const startX = -(offX % TILED_BLOCK_SIZE); // Image tile of the first block edge (at or before 0)
+		const startY = -(offY % TILED_BLOCK_SIZE);
+		const columns = Math.ceil((width * scale - startX) / TILED_BLOCK_SIZE);
+		const blocksPerFloor = columns * Math.ceil((height * scale - startY) / TILED_BLOCK_SIZE);
+		const readers = floors.map(floor => floor.imageData ? null : new PNGStripReader(floor.file));
+		let strip = null; // Decoded rows of the last row of blocks { floor, y, pixels }
+		
+		return (index) => {
+			const floorIndex = Math.floor(index / blocksPerFloor);
+			if (floorIndex >= floors.length) return null;
+			
+			// The block in tiles, and the pixels it covers (the squares of the ones on its edges may be cut)
+			const blockX = startX + (index % blocksPerFloor % columns) * TILED_BLOCK_SIZE;
+			const blockY = startY + Math.floor(index % blocksPerFloor / columns) * TILED_BLOCK_SIZE;
+			const left = Math.max(0, blockX);
+			const top = Math.max(0, blockY);
+			const tileWidth = Math.min(width * scale, blockX + TILED_BLOCK_SIZE) - left;
+			const tileHeight = Math.min(height * scale, blockY + TILED_BLOCK_SIZE) - top;
+			const x = Math.floor(left / scale);
+			const y = Math.floor(top / scale);
+			const blockWidth = Math.ceil((left + tileWidth) / scale) - x;
+			const blockHeight = Math.ceil((top + tileHeight) / scale) - y;
+			
+			// Cut the block from full rows of the image, starting at row rowsY
+			const cutBlock = (rows, rowsY) => {
+				const pixels = new Uint8ClampedArray(blockWidth * blockHeight * 4);
+				for (let row = 0; row < blockHeight; row++) {
+					const start = ((y - rowsY + row) * width + x) * 4;
+					pixels.set(rows.subarray(start, start + blockWidth * 4), row * blockWidth * 4);
+				}
+				
+				let tiles = this._scaleGrid(pixels, blockWidth, blockHeight, scale, 4);
+				const scaledWidth = blockWidth * scale;
+				if (tileWidth !== scaledWidth || tileHeight !== blockHeight * scale) {
+					const cut = new Uint8ClampedArray(tileWidth * tileHeight * 4);
+					for (let row = 0; row < tileHeight; row++) {
+						const start = ((top - y * scale + row) * scaledWidth + left - x * scale) * 4;
+						cut.set(tiles.subarray(start, start + tileWidth * 4), row * tileWidth * 4);
+					}
+					tiles = cut;
+				}
+				return { floor: floorIndex, x: left, y: top, width: tileWidth, height: tileHeight, pixels: tiles };
+			};
+			
+			const floor = floors[floorIndex];
+			if (floor.imageData) {
+				return cutBlock(floor.imageData.data, 0);
+			}
+			if (strip && strip.floor === floorIndex && strip.y === y) {
+				return cutBlock(strip.pixels, y);
+			}
+			strip = null;
+			return readers[floorIndex].readStrip(y, blockHeight).then((pixels) => {
+				strip = { floor: floorIndex, y, pixels };
+				return cutBlock(pixels, y);
+			});
+		};
 	}
 	
 	/**
-	 * Update zoom level display
+	 * Tiles per pixel setting
+	 * @returns {number} Side of the square of tiles each pixel becomes
 	 */
-	_updateZoomDisplay() {
-		if (this.zoomLevelDisplay) {
-			this.zoomLevelDisplay.textContent = `${Math.round(this.zoomLevel * 100)}%`;
-		}
+	_getScaleFactor() {
+		return Math.max(1, Math.min(MAX_SCALE_FACTOR, parseInt(this.scaleFactor.value) || 1));
 	}
 	
 	/**
-	 * Handle pixel hover to show color and ID info
+	 * Downsample setting for imported images
+	 * @returns {number} Side of the block of pixels merged into one
 	 */
-	_handlePixelHover(e) {
-		if (!this.image || !this.imageData) {
-			this.pixelInfo.style.display = 'none';
-			return;
-		}
-		
-		const rect = this.previewCanvas.getBoundingClientRect();
-		const x = e.clientX - rect.left;
-		const y = e.clientY - rect.top;
-		
-		// Convert canvas coordinates to image coordinates
-		// Safety check: ensure zoomLevel is valid
-		if (!this.zoomLevel || this.zoomLevel <= 0 || isNaN(this.zoomLevel)) {
-			this.zoomLevel = 1.0; // Reset to default
-		}
-		const imageX = Math.floor(x / this.zoomLevel);
-		const imageY = Math.floor(y / this.zoomLevel);
-		
-		// Check bounds
-		if (imageX < 0 || imageX >= this.image.width || imageY < 0 || imageY >= this.image.height) {
-			this.pixelInfo.style.display = 'none';
-			return;
+	_getDownsampleFactor() {
+		return Math.max(1, Math.min(MAX_DOWNSAMPLE_FACTOR, parseInt(this.downsampleFactor.value) || 1));
+	}
+	
+	/**
+	 * Smallest downsample that brings an image within the size limits
+	 * @returns {number|null} Downsample factor, or null if even the largest one isn't enough
+	 */
+	_findDownsampleFactor(width, height) {
+		for (let factor = 2; factor <= MAX_DOWNSAMPLE_FACTOR; factor++) {
+			if (this._checkImageComplexity(Math.ceil(width / factor), Math.ceil(height / factor)).valid) {
+				return factor;
+			}
 		}
+		return null;
+	}
+	
+	/**
+	 * Shrink an image: each factor × factor block becomes one pixel of the block's most common
+	 * color (transparent pixels count as one color, alpha bands as colors of their own), so no
+	 * blended colors are made up
+	 * @param {ImageData} imageData - Full size pixels
+	 * @param {number} factor - Block size
+	 * @returns {Object} { image, imageData } with a canvas as the image to draw
+	 */
+	_downsampleImage(imageData, factor) {
+		const width = Math.ceil(imageData.width / factor);
+		const height = Math.ceil(imageData.height / factor);
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		const ctx = canvas.getContext('2d');
+		const result = ctx.createImageData(width, height);
 		
-		// Get pixel data
-		const pixels = this.imageData.data;
-		const i = (imageY * this.image.width + imageX) * 4;
-		const r = pixels[i];
-		const g = pixels[i + 1];
-		const b = pixels[i + 2];
-		const a = pixels[i + 3];
-		
-		// Build info text
-		let infoText = '';
-		
-		if (a < 128) {
-			// Transparent pixel
-			const transparentId = Math.max(0, Math.min(65535, parseInt(this.transparentTileId.value) || 0));
-			infoText = `Transparent`;
-			if (transparentId > 0) {
-				infoText += `<br>ID: ${transparentId}`;
-			} else {
-				infoText += `<br>ID: 0 (skipped)`;
-			}
-		} else {
-			// Opaque pixel
-			const hex = this._rgbToHex(r, g, b);
-			const mapping = this.colorMappings.get(hex);
-			
-			infoText = `RGB(${r}, ${g}, ${b})<br>Hex: ${hex.toUpperCase()}`;
-			
-			if (mapping) {
-				if (mapping.tileId > 0) {
-					infoText += `<br>ID: ${mapping.tileId}`;
-				} else {
-					infoText += `<br>ID: 0 (not assigned)`;
+		const source = imageData.data;
+		const alpha = this._getAlphaSettings();
+		const counts = new Map();
+		const alphas = new Map(); // key -> alpha of its first pixel in the block
+		for (let by = 0; by < height; by++) {
+			for (let bx = 0; bx < width; bx++) {
+				counts.clear();
+				alphas.clear();
+				let best = -1;
+				let bestCount = 0;
+				const endY = Math.min(imageData.height, (by + 1) * factor);
+				const endX = Math.min(imageData.width, (bx + 1) * factor);
+				for (let y = by * factor; y < endY; y++) {
+					for (let x = bx * factor; x < endX; x++) {
+						const i = (y * imageData.width + x) * 4;
+						const band = this._alphaBand(source[i + 3], alpha);
+						const key = band < 0 ? -1 : (band << 24) | (source[i] << 16) | (source[i + 1] << 8) | source[i + 2];
+						if (!alphas.has(key)) {
+							alphas.set(key, source[i + 3]);
+						}
+						const count = (counts.get(key) || 0) + 1;
+						counts.set(key, count);
+						if (count > bestCount) {
+							best = key;
+							bestCount = count;
+						}
+					}
+				}
+				
+				const o = (by * width + bx) * 4;
+				if (best >= 0) {
+					result.data[o] = (best >> 16) & 255;
+					result.data[o + 1] = (best >> 8) & 255;
+					result.data[o + 2] = best & 255;
+					result.data[o + 3] = best >= 0x1000000 ? alphas.get(best) : 255;
 				}
-				infoText += `<br><small style="opacity: 0.7;">Click to highlight</small>`;
 			}
 		}
 		
-		// Position and show tooltip relative to canvas
-		this.pixelInfo.innerHTML = infoText;
-		this.pixelInfo.style.display = 'block';
-		
-		// Position relative to canvas container
-		const containerRect = this.previewContainer.getBoundingClientRect();
-		let tooltipX = e.clientX - containerRect.left + 15;
-		let tooltipY = e.clientY - containerRect.top + 15;
-		
-		// Get tooltip dimensions (need to measure after display)
-		const tooltipWidth = this.pixelInfo.offsetWidth || 150;
-		const tooltipHeight = this.pixelInfo.offsetHeight || 60;
-		
-		// Adjust if tooltip goes off screen
-		if (tooltipX + tooltipWidth > containerRect.width) {
-			tooltipX = e.clientX - containerRect.left - tooltipWidth - 15;
-		}
-		if (tooltipY + tooltipHeight > containerRect.height) {
-			tooltipY = e.clientY - containerRect.top - tooltipHeight - 15;
-		}
-		
-		this.pixelInfo.style.left = `${tooltipX}px`;
-		this.pixelInfo.style.top = `${tooltipY}px`;
+		ctx.putImageData(result, 0, 0);
+		return { image: canvas, imageData: result };
 	}
 	
 	/**
-	 * Handle pixel click to highlight color in mappings list
+	 * Enlarge a per-pixel grid so each value covers a scale × scale square
+	 * @param {TypedArray|null} values - Grid values, channels per pixel
+	 * @param {number} width - Grid width
+	 * @param {number} height - Grid height
+	 * @param {number} scale - Square side
+	 * @param {number} channels - Values per pixel (4 for RGBA pixels)
+	 * @returns {TypedArray|null} The enlarged grid (the same grid if scale is 1)
 	 */
-	_handlePixelClick(e) {
-		if (!this.image || !this.imageData) return;
-		
-		const rect = this.previewCanvas.getBoundingClientRect();
-		const x = e.clientX - rect.left;
-		const y = e.clientY - rect.top;
-		
-		// Convert canvas coordinates to image coordinates
-		// Safety check: ensure zoomLevel is valid
-		if (!this.zoomLevel || this.zoomLevel <= 0 || isNaN(this.zoomLevel)) {
-			this.zoomLevel = 1.0; // Reset to default
-		}
-		const imageX = Math.floor(x / this.zoomLevel);
-		const imageY = Math.floor(y / this.zoomLevel);
-		
-		// Check bounds
-		if (imageX < 0 || imageX >= this.image.width || imageY < 0 || imageY >= this.image.height) {
-			return;
-		}
+	_scaleGrid(values, width, height, scale, channels = 1) {
+		if (!values || scale === 1) return values;
 		
-		// Get pixel data
-		const pixels = this.imageData.data;
-		const i = (imageY * this.image.width + imageX) * 4;
-		const r = pixels[i];
-		const g = pixels[i + 1];
-		const b = pixels[i + 2];
-		const a = pixels[i + 3];
-		
-		// Skip transparent pixels (can't highlight them in color list)
-		if (a < 128) {
-			this._updateStatus('Transparent pixels cannot be highlighted in color mappings', '');
-			return;
+		const scaledWidth = width * scale;
+		const result = new values.constructor(values.length * scale * scale);
+		for (let y = 0; y < height; y++) {
+			// Build the first row of the square, then copy it down
+			const rowStart = y * scale * scaledWidth * channels;
+			for (let x = 0; x < width; x++) {
+				const pixel = values.subarray((y * width + x) * channels, (y * width + x + 1) * channels);
+				for (let s = 0; s < scale; s++) {
+					result.set(pixel, rowStart + (x * scale + s) * channels);
+				}
+			}
+			const row = result.subarray(rowStart, rowStart + scaledWidth * channels);
+			for (let s = 1; s < scale; s++) {
+				result.set(row, rowStart + s * scaledWidth * channels);
+			}
 		}
-		
-		// Get hex color
-		const hex = this._rgbToHex(r, g, b);
-		
-		// Find and highlight the color row
-		this._highlightColorInList(hex);
+		return result;
 	}
 	
 	/**
-	 * Highlight a color in the color mappings list
+	 * A floor enlarged so each pixel covers scale × scale tiles
+	 * @returns {Object} The floor with enlarged pixel data (the floor itself if scale is 1)
 	 */
-	_highlightColorInList(hex) {
-		// Clear any existing highlights
-		const existingHighlights = this.colorList.querySelectorAll('.color-row.highlighted');
-		existingHighlights.forEach(row => row.classList.remove('highlighted'));
-		
-		// Check if color exists in mappings
-		if (!this.colorMappings.has(hex)) {
-			this._updateStatus('Color not found in mappings list', '');
-			return;
-		}
+	_scaleFloor(floor, scale) {
+		if (scale === 1) return floor;
 		
-		// If search is active, clear it first to show the color
-		const hadSearch = this.colorSearch.value.trim();
-		if (hadSearch) {
-			this.colorSearch.value = '';
-			this._filterColors();
-		}
+		const { width, height, data } = floor.imageData;
+		return {
+			...floor,
+			imageData: { width: width * scale, height: height * scale, data: this._scaleGrid(data, width, height, scale, 4) }
+		};
+	}
+	
+	/**
+	 * Rotate, flip or crop a per-pixel grid
+	 * @param {TypedArray} values - Grid values, channels per pixel
+	 * @param {number} width - Grid width
+	 * @param {number} height - Grid height
+	 * @param {number} channels - Values per pixel (4 for RGBA pixels)
+	 * @param {Object} transform - { type: 'rotateLeft'|'rotateRight'|'rotate180'|'flipHorizontal'|'flipVertical'|'crop', rect }
+	 *   where rect { x, y, width, height } is the kept part when cropping
+	 * @returns {Object} { width, height, data } of the transformed grid
+	 */
+	_transformGrid(values, width, height, channels, transform) {
+		const turned = transform.type === 'rotateLeft' || transform.type === 'rotateRight';
+		const rect = transform.type === 'crop' ? transform.rect : { x: 0, y: 0, width, height };
+		const outWidth = turned ? height : rect.width;
+		const outHeight = turned ? width : rect.height;
+		const data = new values.constructor(outWidth * outHeight * channels);
 		
-		// Find the color row by data attribute (after a brief delay if we cleared search)
-		setTimeout(() => {
-			const colorRow = this.colorList.querySelector(`[data-color-hex="${hex}"]`);
-			
-			if (colorRow) {
-				// Add highlight class
-				colorRow.classList.add('highlighted');
-				
-				// Scroll into view
-				colorRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+		for (let y = 0; y < outHeight; y++) {
+			for (let x = 0; x < outWidth; x++) {
+				let sourceX = rect.x + x;
+				let sourceY = rect.y + y;
+				if (transform.type === 'rotateRight') {
+					sourceX = y;
+					sourceY = height - 1 - x;
+				} else if (transform.type === 'rotateLeft') {
+					sourceX = width - 1 - y;
+					sourceY = x;
+				} else if (transform.type === 'rotate180') {
+					sourceX = width - 1 - x;
+					sourceY = height - 1 - y;
+				} else if (transform.type === 'flipHorizontal') {
+					sourceX = width - 1 - x;
+				} else if (transform.type === 'flipVertical') {
+					sourceY = height - 1 - y;
+				}
 				
-				// Clear highlight after 2 seconds
-				setTimeout(() => {
-					colorRow.classList.remove('highlighted');
-				}, 2000);
-			} else {
-				this._updateStatus('Color not found in mappings list', '');
+				const source = (sourceY * width + sourceX) * channels;
+				data.set(values.subarray(source, source + channels), (y * outWidth + x) * channels);
 			}
-		}, hadSearch ? 150 : 0);
+		}
+		return { width: outWidth, height: outHeight, data };
 	}
 	
 	/**
-	 * Analyze colors in the image
-	 * @returns {Object|null} { success: boolean } or null if no image
+	 * Canvas to draw changed floor pixels with (floors loaded from files keep their image)
+	 * @param {Object} pixels - { width, height, data } with RGBA data
+	 * @returns {Object} { image, imageData } for a floor
 	 */
-	_analyzeColors() {
-		if (!this.image) return null;
-		
-		// Create temporary canvas to read pixel data
-		const tempCanvas = document.createElement('canvas');
-		tempCanvas.width = this.image.width;
-		tempCanvas.height = this.image.height;
-		const tempCtx = tempCanvas.getContext('2d');
-		tempCtx.drawImage(this.image, 0, 0);
-		
-		// Get image data
-		this.imageData = tempCtx.getImageData(0, 0, this.image.width, this.image.height);
-		const pixels = this.imageData.data;
+	_createImage(pixels) {
+		const canvas = document.createElement('canvas');
+		canvas.width = pixels.width;
+		canvas.height = pixels.height;
+		const ctx = canvas.getContext('2d');
+		const imageData = ctx.createImageData(pixels.width, pixels.height);
+		imageData.data.set(pixels.data);
+		ctx.putImageData(imageData, 0, 0);
+		return { image: canvas, imageData };
+	}
+	
+	/**
+	 * Rotate, flip or crop all floors, and the zone and house masks lined up with them,
+	 * so color analysis, hover info and generation all use the transformed image
+	 * @param {Object} transform - Transform as for _transformGrid()
+	 */
+	_transformImage(transform) {
+		if (this.floors.length === 0 || this._isTiled()) return;
 		
-		// Count colors
-		const colorCounts = new Map();
-		const MAX_COLORS = 256; // Maximum number of unique colors
-		let transparentCount = 0;
+		const { width, height } = this.floors[0].imageData;
+		for (const floor of this.floors) {
+			const { image, imageData } = this._createImage(this._transformGrid(floor.imageData.data, width, height, 4, transform));
+			floor.image = image;
+			floor.imageData = imageData;
+		}
 		
-		for (let i = 0; i < pixels.length; i += 4) {
-			const r = pixels[i];
-			const g = pixels[i + 1];
-			const b = pixels[i + 2];
-			const a = pixels[i + 3];
+		// Masks of another size weren't lined up before either, so they are left alone
+		for (const mask of [this.zoneMask, this.houseMask]) {
+			if (!mask || mask.width !== width || mask.height !== height) continue;
 			
-			// Count transparent pixels
-			if (a < 128) {
-				transparentCount++;
-				continue;
-			}
-			
-			const hex = this._rgbToHex(r, g, b);
-			colorCounts.set(hex, (colorCounts.get(hex) || 0) + 1);
-			
-			// Check if too many unique colors (check immediately after adding)
-			if (colorCounts.size > MAX_COLORS) {
-				const errorMessage = `Image too complex: ${colorCounts.size} unique colors detected. Maximum: ${MAX_COLORS} colors. Please reduce color complexity (use fewer colors or quantize the image).`;
-				this._updateStatus(errorMessage, 'error');
-				this.image = null;
-				this.imageData = null;
-				this.colorMappings.clear();
-				this.filteredColors = null;
-				this.colorSearch.value = '';
-				this._buildColorList();
-				this.generateBtn.disabled = true;
-				// Reset preview
-				this.previewPlaceholder.style.display = 'block';
-				this.previewCanvas.classList.remove('visible');
-				this.imageInfo.textContent = 'No image loaded';
-				// Show empty state
-				if (this.emptyState) {
-					this.emptyState.classList.remove('hidden');
+			const result = this._transformGrid(mask.pixels, width, height, 4, transform);
+			mask.width = result.width;
+			mask.height = result.height;
+			mask.pixels = result.data;
+			if (transform.type === 'crop') {
+				for (const color of mask.colors.values()) {
+					color.count = 0;
+				}
+				for (let i = 0; i < mask.pixels.length; i += 4) {
+					if (mask.pixels[i + 3] < 128) continue;
+					const color = mask.colors.get(this._rgbToHex(mask.pixels[i], mask.pixels[i + 1], mask.pixels[i + 2]));
+					if (color) color.count++;
 				}
-				return { success: false };
 			}
 		}
 		
-		// Sort by count (most common first)
-		const sortedColors = [...colorCounts.entries()]
-			.sort((a, b) => b[1] - a[1]);
-		
-		// Store mappings
-		this.colorMappings.clear();
-		// Clear filtered colors when loading new image
-		this.filteredColors = null;
-		this.colorSearch.value = '';
-		
-		// Load saved color mappings to restore previously assigned tile IDs
-		const savedMappings = this._loadColorMappings();
-		
-		for (const [hex, count] of sortedColors) {
-			const rgb = this._hexToRgb(hex);
-			// Restore saved tile ID if available, otherwise default to 0
-			const savedTileId = savedMappings.get(hex);
-			this.colorMappings.set(hex, {
-				hex,
-				rgb,
-				tileId: savedTileId !== undefined ? savedTileId : 0,
-				count
-			});
-		}
-		
-		// Store transparent pixel count
-		this.transparentPixelCount = transparentCount;
-		
-		// Build UI
-		this._buildColorList();
-		
-		// Update count (include transparent pixels if any)
-		let countText = `${this.colorMappings.size} colors`;
-		if (transparentCount > 0) {
-			countText += `, ${transparentCount.toLocaleString()} transparent`;
-		}
-		this.colorCount.textContent = countText;
-		
-		// Enable generate button
-		if (this.colorMappings.size > 0 || transparentCount > 0) {
-			this.generateBtn.disabled = false;
+		this._setActiveFloor(this.activeFloor);
+		this._updateZoneInfo();
+		this._buildZoneList();
+		this._buildZoneOverlay();
+		this._updateHouseInfo();
+		this._buildHouseList();
+		this._buildHouseOverlay();
+		this._analyzeColors(result => {
+			if (result.success) {
+				const descriptions = {
+					rotateLeft: 'Rotated 90° counter-clockwise',
+					rotateRight: 'Rotated 90° clockwise',
+					rotate180: 'Rotated 180°',
+					flipHorizontal: 'Flipped horizontally',
+					flipVertical: 'Flipped vertically',
+					crop: 'Cropped'
+				};
+				this._updateStatus(`${descriptions[transform.type]}: ${this.image.width} × ${this.image.height} px`, 'success');
+			}
+		});
+	}
+	
+	/**
+	 * Start (or stop) cropping: the next rectangle drawn on the preview becomes the image
+	 */
+	_setCropMode(enabled) {
+		this.cropMode = enabled && this.floors.length > 0;
+		this.cropSelection = null;
+		this.cropBtn.classList.toggle('active', this.cropMode);
+		if (this.cropMode) {
+			this._updateStatus('Drag a rectangle on the preview to crop the image (Esc to cancel)', '');
 		}
-		
-		return { success: true };
+		this._updatePreview();
 	}
 	
 	/**
-	 * Build the color list UI (with optional filter)
+	 * Image pixel under the mouse, clamped to the image
+	 * @returns {Object} { x, y }
 	 */
-	_buildColorList() {
-		// Clear existing
-		this.colorList.innerHTML = '';
+	_getClampedImagePosition(e) {
+		const rect = this.previewCanvas.getBoundingClientRect();
+		const zoom = this.zoomLevel > 0 ? this.zoomLevel : 1.0;
+		return {
+			x: Math.max(0, Math.min(this.image.width - 1, Math.floor((e.clientX - rect.left) / zoom))),
+			y: Math.max(0, Math.min(this.image.height - 1, Math.floor((e.clientY - rect.top) / zoom)))
+		};
+	}
+	
+	/**
+	 * Begin a crop rectangle at the pressed pixel
+	 */
+	_startCropSelection(e) {
+		// The click that follows is part of the crop, not a color pick
+		this.cropPointerDown = this.cropMode && Boolean(this.image);
+		if (!this.cropPointerDown) return;
 		
-		// Hide empty state
-		this.emptyState?.classList.add('hidden');
+		e.preventDefault();
+		// Keep getting the pointer events when the mouse leaves the canvas, so releasing it anywhere ends the drag
+		this.previewCanvas.setPointerCapture(e.pointerId);
+		const { x, y } = this._getClampedImagePosition(e);
+		this.cropSelection = { startX: x, startY: y, endX: x, endY: y, dragging: true };
+		this._updatePreview();
+	}
+	
+	/**
+	 * Follow the mouse with the crop rectangle
+	 */
+	_updateCropSelection(e) {
+		if (!this.cropSelection || !this.cropSelection.dragging) return;
 		
-		// Get colors to display (filtered or all)
-		const colorsToDisplay = this.filteredColors || this.colorMappings;
+		const { x, y } = this._getClampedImagePosition(e);
+		if (x === this.cropSelection.endX && y === this.cropSelection.endY) return;
+		this.cropSelection.endX = x;
+		this.cropSelection.endY = y;
+		this._updatePreview();
+	}
+	
+	/**
+	 * Crop to the drawn rectangle (when the mouse is released). A click without dragging keeps cropping on.
+	 */
+	_finishCropSelection() {
+		if (!this.cropSelection || !this.cropSelection.dragging) return;
 		
-		if (colorsToDisplay.size === 0) {
-			this.emptyState?.classList.remove('hidden');
-			if (this.filteredColors) {
-				this.emptyState.innerHTML = '<p>No colors match<br>your search</p>';
-			} else {
-				this.emptyState.innerHTML = '<p>Import an image to<br>detect colors</p>';
-			}
+		const rect = this._getCropRect();
+		if (rect.width === 1 && rect.height === 1) {
+			this._cancelCropSelection();
 			return;
 		}
 		
-		// Create rows
-		for (const [hex, mapping] of colorsToDisplay) {
-			const row = this._createColorRow(hex, mapping);
-			this.colorList.appendChild(row);
-		}
+		this.cropMode = false;
+		this.cropSelection = null;
+		this.cropBtn.classList.remove('active');
+		this._transformImage({ type: 'crop', rect });
 	}
 	
 	/**
-	 * Create a single color row element
+	 * Drop the crop rectangle being drawn, keeping cropping on
 	 */
-	_createColorRow(hex, mapping) {
-		const row = document.createElement('div');
-		row.className = 'color-row';
-		row.setAttribute('data-color-hex', hex); // Add data attribute for finding the row
+	_cancelCropSelection() {
+		if (!this.cropSelection) return;
 		
-		// Color swatch
-		const swatch = document.createElement('div');
-		swatch.className = 'color-swatch';
+		this.cropSelection = null;
+		this._updatePreview();
+	}
+	
+	/**
+	 * The crop rectangle being drawn, with both corner pixels included
+	 * @returns {Object|null} { x, y, width, height } in image pixels
+	 */
+	_getCropRect() {
+		if (!this.cropSelection) return null;
+		
+		const { startX, startY, endX, endY } = this.cropSelection;
+		return {
+			x: Math.min(startX, endX),
+			y: Math.min(startY, endY),
+			width: Math.abs(endX - startX) + 1,
+			height: Math.abs(endY - startY) + 1
+		};
+	}
+	
+	/**
+	 * Show the palette reduction bar and preview the reduced image
+	 */
+	_openQuantize() {
+		if (this.floors.length === 0) return;
+		
+		this.quantizeBar.hidden = false;
+		this.quantizeShowToggle.checked = true;
+		this._updateQuantizePreview();
+	}
+	
+	/**
+	 * Hide the palette reduction bar and drop its preview
+	 */
+	_closeQuantize() {
+		this.quantizeBar.hidden = true;
+		this.quantizedFloors = null;
+		this.quantizeInfo.classList.remove('error');
+	}
+	
+	/**
+	 * Palette size input, clamped
+	 * @returns {number} Number of colors to reduce to
+	 */
+	_getQuantizeColors() {
+		return Math.max(2, Math.min(MAX_IMAGE_COLORS, parseInt(this.quantizeColors.value) || QUANTIZE_DEFAULT_COLORS));
+	}
+	
+	/**
+	 * Reduce all floors to one shared palette with the chosen settings and show the result
+	 */
+	_updateQuantizePreview() {
+		if (this.quantizeBar.hidden || this.floors.length === 0) return;
+		
+		const size = this._getQuantizeColors();
+		this.quantizeColors.value = size;
+		try {
+			const threshold = this._getAlphaThreshold();
+			const histogram = buildColorHistogram(this.floors.map(floor => floor.imageData.data), threshold);
+			const palette = this.quantizeMethod.value === 'kmeans'
+				? kMeansPalette(histogram, size)
+				: medianCutPalette(histogram, size);
+			const dither = this.quantizeDither.checked;
+			
+			this.quantizedFloors = this.floors.map(floor => this._createImage({
+				width: floor.imageData.width,
+				height: floor.imageData.height,
+				data: remapToPalette(floor.imageData, palette, dither, threshold)
+			}));
+			
+			// Dithering or merged k-means colors can leave fewer colors than asked for
+			const used = buildColorHistogram(this.quantizedFloors.map(floor => floor.imageData.data), threshold).colors.length;
+			this.quantizeInfo.textContent = `${histogram.colors.length.toLocaleString()} colors → ${used}`;
+			this.quantizeInfo.classList.remove('error');
+		} catch (error) {
+			this.quantizedFloors = null;
+			this.quantizeInfo.textContent = `Failed to reduce colors: ${error.message}`;
+			this.quantizeInfo.classList.add('error');
+			console.error('Quantization error:', error);
+		}
+		this._updatePreview();
+	}
+	
+	/**
+	 * Replace the floors with their reduced palette version and analyze the new colors
+	 */
+	_applyQuantize() {
+		if (!this.quantizedFloors) return;
+		
+		this.floors.forEach((floor, index) => {
+			floor.image = this.quantizedFloors[index].image;
+			floor.imageData = this.quantizedFloors[index].imageData;
+		});
+		this._closeQuantize();
+		this._setActiveFloor(this.activeFloor);
+		this._analyzeColors(result => {
+			if (result.success) {
+				this._updateStatus(`Reduced to ${this.colorMappings.size} colors`, 'success');
+			}
+		});
+	}
+	
+	/**
+	 * Close the palette reduction; an image that can't be used without it is removed
+	 */
+	_cancelQuantize() {
+		this._closeQuantize();
+		if (this.quantizeRequired) {
+			this.quantizeRequired = false;
+			this._clearImage();
+			this._updateStatus('Image removed: it has too many colors to convert without reducing them', 'error');
+			return;
+		}
+		this._updatePreview();
+	}
+	
+	/**
+	 * Alpha threshold setting
+	 * @returns {number} Alpha below which pixels are transparent (1-255)
+	 */
+	_getAlphaThreshold() {
+		const threshold = parseInt(this.alphaThreshold.value);
+		return Number.isFinite(threshold) ? Math.max(1, Math.min(255, threshold)) : DEFAULT_ALPHA_THRESHOLD;
+	}
+	
+	/**
+	 * Alpha settings, read once per pass over the pixels
+	 * @returns {Object} { threshold, bands }
+	 */
+	_getAlphaSettings() {
+		return { threshold: this._getAlphaThreshold(), bands: this.alphaBands.checked };
+	}
+	
+	/**
+	 * Alpha band of a pixel
+	 * @param {number} a - Pixel alpha
+	 * @param {Object} alpha - From _getAlphaSettings()
+	 * @returns {number} -1 = transparent, 0 = opaque, otherwise the ALPHA_BANDS index + 1
+	 */
+	_alphaBand(a, alpha = this._getAlphaSettings()) {
+		return alphaBand(a, alpha);
+	}
+	
+	/**
+	 * Color mapping key of a pixel: its hex color, with the alpha band's suffix for semi-transparent
+	 * pixels when alpha bands are on
+	 * @param {Object} alpha - From _getAlphaSettings()
+	 * @returns {string|null} Hex key, or null for transparent pixels
+	 */
+	_pixelKey(r, g, b, a, alpha = this._getAlphaSettings()) {
+		return pixelKey(r, g, b, a, alpha);
+	}
+	
+	/**
+	 * Color tolerance setting
+	 * @returns {number} Largest ΔE between an unassigned color and the assigned color it matches (0 = exact colors only)
+	 */
+	_getColorTolerance() {
+		const tolerance = parseFloat(this.colorTolerance.value);
+		return Number.isFinite(tolerance) ? Math.max(0, Math.min(MAX_COLOR_TOLERANCE, tolerance)) : 0;
+	}
+	
+	/**
+	 * Whether a color has a tile of its own (ground, ground variants or items)
+	 */
+	_hasTile(mapping) {
+		return mapping.tileId > 0 || mapping.variants.length > 0 || mapping.items.length > 0;
+	}
+	
+	/**
+	 * Nearest assigned color (of the same alpha band) of every unassigned color within the tolerance
+	 * @param {number} tolerance - Largest ΔE
+	 * @returns {Map} Unassigned hex -> { hex, distance } of the assigned color it matches
+	 */
+	_findSimilarColors(tolerance) {
+		const assigned = [...this.colorMappings.values()]
+			.filter(mapping => this._hasTile(mapping))
+			.map(mapping => ({ hex: mapping.hex, band: alphaBandKey(mapping.hex), lab: rgbToLab(mapping.rgb.r, mapping.rgb.g, mapping.rgb.b) }));
+		
+		const similar = new Map();
+		for (const mapping of this.colorMappings.values()) {
+			if (this._hasTile(mapping) || mapping.wall) continue;
+			
+			const lab = rgbToLab(mapping.rgb.r, mapping.rgb.g, mapping.rgb.b);
+			const band = alphaBandKey(mapping.hex);
+			let best = null;
+			for (const candidate of assigned) {
+				if (candidate.band !== band) continue;
+				const distance = deltaE(lab, candidate.lab);
+				if (distance <= tolerance && (!best || distance < best.distance)) {
+					best = { hex: candidate.hex, distance };
+				}
+			}
+			if (best) {
+				similar.set(mapping.hex, best);
+			}
+		}
+		return similar;
+	}
+	
+	/**
+	 * Similar colors at the current tolerance, found again only after the mappings or the tolerance change
+	 * @returns {Map} As _findSimilarColors() (empty with a tolerance of 0)
+	 */
+	_getSimilarColors() {
+		const tolerance = this._getColorTolerance();
+		if (tolerance === 0) return new Map();
+		
+		if (!this.similarColors || this.similarColors.tolerance !== tolerance) {
+			this.similarColors = { tolerance, colors: this._findSimilarColors(tolerance) };
+		}
+		return this.similarColors.colors;
+	}
+	
+	/**
+	 * Merge clusters of similar colors (within the color tolerance) into one color: assigned
+	 * colors and then the most used ones keep their color, and the pixels of the colors close to
+	 * them are recolored, so each cluster becomes a single mapping
+	 */
+	_mergeSimilarColors() {
+		const tolerance = this._getColorTolerance();
+		if (this.colorMappings.size === 0) return;
+		if (tolerance === 0) {
+			this._updateStatus('Set a color tolerance (ΔE) above 0 to merge similar colors', 'error');
+			return;
+		}
+		if (this._isTiled()) {
+			this._updateStatus(`Merging recolors the image, which can't be done on images over ${MAX_IMAGE_DIMENSION} px. Similar colors are still matched when generating.`, 'error');
+			return;
+		}
+		
+		const colors = [...this.colorMappings.values()]
+			.sort((a, b) => (this._hasTile(b) - this._hasTile(a)) || b.count - a.count)
+			.map(mapping => ({ mapping, band: alphaBandKey(mapping.hex), lab: rgbToLab(mapping.rgb.r, mapping.rgb.g, mapping.rgb.b) }));
+		const centers = [];
+		const merged = new Map(); // hex -> rgb of the color it merges into
+		for (const color of colors) {
+			let best = null;
+			let bestDistance = Infinity;
+			for (const center of centers) {
+				if (center.band !== color.band) continue;
+				const distance = deltaE(color.lab, center.lab);
+				if (distance <= tolerance && distance < bestDistance) {
+					best = center;
+					bestDistance = distance;
+				}
+			}
+			
+			// Colors with their own tile, wall or marker are never merged away
+			const keep = this._hasTile(color.mapping) || color.mapping.wall || color.mapping.waypoint || color.mapping.spawn;
+			if (best && !keep) {
+				merged.set(color.mapping.hex, best.mapping.rgb);
+			} else {
+				centers.push(color);
+			}
+		}
+		
+		if (merged.size === 0) {
+			this._updateStatus(`No colors within ΔE ${tolerance} of each other`, '');
+			return;
+		}
+		if (!confirm(`Merge ${merged.size} colors into similar ones (${centers.length} colors left)?\nTheir pixels are recolored in all floors.`)) return;
+		
+		const alpha = this._getAlphaSettings();
+		for (const floor of this.floors) {
+			const data = new Uint8ClampedArray(floor.imageData.data);
+			for (let i = 0; i < data.length; i += 4) {
+				const hex = this._pixelKey(data[i], data[i + 1], data[i + 2], data[i + 3], alpha);
+				const rgb = hex && merged.get(hex);
+				if (rgb) {
+					data[i] = rgb.r;
+					data[i + 1] = rgb.g;
+					data[i + 2] = rgb.b;
+				}
+			}
+			const { image, imageData } = this._createImage({ width: floor.imageData.width, height: floor.imageData.height, data });
+			floor.image = image;
+			floor.imageData = imageData;
+		}
+		
+		this._setActiveFloor(this.activeFloor);
+		this._analyzeColors(result => {
+			if (result.success) {
+				this._updateStatus(`Merged ${merged.size} similar colors, ${this.colorMappings.size} colors left`, 'success');
+			}
+		});
+	}
+	
+	/**
+	 * Update the preview canvas
+	 */
+	_updatePreview() {
+		if (!this.image) return;
+		
+		// Hide placeholder, show canvas
+		this.previewPlaceholder.style.display = 'none';
+		this.previewCanvas.classList.add('visible');
+		
+		// Calculate display size based on zoom; a tiled image is shown no larger than an image
+		// held in memory, as larger canvases can't be drawn
+		if (this._isTiled()) {
+			this.zoomLevel = Math.min(this.zoomLevel, MAX_IMAGE_DIMENSION / Math.max(this.image.width, this.image.height));
+		}
+		const displayWidth = Math.floor(this.image.width * this.zoomLevel);
+		const displayHeight = Math.floor(this.image.height * this.zoomLevel);
+		
+		// Set canvas size
+		this.previewCanvas.width = displayWidth;
+		this.previewCanvas.height = displayHeight;
+		
+		// Disable image smoothing for pixel-perfect rendering
+		this.ctx.imageSmoothingEnabled = false;
+		
+		// Draw the floor below faded, for alignment (it shows through transparent pixels)
+		const floor = this.floors[this.activeFloor];
+		const floorBelow = floor && this.floors.find(f => f.z === floor.z + 1);
+		if (this.showFloorBelowToggle.checked && floorBelow) {
+			this.ctx.globalAlpha = 0.3;
+			this.ctx.drawImage(floorBelow.image, 0, 0, displayWidth, displayHeight);
+			this.ctx.globalAlpha = 1.0;
+		}
+		
+		// Draw image (or its reduced palette version while that is previewed; a tiled floor is shown from its preview)
+		const reduced = this.quantizedFloors && this.quantizeShowToggle.checked && this.quantizedFloors[this.activeFloor];
+		const shown = reduced ? reduced.image : floor && floor.preview ? floor.preview.image : this.image;
+		this.ctx.drawImage(shown, 0, 0, displayWidth, displayHeight);
+		
+		// Draw zone overlay
+		if (this.showZonesToggle.checked && this.zoneOverlay) {
+			this.ctx.globalAlpha = 0.5;
+			this.ctx.drawImage(this.zoneOverlay, 0, 0, displayWidth, displayHeight);
+			this.ctx.globalAlpha = 1.0;
+		}
+		
+		// Draw house overlay
+		if (this.showHousesToggle.checked && this.houseOverlay) {
+			this.ctx.globalAlpha = 0.5;
+			this.ctx.drawImage(this.houseOverlay, 0, 0, displayWidth, displayHeight);
+			this.ctx.globalAlpha = 1.0;
+		}
+		
+		// Draw the tiles changed by neighbour rules
+		if (this.showRulesToggle.checked && this.ruleOverlay) {
+			this.ctx.globalAlpha = 0.6;
+			this.ctx.drawImage(this.ruleOverlay, 0, 0, displayWidth, displayHeight);
+			this.ctx.globalAlpha = 1.0;
+		}
+		
+		// Draw the pixels changed by the cleanup passes
+		if (this.showCleanupToggle.checked && this.cleanupOverlay) {
+			this.ctx.globalAlpha = 0.8;
+			this.ctx.drawImage(this.cleanupOverlay, 0, 0, displayWidth, displayHeight);
+			this.ctx.globalAlpha = 1.0;
+		}
+		
+		// Draw scattered decorations
+		if (this.showScatterToggle.checked && this.scatterOverlay) {
+			this.ctx.globalAlpha = 0.8;
+			this.ctx.drawImage(this.scatterOverlay, 0, 0, displayWidth, displayHeight);
+			this.ctx.globalAlpha = 1.0;
+		}
+		
+		// Draw the crop rectangle being drawn
+		const crop = this._getCropRect();
+		if (crop) {
+			this.ctx.save();
+			this.ctx.strokeStyle = '#ffffff';
+			this.ctx.lineWidth = 1;
+			this.ctx.setLineDash([4, 4]);
+			this.ctx.strokeRect(
+				crop.x * this.zoomLevel + 0.5,
+				crop.y * this.zoomLevel + 0.5,
+				crop.width * this.zoomLevel - 1,
+				crop.height * this.zoomLevel - 1
+			);
+			this.ctx.restore();
+		}
+		
+		// Update info
+		this.imageInfo.textContent = `${this.image.width} × ${this.image.height} px`;
+		const scale = this._getScaleFactor();
+		if (scale > 1) {
+			this.imageInfo.textContent += ` → ${this.image.width * scale} × ${this.image.height * scale} tiles`;
+		}
+		if (this.floors.length > 1) {
+			this.imageInfo.textContent += `, ${this.floors.length} floors`;
+		}
+		if (this._isTiled()) {
+			this.imageInfo.textContent += ', read in strips';
+		}
+		
+		// Update zoom level display
+		this._updateZoomDisplay();
+	}
+	
+	/**
+	 * Zoom in
+	 */
+	_zoomIn() {
+		if (!this.image) return;
+		// Allow zooming up to maxZoom regardless of container size
+		const newZoom = this.zoomLevel * 1.2;
+		this.zoomLevel = Math.min(newZoom, this.maxZoom);
+		this._updatePreview();
+	}
+	
+	/**
+	 * Zoom out
+	 */
+	_zoomOut() {
+		if (!this.image) return;
+		// Allow zooming down to minZoom regardless of container size
+		const newZoom = this.zoomLevel / 1.2;
+		this.zoomLevel = Math.max(newZoom, this.minZoom);
+		this._updatePreview();
+	}
+	
+	/**
+	 * Fit image to container
+	 */
+	_zoomFit() {
+		if (!this.image) return;
+		const containerRect = this.previewContainer.getBoundingClientRect();
+		const maxWidth = containerRect.width - 32;
+		const maxHeight = containerRect.height - 32;
+		const fitScale = Math.min(
+			maxWidth / this.image.width,
+			maxHeight / this.image.height
+		);
+		this.zoomLevel = Math.max(Math.min(fitScale, 1.0), this.minZoom); // Don't zoom in beyond 100% when fitting, but ensure at least minZoom
+		this._updatePreview();
+	}
+	
+	/**
+	 * Update zoom level display
+	 */
+	_updateZoomDisplay() {
+		if (this.zoomLevelDisplay) {
+			this.zoomLevelDisplay.textContent = `${Math.round(this.zoomLevel * 100)}%`;
+		}
+	}
+	
+	/**
+	 * Handle pixel hover to show color and ID info
+	 */
+	_handlePixelHover(e) {
+		if (!this.image) {
+			this.pixelInfo.style.display = 'none';
+			return;
+		}
+		
+		const rect = this.previewCanvas.getBoundingClientRect();
+		const x = e.clientX - rect.left;
+		const y = e.clientY - rect.top;
+		
+		// Convert canvas coordinates to image coordinates
+		// Safety check: ensure zoomLevel is valid
+		if (!this.zoomLevel || this.zoomLevel <= 0 || isNaN(this.zoomLevel)) {
+			this.zoomLevel = 1.0; // Reset to default
+		}
+		const imageX = Math.floor(x / this.zoomLevel);
+		const imageY = Math.floor(y / this.zoomLevel);
+		
+		// Check bounds
+		if (imageX < 0 || imageX >= this.image.width || imageY < 0 || imageY >= this.image.height) {
+			this.pixelInfo.style.display = 'none';
+			return;
+		}
+		
+		// Get pixel data
+		const [r, g, b, a] = this._getPixel(imageX, imageY);
+		
+		// Build info text
+		let infoText = '';
+		const hex = this._pixelKey(r, g, b, a);
+		
+		if (!hex) {
+			// Transparent pixel
+			const transparentId = Math.max(0, Math.min(65535, parseInt(this.transparentTileId.value) || 0));
+			infoText = `Transparent`;
+			if (transparentId > 0) {
+				infoText += `<br>ID: ${transparentId}`;
+			} else {
+				infoText += `<br>ID: 0 (skipped)`;
+			}
+		} else {
+			// Opaque pixel, or an overlay of an alpha band
+			const mapping = this.colorMappings.get(hex);
+			
+			infoText = `RGB(${r}, ${g}, ${b})<br>Hex: ${hex.toUpperCase()}`;
+			if (alphaBandKey(hex)) {
+				infoText += `<br>Overlay (alpha ${a})`;
+			}
+			
+			const heightmap = this._getHeightmapSettings();
+			if (heightmap.enabled && this.floors.length === 1) {
+				const level = this._getHeightLevel(r, g, b, heightmap.levels);
+				infoText += `<br>Height: ${level} (Z ${this.floors[0].z - level})`;
+			}
+			
+			if (mapping) {
+				if (mapping.variants.length > 0) {
+					infoText += `<br>Ground: ${this._describeWeightedIds(mapping.variants)}`;
+				} else if (mapping.tileId > 0) {
+					infoText += `<br>ID: ${mapping.tileId}`;
+				} else if (mapping.items.length === 0) {
+					const similar = this._getSimilarColors().get(hex);
+					infoText += similar
+						? `<br>ID: as ${similar.hex.toUpperCase()} (ΔE ${similar.distance.toFixed(1)})`
+						: `<br>ID: 0 (not assigned)`;
+				} else {
+					infoText += `<br>ID: 0 (not assigned)`;
+				}
+				if (mapping.items.length > 0) {
+					infoText += `<br>Items: ${mapping.items.join(', ')}`;
+				}
+				if (mapping.scatter) {
+					infoText += `<br>Scatter: ${this._describeScatter(mapping.scatter)}`;
+				}
+				if (mapping.wall) {
+					infoText += `<br>Wall: ${this._escapeHtml(this._describeWall(mapping.wall))}`;
+				}
+				const attributesSummary = this._describeAttributes(mapping.attributes);
+				if (attributesSummary) {
+					infoText += `<br>${this._escapeHtml(attributesSummary)}`;
+				}
+				if (mapping.waypoint) {
+					infoText += `<br>Waypoint: ${this._escapeHtml(mapping.waypoint)}`;
+				}
+				if (mapping.spawn) {
+					infoText += `<br>Spawn: ${this._escapeHtml(this._describeSpawn(mapping.spawn))}`;
+				}
+				infoText += `<br><small style="opacity: 0.7;">Click to highlight</small>`;
+			}
+		}
+		
+		// Zone flags from the zone mask
+		const zoneFlags = this._getZoneFlagsAt(imageX, imageY);
+		if (zoneFlags) {
+			infoText += `<br>Zone: ${this._describeZoneFlags(zoneFlags)}`;
+		}
+		
+		// House from the house mask
+		const houseHex = this._getMaskColorAt(this.houseMask, imageX, imageY);
+		const house = houseHex && this.houseMask.colors.get(houseHex);
+		if (house) {
+			infoText += `<br>House: ${this._escapeHtml(house.name)} (ID: ${house.id})`;
+		}
+		
+		// Position and show tooltip relative to canvas
+		this.pixelInfo.innerHTML = infoText;
+		this.pixelInfo.style.display = 'block';
+		
+		// Position relative to canvas container
+		const containerRect = this.previewContainer.getBoundingClientRect();
+		let tooltipX = e.clientX - containerRect.left + 15;
+		let tooltipY = e.clientY - containerRect.top + 15;
+		
+		// Get tooltip dimensions (need to measure after display)
+		const tooltipWidth = this.pixelInfo.offsetWidth || 150;
+		const tooltipHeight = this.pixelInfo.offsetHeight || 60;
+		
+		// Adjust if tooltip goes off screen
+		if (tooltipX + tooltipWidth > containerRect.width) {
+			tooltipX = e.clientX - containerRect.left - tooltipWidth - 15;
+		}
+		if (tooltipY + tooltipHeight > containerRect.height) {
+			tooltipY = e.clientY - containerRect.top - tooltipHeight - 15;
+		}
+		
+		this.pixelInfo.style.left = `${tooltipX}px`;
+		this.pixelInfo.style.top = `${tooltipY}px`;
+	}
+	
+	/**
+	 * RGBA of a pixel of the shown floor. A tiled floor is read from its preview, which gives
+	 * each pixel the color of the pixel its preview pixel was taken from.
+	 * @returns {Uint8ClampedArray} [r, g, b, a]
+	 */
+	_getPixel(x, y) {
+		if (!this.imageData) {
+			const { imageData, factor } = this.floors[this.activeFloor].preview;
+			const i = (Math.floor(y / factor) * imageData.width + Math.floor(x / factor)) * 4;
+			return imageData.data.subarray(i, i + 4);
+		}
+		const i = (y * this.image.width + x) * 4;
+		return this.imageData.data.subarray(i, i + 4);
+	}
+	
+	/**
+	 * Map position of a pixel on the shown floor: the middle tile of its square when each pixel
+	 * covers several tiles, like the waypoint and spawn markers
+	 * @returns {Object} Position { x, y, z }
+	 */
+	_pixelToMapPosition(x, y) {
+		const scale = this._getScaleFactor();
+		return {
+			x: x * scale + (scale >> 1) + (parseInt(this.offsetX.value) || 0),
+			y: y * scale + (scale >> 1) + (parseInt(this.offsetY.value) || 0),
+			z: parseInt(this.zLevel.value) || 7
+		};
+	}
+	
+	/**
+	 * Handle pixel click to highlight color in mappings list
+	 */
+	_handlePixelClick(e) {
+		if (!this.image) return;
+		
+		// The end of a crop rectangle (already handled when the mouse was released)
+		if (this.cropPointerDown || this.cropMode) {
+			this.cropPointerDown = false;
+			return;
+		}
+		
+		const rect = this.previewCanvas.getBoundingClientRect();
+		const x = e.clientX - rect.left;
+		const y = e.clientY - rect.top;
+		
+		// Convert canvas coordinates to image coordinates
+		// Safety check: ensure zoomLevel is valid
+		if (!this.zoomLevel || this.zoomLevel <= 0 || isNaN(this.zoomLevel)) {
+			this.zoomLevel = 1.0; // Reset to default
+		}
+		const imageX = Math.floor(x / this.zoomLevel);
+		const imageY = Math.floor(y / this.zoomLevel);
+		
+		// Check bounds
+		if (imageX < 0 || imageX >= this.image.width || imageY < 0 || imageY >= this.image.height) {
+			return;
+		}
+		
+		// Picking a map position (town temple, waypoint)
+		if (this.positionPicker) {
+			const { onPick } = this.positionPicker;
+			this.positionPicker = null;
+			onPick(this._pixelToMapPosition(imageX, imageY));
+			this._buildTownList();
+			this._buildWaypointList();
+			this._buildHouseList();
+			return;
+		}
+		
+		// Get pixel data
+		const [r, g, b, a] = this._getPixel(imageX, imageY);
+		
+		// Skip transparent pixels (can't highlight them in color list)
+		const hex = this._pixelKey(r, g, b, a);
+		if (!hex) {
+			this._updateStatus('Transparent pixels cannot be highlighted in color mappings', '');
+			return;
+		}
+		
+		// Find and highlight the color row
+		this._highlightColorInList(hex);
+	}
+	
+	/**
+	 * Highlight a color in the color mappings list
+	 */
+	_highlightColorInList(hex) {
+		// Clear any existing highlights
+		const existingHighlights = this.colorList.querySelectorAll('.color-row.highlighted');
+		existingHighlights.forEach(row => row.classList.remove('highlighted'));
+		
+		// Check if color exists in mappings
+		if (!this.colorMappings.has(hex)) {
+			this._updateStatus('Color not found in mappings list', '');
+			return;
+		}
+		
+		// If search is active, clear it first to show the color
+		const hadSearch = this.colorSearch.value.trim();
+		if (hadSearch) {
+			this.colorSearch.value = '';
+			this._filterColors();
+		}
+		
+		// Find the color row by data attribute (after a brief delay if we cleared search)
+		setTimeout(() => {
+			const colorRow = this.colorList.querySelector(`[data-color-hex="${hex}"]`);
+			
+			if (colorRow) {
+				// Add highlight class
+				colorRow.classList.add('highlighted');
+				
+				// Scroll into view
+				colorRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+				
+				// Clear highlight after 2 seconds
+				setTimeout(() => {
+					colorRow.classList.remove('highlighted');
+				}, 2000);
+			} else {
+				this._updateStatus('Color not found in mappings list', '');
+			}
+		}, hadSearch ? 150 : 0);
+	}
+	
+	/**
+	 * Run a map task (see startMapTask in map-generator.js) in the map worker, feeding it the
+	 * pixels block by block. Where no worker can be created (e.g. pages opened from file://),
+	 * the task runs right away on the page instead.
+	 * @param {string} task - 'analyze' or 'generate'
+	 * @param {Object} job - The task's input
+	 * @param {Function} readBlock - Called with 0, 1, 2, ...: returns the block with that index (or a
+	 *   Promise of it), or null after the last one. The buffer of its pixels is handed over to the worker.
+	 * @param {Object} options - { transfer, onProgress(percent), onDone(result), onError(error) }, with
+	 *   transfer the ArrayBuffers of the job to hand over to the worker rather than copy (optional)
+	 * @returns {Object|null} The worker (or for a task running here, still waiting for a block, an
+	 *   object with the same terminate method) to terminate to cancel, or null if the task already ran
+	 */
+	_runMapTask(task, job, readBlock, { transfer = [], onProgress, onDone, onError }) {
+		const runHere = () => {
+			let mapTask = null;
+			let waiting = false;
+			let cancelled = false;
+			// Add the blocks from index on; a block that is still being read is added once it is
+			const addBlocks = (index, ready = null) => {
+				let result;
+				try {
+					mapTask = mapTask || startMapTask(task, job, onProgress);
+					for (let block; !mapTask.complete && (block = ready || readBlock(index)); index++) {
+						ready = null;
+						if (block instanceof Promise) {
+							waiting = true;
+							block.then((read) => {
+								if (!cancelled) addBlocks(index, read);
+							}, (error) => {
+								if (!cancelled) onError(error);
+							});
+							return;
+						}
+						mapTask.addBlock(block);
+					}
+					result = mapTask.finish();
+				} catch (error) {
+					onError(error);
+					return;
+				}
+				onDone(result);
+			};
+			addBlocks(0);
+			return waiting ? { terminate: () => { cancelled = true; } } : null;
+		};
+		
+		let worker = null;
+		if (typeof Worker !== 'undefined' && !this.workerUnavailable) {
+			try {
+				worker = new Worker('map-worker.js');
+			} catch (error) {
+				this.workerUnavailable = true;
+			}
+		}
+		if (!worker) {
+			return runHere();
+		}
+		
+		// The worker asks for the next block once it is done with the last one
+		let index = 0;
+		const sendBlock = (block) => {
+			if (block) {
+				worker.postMessage({ type: 'block', block }, [block.pixels.buffer]);
+			} else {
+				worker.postMessage({ type: 'finish' });
+			}
+		};
+		const fail = (error) => {
+			worker.terminate();
+			onError(error);
+		};
+		worker.onmessage = (event) => {
+			const message = event.data;
+			if (message.type === 'progress') {
+				onProgress(message.percent);
+				return;
+			}
+			if (message.type === 'next') {
+				let block;
+				try {
+					block = readBlock(index++);
+				} catch (error) {
+					fail(error);
+					return;
+				}
+				if (block instanceof Promise) {
+					block.then(sendBlock, fail);
+				} else {
+					sendBlock(block);
+				}
+				return;
+			}
+			worker.terminate();
+			if (message.type === 'done') {
+				onDone(message.result);
+			} else {
+				onError(new Error(message.message));
+			}
+		};
+		// The worker script failed to load or broke: running the task here instead would hide
+		// the problem and freeze the page, so it is reported
+		worker.onerror = (event) => {
+			event.preventDefault();
+			worker.terminate();
+			onError(new Error(`The map worker failed${event.message ? `: ${event.message}` : ''}`));
+		};
+		worker.postMessage({ type: 'start', task, job }, [...new Set(transfer)]);
+		return worker;
+	}
+	
+	/**
+	 * Analyze colors in the image (all floors share one set of color mappings). The pixels are
+	 * counted by the map worker; a newer analysis or removing the image drops this one.
+	 * @param {Function} onDone - Called with { success: boolean } once the color list is built (optional)
+	 */
+	_analyzeColors(onDone) {
+		if (!this.image) return;
+		
+		this._stopColorAnalysis();
+		const analysis = {};
+		this.colorAnalysis = analysis;
+		this.generateBtn.disabled = true;
+		this.colorCount.textContent = 'Analyzing...';
+		
+		const job = {
+			totalPixels: this.image.width * this.image.height * this.floors.length,
+			alpha: this._getAlphaSettings(),
+			maxColors: MAX_IMAGE_COLORS
+		};
+		// A copy of each floor's pixels, as the block's buffer is handed over to the worker
+		const readBlock = this._isTiled()
+			? this._createBlockReader(this.floors, 1)
+			: index => index < this.floors.length ? { pixels: this.floors[index].imageData.data.slice() } : null;
+		this.analysisWorker = this._runMapTask('analyze', job, readBlock, {
+			onProgress: (percent) => {
+				this.colorCount.textContent = `Analyzing... ${percent}%`;
+			},
+			onDone: (result) => {
+				if (this.colorAnalysis !== analysis) return;
+				this.colorAnalysis = null;
+				this.analysisWorker = null;
+				const outcome = this._showColorCounts(result);
+				if (onDone) onDone(outcome);
+			},
+			onError: (error) => {
+				if (this.colorAnalysis !== analysis) return;
+				this.colorAnalysis = null;
+				this.analysisWorker = null;
+				this._updateStatus(`Error: ${error.message}`, 'error');
+			}
+		});
+	}
+	
+	/**
+	 * Drop the color analysis in progress, if any
+	 */
+	_stopColorAnalysis() {
+		if (this.analysisWorker) {
+			this.analysisWorker.terminate();
+			this.analysisWorker = null;
+		}
+		this.colorAnalysis = null;
+	}
+	
+	/**
+	 * Build the color mappings and the color list from counted colors
+	 * @param {Object} result - From ColorCounter
+	 * @returns {Object} { success: boolean }
+	 */
+	_showColorCounts(result) {
+		const { counts: colorCounts, transparentCount } = result;
+		
+		// Too many unique colors: the image can only be used with a reduced palette
+		if (result.tooManyColors) {
+			this.colorMappings.clear();
+			this.similarColors = null;
+			this.filteredColors = null;
+			this._buildColorList();
+			this.colorCount.textContent = '0 colors';
+			this.generateBtn.disabled = true;
+			if (this._isTiled()) {
+				this._updateStatus(`Image too complex: more than ${MAX_IMAGE_COLORS} unique colors. Images over ${MAX_IMAGE_DIMENSION} px can't be reduced here; reduce the palette in an image editor and import it again.`, 'error');
+				return { success: false };
+			}
+			this.quantizeRequired = true;
+			this._openQuantize();
+			this._updateStatus(`Image too complex: more than ${MAX_IMAGE_COLORS} unique colors. Reduce the palette above the preview to continue, or cancel to remove the image.`, 'error');
+			return { success: false };
+		}
+		
+		// Sort by count (most common first)
+		const sortedColors = [...colorCounts.entries()]
+			.sort((a, b) => b[1] - a[1]);
+		
+		// Store mappings
+		this.colorMappings.clear();
+		this.similarColors = null;
+		// Clear filtered colors when loading new image
+		this.filteredColors = null;
+		this.colorSearch.value = '';
+		
+		// Load saved color mappings to restore previously assigned tile IDs
+		const savedMappings = this._loadColorMappings();
+		
+		for (const [hex, count] of sortedColors) {
+			const rgb = this._hexToRgb(hex);
+			// Restore saved tile ID and attributes if available, otherwise default to 0
+			const saved = savedMappings.get(hex);
+			this.colorMappings.set(hex, {
+				hex,
+				rgb,
+				tileId: saved ? saved.tileId : 0,
+				variants: saved ? saved.variants.map(variant => ({ ...variant })) : [],
+				items: saved ? saved.items.slice() : [],
+				scatter: saved ? saved.scatter : null,
+				wall: saved ? saved.wall : null,
+				attributes: saved ? { ...saved.attributes } : {},
+				attributeItem: saved ? saved.attributeItem : null,
+				waypoint: saved ? saved.waypoint : '',
+				spawn: saved ? saved.spawn : null,
+				count
+			});
+		}
+		
+		// Store transparent pixel count
+		this.transparentPixelCount = transparentCount;
+		this.quantizeRequired = false;
+		if (this.quantizedFloors) {
+			this._updateQuantizePreview();
+		}
+		
+		// Build UI
+		this._buildColorList();
+		this._updateWaypointInfo();
+		this._updateSpawnInfo();
+		this._buildCleanupOverlay();
+		this._updateScatterPreview();
+		
+		// Update count (include transparent pixels if any)
+		let countText = `${this.colorMappings.size} colors`;
+		if (transparentCount > 0) {
+			countText += `, ${transparentCount.toLocaleString()} transparent`;
+		}
+		this.colorCount.textContent = countText;
+		
+		// Enable generate button
+		if ((this.colorMappings.size > 0 || transparentCount > 0) && !this.generationWorker) {
+			this.generateBtn.disabled = false;
+		}
+		
+		return { success: true };
+	}
+	
+	/**
+	 * Build the color list UI (with optional filter)
+	 */
+	_buildColorList() {
+		// Clear existing
+		this.colorList.innerHTML = '';
+		
+		// Hide empty state
+		this.emptyState?.classList.add('hidden');
+		
+		// Get colors to display (filtered or all)
+		const colorsToDisplay = this.filteredColors || this.colorMappings;
+		
+		if (colorsToDisplay.size === 0) {
+			this.emptyState?.classList.remove('hidden');
+			if (this.filteredColors) {
+				this.emptyState.innerHTML = '<p>No colors match<br>your search</p>';
+			} else {
+				this.emptyState.innerHTML = '<p>Import an image to<br>detect colors</p>';
+			}
+			return;
+		}
+		
+		// Create rows
+		for (const [hex, mapping] of colorsToDisplay) {
+			const row = this._createColorRow(hex, mapping);
+			this.colorList.appendChild(row);
+		}
+	}
+	
+	/**
+	 * Create a single color row element
+	 */
+	_createColorRow(hex, mapping) {
+		const row = document.createElement('div');
+		row.className = 'color-row';
+		row.setAttribute('data-color-hex', hex); // Add data attribute for finding the row
+		
+		// Color swatch
+		const swatch = document.createElement('div');
+		swatch.className = 'color-swatch';
 		swatch.style.backgroundColor = hex;
 		
-		// Color info
-		const info = document.createElement('div');
-		info.className = 'color-info';
+		// Color info
+		const info = document.createElement('div');
+		info.className = 'color-info';
+		
+		const rgb = document.createElement('div');
+		rgb.className = 'color-rgb';
+		rgb.textContent = `RGB(${mapping.rgb.r}, ${mapping.rgb.g}, ${mapping.rgb.b})`;
+		if (alphaBandKey(hex)) {
+			rgb.textContent += ' overlay';
+			rgb.title = 'Semi-transparent pixels: placed on top of the ground below';
+		}
+		
+		const pixels = document.createElement('div');
+		pixels.className = 'color-pixels';
+		pixels.textContent = `${mapping.count.toLocaleString()} pixels`;
+		
+		info.appendChild(rgb);
+		info.appendChild(pixels);
+		
+		// ID input
+		const input = document.createElement('input');
+		input.type = 'number';
+		input.className = 'color-id-input';
+		input.value = mapping.tileId;
+		input.min = 0;
+		input.max = 65535;
+		input.placeholder = 'ID';
+		
+		input.addEventListener('change', (e) => {
+			const value = parseInt(e.target.value) || 0;
+			mapping.tileId = Math.max(0, Math.min(65535, value));
+			e.target.value = mapping.tileId;
+			this._saveColorMappings(); // Save color mapping when ID changes
+		});
+		
+		// Use debounced save for input events to avoid excessive localStorage writes
+		let inputTimeout = null;
+		input.addEventListener('input', (e) => {
+			const value = parseInt(e.target.value);
+			if (!isNaN(value)) {
+				mapping.tileId = Math.max(0, Math.min(65535, value));
+				this.similarColors = null;
+				// Debounce localStorage save (save after 500ms of no input)
+				clearTimeout(inputTimeout);
+				inputTimeout = setTimeout(() => {
+					this._saveColorMappings();
+				}, 500);
+			}
+		});
+		
+		// Add ARIA label
+		input.setAttribute('aria-label', `Tile ID for color ${hex}`);
+		
+		// Stacked items and item attributes button and editor
+		const attributesBtn = document.createElement('button');
+		attributesBtn.className = 'btn-icon-only color-attributes-btn';
+		attributesBtn.textContent = '⋯';
+		attributesBtn.setAttribute('aria-label', `Stacked items and attributes for color ${hex}`);
+		
+		const updateAttributesBtn = () => {
+			const summary = [
+				mapping.variants.length > 0 ? `Ground ${this._describeWeightedIds(mapping.variants)}` : '',
+				mapping.items.length > 0 ? `Items ${mapping.items.join(', ')}` : '',
+				mapping.scatter ? `Scatter ${this._describeScatter(mapping.scatter)}` : '',
+				mapping.wall ? `Wall ${this._describeWall(mapping.wall)}` : '',
+				this._describeAttributes(mapping.attributes),
+				mapping.waypoint ? `Waypoint ${mapping.waypoint}` : '',
+				mapping.spawn ? `Spawn ${this._describeSpawn(mapping.spawn)}` : ''
+			].filter(Boolean).join(', ');
+			attributesBtn.classList.toggle('active', summary !== '');
+			attributesBtn.title = summary ? `Items and attributes: ${summary}` : 'Stacked items and attributes';
+		};
+		updateAttributesBtn();
+		
+		const editor = this._createAttributeEditor(mapping, () => {
+			updateAttributesBtn();
+			this._saveColorMappings();
+		});
+		
+		attributesBtn.addEventListener('click', () => {
+			editor.classList.toggle('hidden');
+		});
+		
+		// Make row droppable for favorites
+		row.addEventListener('dragover', (e) => {
+			e.preventDefault();
+			row.classList.add('drag-over');
+		});
+		
+		row.addEventListener('dragleave', () => {
+			row.classList.remove('drag-over');
+		});
+		
+		row.addEventListener('drop', (e) => {
+			e.preventDefault();
+			row.classList.remove('drag-over');
+			const favoriteId = e.dataTransfer.getData('favorite/id');
+			if (favoriteId) {
+				const favorite = this.favorites.find(f => f.id === favoriteId);
+				if (favorite) {
+					mapping.tileId = favorite.tileId;
+					input.value = favorite.tileId;
+					this._saveColorMappings(); // Save color mapping when ID is assigned via favorite
+					this._updateStatus(`Assigned "${favorite.name}" (ID: ${favorite.tileId}) to color`, 'success');
+				}
+			}
+		});
+		
+		// Assemble row
+		row.appendChild(swatch);
+		row.appendChild(info);
+		row.appendChild(input);
+		row.appendChild(attributesBtn);
+		row.appendChild(editor);
+		
+		return row;
+	}
+	
+	/**
+	 * Create the item attribute editor for a color row
+	 * @param {Object} mapping - Color mapping whose attributes are edited
+	 * @param {Function} onChange - Called after an attribute changes
+	 */
+	_createAttributeEditor(mapping, onChange) {
+		const editor = document.createElement('div');
+		editor.className = 'color-attributes hidden';
+		
+		// Weighted ground variants, picked per tile instead of the tile ID
+		const variantsLabel = document.createElement('label');
+		variantsLabel.className = 'color-attribute';
+		variantsLabel.textContent = 'Ground variants';
+		
+		const variantsInputs = document.createElement('div');
+		variantsInputs.className = 'color-attribute-inputs';
+		const variantsInput = document.createElement('input');
+		variantsInput.type = 'text';
+		variantsInput.value = this._describeWeightedIds(mapping.variants);
+		variantsInput.placeholder = 'e.g. 4526:5, 4527, 4528';
+		variantsInput.title = `Ground IDs picked at random for each tile instead of the tile ID, as ID or ID:weight (up to ${MAX_WEIGHTED_IDS}). The seed decides which one each tile gets.`;
+		variantsInput.setAttribute('aria-label', `Weighted ground variant IDs for color ${mapping.hex}`);
+		variantsInput.addEventListener('change', (e) => {
+			mapping.variants = this._parseWeightedIds(e.target.value);
+			e.target.value = this._describeWeightedIds(mapping.variants);
+			onChange();
+		});
+		variantsInputs.appendChild(variantsInput);
+		
+		editor.appendChild(variantsLabel);
+		editor.appendChild(variantsInputs);
+		
+		// Items stacked on the ground, bottom to top
+		const itemsLabel = document.createElement('label');
+		itemsLabel.className = 'color-attribute';
+		itemsLabel.textContent = 'Items on top';
+		
+		const itemsInputs = document.createElement('div');
+		itemsInputs.className = 'color-attribute-inputs';
+		const itemsInput = document.createElement('input');
+		itemsInput.type = 'text';
+		itemsInput.value = mapping.items.join(', ');
+		itemsInput.placeholder = 'e.g. 2700, 2767';
+		itemsInput.title = `Item IDs placed on the ground, bottom to top (up to ${MAX_STACKED_ITEMS})`;
+		itemsInput.setAttribute('aria-label', `Stacked item IDs for color ${mapping.hex}`);
+		itemsInput.addEventListener('change', (e) => {
+			mapping.items = this._sanitizeItemStack(e.target.value.split(','));
+			e.target.value = mapping.items.join(', ');
+			mapping.attributeItem = this._sanitizeAttributeItem(mapping.attributeItem, mapping.items);
+			fillAttributeItemSelect();
+			onChange();
+		});
+		itemsInputs.appendChild(itemsInput);
+		
+		editor.appendChild(itemsLabel);
+		editor.appendChild(itemsInputs);
+		
+		// Which item of the stack gets the attributes below
+		const attributeItemLabel = document.createElement('label');
+		attributeItemLabel.className = 'color-attribute';
+		attributeItemLabel.textContent = 'Attributes on';
+		
+		const attributeItemInputs = document.createElement('div');
+		attributeItemInputs.className = 'color-attribute-inputs';
+		const attributeItemSelect = document.createElement('select');
+		attributeItemSelect.title = 'The item that gets the attributes: the top of the stack (the ground if there are no items on top), the ground, or one of the items on top';
+		attributeItemSelect.setAttribute('aria-label', `Item with the attributes for color ${mapping.hex}`);
+		const fillAttributeItemSelect = () => {
+			attributeItemSelect.innerHTML = '';
+			const choices = [['', 'Top item'], ['0', 'Ground'], ...mapping.items.map((id, index) => [String(index + 1), `Item ${index + 1} (${id})`])];
+			for (const [value, text] of choices) {
+				const option = document.createElement('option');
+				option.value = value;
+				option.textContent = text;
+				attributeItemSelect.appendChild(option);
+			}
+			attributeItemSelect.value = mapping.attributeItem === null ? '' : String(mapping.attributeItem);
+		};
+		fillAttributeItemSelect();
+		attributeItemSelect.addEventListener('change', (e) => {
+			mapping.attributeItem = this._sanitizeAttributeItem(e.target.value === '' ? null : e.target.value, mapping.items);
+			onChange();
+		});
+		attributeItemInputs.appendChild(attributeItemSelect);
+		
+		// Decorations scattered on top of the ground (and the stacked items)
+		const scatter = mapping.scatter || {};
+		const scatterFields = [
+			{ key: 'items', label: 'Scatter items', placeholder: 'e.g. 2700:3, 2701, 2785', type: 'text' },
+			{ key: 'density', label: 'Scatter density (%)', placeholder: '0', type: 'number', min: 0, max: 100, step: 'any' },
+			{ key: 'spacing', label: 'Min spacing', placeholder: '0', type: 'number', min: 0, max: SCATTER_MAX_SPACING, step: 1 }
+		];
+		const scatterInputs = {};
+		const updateScatter = () => {
+			mapping.scatter = this._sanitizeScatter({
+				items: this._parseWeightedIds(scatterInputs.items.value),
+				density: scatterInputs.density.value,
+				spacing: scatterInputs.spacing.value
+			});
+			if (mapping.scatter) {
+				scatterInputs.items.value = this._describeWeightedIds(mapping.scatter.items);
+			}
+			this._updateScatterPreview();
+			onChange();
+		};
+		for (const field of scatterFields) {
+			const label = document.createElement('label');
+			label.className = 'color-attribute';
+			label.textContent = field.label;
+			
+			const inputs = document.createElement('div');
+			inputs.className = 'color-attribute-inputs';
+			const input = document.createElement('input');
+			input.type = field.type;
+			input.placeholder = field.placeholder;
+			if (field.type === 'number') {
+				input.min = field.min;
+				input.max = field.max;
+				input.step = field.step;
+				input.value = scatter[field.key] !== undefined ? scatter[field.key] : '';
+			} else {
+				input.value = this._describeWeightedIds(scatter[field.key] || []);
+				input.title = `Decorations picked at random, as ID or ID:weight (up to ${MAX_WEIGHTED_IDS}). Density is the chance per tile; spacing keeps that many free tiles between decorations.`;
+			}
+			input.setAttribute('aria-label', `${field.label} for color ${mapping.hex}`);
+			input.addEventListener('change', updateScatter);
+			scatterInputs[field.key] = input;
+			inputs.appendChild(input);
+			
+			editor.appendChild(label);
+			editor.appendChild(inputs);
+		}
+		
+		// Wall: each pixel gets the wall piece matching the neighbouring pixels of the same wall,
+		// from a loaded walls.xml brush or from wall item IDs typed by type
+		const wall = mapping.wall || { brush: '', items: {} };
+		const wallBrushLabel = document.createElement('label');
+		wallBrushLabel.className = 'color-attribute';
+		wallBrushLabel.textContent = 'Wall brush';
+		
+		const wallBrushInputs = document.createElement('div');
+		wallBrushInputs.className = 'color-attribute-inputs';
+		const wallBrushSelect = document.createElement('select');
+		const brushNames = this.wallBrushes.map(brush => brush.name);
+		if (wall.brush && !brushNames.includes(wall.brush)) {
+			brushNames.unshift(wall.brush);
+		}
+		for (const name of ['', ...brushNames]) {
+			const option = document.createElement('option');
+			option.value = name;
+			option.textContent = !name
+				? (this.wallBrushes.length > 0 ? 'None (or wall items below)' : 'None (load walls.xml)')
+				: this.wallBrushes.some(brush => brush.name === name) ? name : `${name} (not loaded)`;
+			wallBrushSelect.appendChild(option);
+		}
+		wallBrushSelect.value = wall.brush;
+		wallBrushSelect.setAttribute('aria-label', `Wall brush for color ${mapping.hex}`);
+		wallBrushInputs.appendChild(wallBrushSelect);
+		
+		const wallItemsLabel = document.createElement('label');
+		wallItemsLabel.className = 'color-attribute';
+		wallItemsLabel.textContent = 'Wall items';
+		
+		const wallItemsInputs = document.createElement('div');
+		wallItemsInputs.className = 'color-attribute-inputs';
+		const wallItemsInput = document.createElement('input');
+		wallItemsInput.type = 'text';
+		wallItemsInput.value = this._describeWallItems(wall.items);
+		wallItemsInput.placeholder = 'e.g. horizontal:1026, vertical:1025, corner:1027, pole:1028';
+		wallItemsInput.title = `Wall item IDs by type, used without a wall brush. Types: ${WALL_TYPES.join(', ')}`;
+		wallItemsInput.setAttribute('aria-label', `Wall item IDs for color ${mapping.hex}`);
+		wallItemsInputs.appendChild(wallItemsInput);
+		
+		const updateWall = () => {
+			mapping.wall = this._sanitizeWall({
+				brush: wallBrushSelect.value,
+				items: this._parseWallItems(wallItemsInput.value)
+			});
+			wallItemsInput.value = mapping.wall ? this._describeWallItems(mapping.wall.items) : '';
+			onChange();
+		};
+		wallBrushSelect.addEventListener('change', updateWall);
+		wallItemsInput.addEventListener('change', updateWall);
+		
+		editor.appendChild(wallBrushLabel);
+		editor.appendChild(wallBrushInputs);
+		editor.appendChild(wallItemsLabel);
+		editor.appendChild(wallItemsInputs);
+		
+		editor.appendChild(attributeItemLabel);
+		editor.appendChild(attributeItemInputs);
+		
+		for (const field of COLOR_ITEM_ATTRIBUTES) {
+			const label = document.createElement('label');
+			label.className = 'color-attribute';
+			label.textContent = field.label;
+			
+			const inputs = document.createElement('div');
+			inputs.className = 'color-attribute-inputs';
+			
+			if (field.type === 'position') {
+				// Teleport destination: set only when all three coordinates are filled in
+				const current = mapping.attributes[field.key];
+				const axes = ['x', 'y', 'z'].map(axis => {
+					const axisInput = document.createElement('input');
+					axisInput.type = 'number';
+					axisInput.min = 0;
+					axisInput.max = axis === 'z' ? 15 : 65535;
+					axisInput.placeholder = axis.toUpperCase();
+					axisInput.value = current ? current[axis] : '';
+					axisInput.setAttribute('aria-label', `${field.label} ${axis.toUpperCase()} for color ${mapping.hex}`);
+					inputs.appendChild(axisInput);
+					return axisInput;
+				});
+				
+				const update = () => {
+					const [x, y, z] = axes.map(axisInput => parseInt(axisInput.value));
+					if ([x, y, z].some(isNaN)) {
+						delete mapping.attributes[field.key];
+					} else {
+						mapping.attributes[field.key] = {
+							x: Math.max(0, Math.min(65535, x)),
+							y: Math.max(0, Math.min(65535, y)),
+							z: Math.max(0, Math.min(15, z))
+						};
+					}
+					onChange();
+				};
+				axes.forEach(axisInput => axisInput.addEventListener('change', update));
+			} else {
+				const fieldInput = document.createElement('input');
+				fieldInput.type = field.type;
+				fieldInput.value = mapping.attributes[field.key] !== undefined ? mapping.attributes[field.key] : '';
+				if (field.type === 'number') {
+					fieldInput.min = field.min;
+					fieldInput.max = field.max;
+				}
+				fieldInput.setAttribute('aria-label', `${field.label} for color ${mapping.hex}`);
+				
+				fieldInput.addEventListener('change', (e) => {
+					const value = this._sanitizeAttributeValue(field, e.target.value);
+					if (value === undefined) {
+						delete mapping.attributes[field.key];
+						e.target.value = '';
+					} else {
+						mapping.attributes[field.key] = value;
+						e.target.value = value;
+					}
+					onChange();
+				});
+				inputs.appendChild(fieldInput);
+			}
+			
+			editor.appendChild(label);
+			editor.appendChild(inputs);
+		}
+		
+		// Waypoint marker: every pixel of this color becomes a named waypoint
+		const waypointLabel = document.createElement('label');
+		waypointLabel.className = 'color-attribute';
+		waypointLabel.textContent = 'Waypoint';
+		
+		const waypointInputs = document.createElement('div');
+		waypointInputs.className = 'color-attribute-inputs';
+		const waypointInput = document.createElement('input');
+		waypointInput.type = 'text';
+		waypointInput.value = mapping.waypoint;
+		waypointInput.placeholder = 'Marker name';
+		waypointInput.title = 'Each pixel of this color becomes a waypoint (numbered if there are several)';
+		waypointInput.setAttribute('aria-label', `Waypoint name for marker color ${mapping.hex}`);
+		waypointInput.addEventListener('change', (e) => {
+			mapping.waypoint = e.target.value.trim();
+			e.target.value = mapping.waypoint;
+			this._updateWaypointInfo();
+			this._buildCleanupOverlay();
+			this._updatePreview();
+			onChange();
+		});
+		waypointInputs.appendChild(waypointInput);
+		
+		editor.appendChild(waypointLabel);
+		editor.appendChild(waypointInputs);
+		
+		// Spawn marker: every pixel of this color becomes a spawn center
+		const spawn = mapping.spawn || {};
+		const spawnFields = [
+			{ key: 'monsters', label: 'Monsters', placeholder: 'Rat, Rat, Cave Rat', type: 'text' },
+			{ key: 'npcs', label: 'NPCs', placeholder: 'Comma-separated names', type: 'text' },
+			{ key: 'radius', label: 'Spawn radius', placeholder: String(SPAWN_DEFAULT_RADIUS), type: 'number', min: 1, max: SPAWN_MAX_RADIUS },
+			{ key: 'spawnTime', label: 'Respawn (s)', placeholder: String(SPAWN_DEFAULT_TIME), type: 'number', min: 1, max: 86400 }
+		];
+		const spawnInputs = {};
+		const updateSpawn = () => {
+			mapping.spawn = this._sanitizeSpawn({
+				monsters: spawnInputs.monsters.value.split(','),
+				npcs: spawnInputs.npcs.value.split(','),
+				radius: spawnInputs.radius.value,
+				spawnTime: spawnInputs.spawnTime.value
+			});
+			this._updateSpawnInfo();
+			this._buildCleanupOverlay();
+			this._updatePreview();
+			onChange();
+		};
+		for (const field of spawnFields) {
+			const label = document.createElement('label');
+			label.className = 'color-attribute';
+			label.textContent = field.label;
+			
+			const inputs = document.createElement('div');
+			inputs.className = 'color-attribute-inputs';
+			const input = document.createElement('input');
+			input.type = field.type;
+			input.placeholder = field.placeholder;
+			if (field.type === 'number') {
+				input.min = field.min;
+				input.max = field.max;
+				input.value = spawn[field.key] !== undefined ? spawn[field.key] : '';
+			} else {
+				input.value = (spawn[field.key] || []).join(', ');
+			}
+			input.setAttribute('aria-label', `${field.label} for spawn color ${mapping.hex}`);
+			input.addEventListener('change', updateSpawn);
+			spawnInputs[field.key] = input;
+			inputs.appendChild(input);
+			
+			editor.appendChild(label);
+			editor.appendChild(inputs);
+		}
+		
+		return editor;
+	}
+	
+	/**
+	 * Validate a single item attribute value
+	 * @param {Object} field - Entry from COLOR_ITEM_ATTRIBUTES
+	 * @param {*} value - Raw value
+	 * @returns {*} The cleaned value, or undefined if the attribute should be unset
+	 */
+	_sanitizeAttributeValue(field, value) {
+		if (value === undefined || value === null || value === '') {
+			return undefined;
+		}
+		
+		switch (field.type) {
+			case 'number': {
+				const number = parseInt(value);
+				return isNaN(number) ? undefined : Math.max(field.min, Math.min(field.max, number));
+			}
+			case 'text':
+				return String(value);
+			case 'position': {
+				const [x, y, z] = ['x', 'y', 'z'].map(axis => parseInt(value[axis]));
+				if ([x, y, z].some(isNaN)) {
+					return undefined;
+				}
+				return {
+					x: Math.max(0, Math.min(65535, x)),
+					y: Math.max(0, Math.min(65535, y)),
+					z: Math.max(0, Math.min(15, z))
+				};
+			}
+			default:
+				return undefined;
+		}
+	}
+	
+	/**
+	 * Validate an item attributes object (from storage or an imported file)
+	 * @returns {Object} Attributes with only known keys and valid values
+	 */
+	_sanitizeItemAttributes(attributes) {
+		const result = {};
+		if (!attributes || typeof attributes !== 'object') {
+			return result;
+		}
+		
+		for (const field of COLOR_ITEM_ATTRIBUTES) {
+			const value = this._sanitizeAttributeValue(field, attributes[field.key]);
+			if (value !== undefined) {
+				result[field.key] = value;
+			}
+		}
+		return result;
+	}
+	
+	/**
+	 * Validate the item that gets a color's attributes (from the editor, storage or an imported file)
+	 * @param {*} value - 0 for the ground, 1+ for a stacked item (bottom to top)
+	 * @param {number[]} items - The color's stacked items
+	 * @returns {number|null} The item, or null for the top of the stack
+	 */
+	_sanitizeAttributeItem(value, items) {
+		const index = parseInt(value);
+		return index >= 0 && index <= items.length ? index : null;
+	}
+	
+	/**
+	 * Validate a stack of item IDs (from the editor, storage or an imported file)
+	 * @returns {number[]} Valid item IDs, bottom to top
+	 */
+	_sanitizeItemStack(items) {
+		if (!Array.isArray(items)) {
+			return [];
+		}
+		return items
+			.map(id => parseInt(id))
+			.filter(id => id > 0 && id <= 65535)
+			.slice(0, MAX_STACKED_ITEMS);
+	}
+	
+	/**
+	 * Parse a weighted ID list typed as "id" or "id:weight", comma-separated
+	 * @returns {Array} Valid entries as { id, weight }
+	 */
+	_parseWeightedIds(text) {
+		return this._sanitizeWeightedIds(text.split(',').map(part => {
+			const [id, weight] = part.split(':');
+			return { id, weight: weight === undefined ? 1 : weight };
+		}));
+	}
+	
+	/**
+	 * Validate a weighted ID list (from the editor, storage or an imported file)
+	 * @returns {Array} Valid entries as { id, weight }
+	 */
+	_sanitizeWeightedIds(entries) {
+		if (!Array.isArray(entries)) {
+			return [];
+		}
+		return entries
+			.filter(entry => entry && typeof entry === 'object')
+			.map(entry => ({
+				id: parseInt(entry.id),
+				weight: Math.min(MAX_ID_WEIGHT, parseInt(entry.weight) || 0)
+			}))
+			.filter(entry => entry.id > 0 && entry.id <= 65535 && entry.weight > 0)
+			.slice(0, MAX_WEIGHTED_IDS);
+	}
+	
+	/**
+	 * Weighted ID list as typed in the editor, e.g. "4526:5, 4527"
+	 */
+	_describeWeightedIds(entries) {
+		return entries
+			.map(entry => entry.weight === 1 ? String(entry.id) : `${entry.id}:${entry.weight}`)
+			.join(', ');
+	}
+	
+	/**
+	 * Validate a random seed
+	 * @returns {number} Unsigned 32-bit seed
+	 */
+	_sanitizeSeed(seed) {
+		const value = parseInt(seed);
+		return isNaN(value) ? 0 : Math.max(0, Math.min(4294967295, value));
+	}
+	
+	/**
+	 * Validate decoration scatter settings (from the editor, storage or an imported file)
+	 * @returns {Object|null} { items, density, spacing }, or null without items or density
+	 */
+	_sanitizeScatter(scatter) {
+		if (!scatter || typeof scatter !== 'object') return null;
+		
+		const items = this._sanitizeWeightedIds(scatter.items);
+		const density = Math.max(0, Math.min(100, parseFloat(scatter.density) || 0));
+		if (items.length === 0 || density === 0) return null;
+		
+		return {
+			items,
+			density,
+			spacing: Math.max(0, Math.min(SCATTER_MAX_SPACING, parseInt(scatter.spacing) || 0))
+		};
+	}
+	
+	/**
+	 * Short summary of decoration scatter settings, e.g. "2700:3, 2701 at 20%, spacing 1"
+	 */
+	_describeScatter(scatter) {
+		let summary = `${this._describeWeightedIds(scatter.items)} at ${scatter.density}%`;
+		if (scatter.spacing > 0) {
+			summary += `, spacing ${scatter.spacing}`;
+		}
+		return summary;
+	}
+	
+	/**
+	 * Scatter decorations over the pixels of a floor. Each pixel of a scatter color gets a
+	 * decoration with the color's density as probability, unless an earlier decoration
+	 * (in reading order) is within the spacing. Depends only on the seed and map position.
+	 * @param {Object} floor - Floor { imageData, z }
+	 * @param {number} seed - Generation seed
+	 * @param {number} offX - X offset of the image on the map
+	 * @param {number} offY - Y offset of the image on the map
+	 * @returns {Uint16Array|null} Decoration item ID per pixel (0 = none), or null without scatter colors
+	 */
+	_computeScatter(floor, seed, offX, offY) {
+		const scatterColors = new Map();
+		for (const [hex, mapping] of this.colorMappings) {
+			if (mapping.scatter) {
+				scatterColors.set(hex, {
+					...mapping.scatter,
+					weights: mapping.scatter.items.map(item => item.weight)
+				});
+			}
+		}
+		if (scatterColors.size === 0) return null;
+		
+		const { data: pixels, width, height } = floor.imageData;
+		const decorations = new Uint16Array(width * height);
+		const alpha = this._getAlphaSettings();
+		
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				const i = y * width + x;
+				const hex = this._pixelKey(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2], pixels[i * 4 + 3], alpha);
+				if (!hex) continue;
+				
+				const scatter = scatterColors.get(hex);
+				if (!scatter) continue;
+				if (randomAt(seed, x + offX, y + offY, floor.z, RANDOM_SALT_SCATTER) * 100 >= scatter.density) continue;
+				
+				// Only decorations above or to the left are placed yet
+				const spacing = scatter.spacing;
+				let blocked = false;
+				for (let dy = -spacing; dy <= 0 && !blocked; dy++) {
+					for (let dx = -spacing; dx <= spacing; dx++) {
+						const nx = x + dx;
+						const ny = y + dy;
+						if (nx >= 0 && nx < width && ny >= 0 && decorations[ny * width + nx]) {
+							blocked = true;
+							break;
+						}
+					}
+				}
+				if (blocked) continue;
+				
+				const random = randomAt(seed, x + offX, y + offY, floor.z, RANDOM_SALT_SCATTER_ITEM);
+				decorations[i] = scatter.items[pickWeightedIndex(scatter.weights, random)].id;
+			}
+		}
+		
+		return decorations;
+	}
+	
+	/**
+	 * Rebuild the scattered decorations shown on the preview (after scatter settings,
+	 * the seed, the offsets or the shown floor change)
+	 */
+	_updateScatterPreview() {
+		this.scatterOverlay = null;
+		const floor = this.floors[this.activeFloor];
+		const scale = this._getScaleFactor();
+		// Scattered over the enlarged floor, as _generateOTBM() does, so each decoration is picked
+		// at the same map position (maps too large to enlarge at once can't scatter)
+		if (floor && floor.imageData && this.showScatterToggle.checked &&
+			this._checkImageComplexity(floor.imageData.width * scale, floor.imageData.height * scale).valid) {
+			const offX = Math.max(0, parseInt(this.offsetX.value) || 0);
+			const offY = Math.max(0, parseInt(this.offsetY.value) || 0);
+			const decorations = this._computeScatter(this._scaleFloor(floor, scale), this._sanitizeSeed(this.seed.value), offX, offY);
+			if (decorations) {
+				const { width, height } = floor.imageData;
+				const canvas = document.createElement('canvas');
+				canvas.width = width;
+				canvas.height = height;
+				const ctx = canvas.getContext('2d');
+				const overlay = ctx.createImageData(width, height);
+				
+				// A pixel is marked if any of its scale × scale tiles has a decoration
+				const scaledWidth = width * scale;
+				for (let i = 0; i < decorations.length; i++) {
+					if (!decorations[i]) continue;
+					const x = Math.floor((i % scaledWidth) / scale);
+					const y = Math.floor(Math.floor(i / scaledWidth) / scale);
+					const pixel = (y * width + x) * 4;
+					overlay.data.set(SCATTER_PREVIEW_COLOR, pixel);
+					overlay.data[pixel + 3] = 255;
+				}
+				
+				ctx.putImageData(overlay, 0, 0);
+				this.scatterOverlay = canvas;
+			}
+		}
+		this._updatePreview();
+	}
+	
+	/**
+	 * Parse wall item IDs typed as "type:id", comma-separated
+	 * @returns {Object} Item ID by wall type
+	 */
+	_parseWallItems(text) {
+		const items = {};
+		for (const part of text.split(',')) {
+			const separator = part.lastIndexOf(':');
+			if (separator < 0) continue;
+			items[part.slice(0, separator).trim().toLowerCase()] = part.slice(separator + 1);
+		}
+		return items;
+	}
+	
+	/**
+	 * Wall item IDs as typed in the editor, e.g. "horizontal:1026, vertical:1025"
+	 */
+	_describeWallItems(items) {
+		return Object.entries(items).map(([type, id]) => `${type}:${id}`).join(', ');
+	}
+	
+	/**
+	 * Validate wall settings (from the editor, storage or an imported file)
+	 * @returns {Object|null} { brush, items }, or null without a brush or items
+	 */
+	_sanitizeWall(wall) {
+		if (!wall || typeof wall !== 'object') return null;
+		
+		const brush = typeof wall.brush === 'string' ? wall.brush.trim() : '';
+		const items = {};
+		if (wall.items && typeof wall.items === 'object') {
+			// In the order of WALL_TYPES, so the editor text stays stable
+			for (const type of WALL_TYPES) {
+				const id = parseInt(wall.items[type]);
+				if (id > 0 && id <= 65535) {
+					items[type] = id;
+				}
+			}
+		}
+		if (!brush && Object.keys(items).length === 0) return null;
+		
+		return { brush, items };
+	}
+	
+	/**
+	 * Short summary of wall settings: the brush name or the typed wall items
+	 */
+	_describeWall(wall) {
+		return wall.brush || this._describeWallItems(wall.items);
+	}
+	
+	/**
+	 * The item of a color's stack that gets its attributes
+	 * @returns {number} 0 for the ground, 1+ for a stacked item (bottom to top)
+	 */
+	_getAttributeItem(mapping) {
+		return mapping.attributeItem === null ? mapping.items.length : Math.min(mapping.attributeItem, mapping.items.length);
+	}
+	
+	/**
+	 * Short summary of item attributes, e.g. "AID 2000, Text"
+	 */
+	_describeAttributes(attributes) {
+		return COLOR_ITEM_ATTRIBUTES
+			.filter(field => attributes[field.key] !== undefined)
+			.map(field => {
+				const value = attributes[field.key];
+				if (field.type === 'number') {
+					return `${field.short} ${value}`;
+				}
+				if (field.type === 'position') {
+					return `${field.short} ${value.x},${value.y},${value.z}`;
+				}
+				return field.short;
+			})
+			.join(', ');
+	}
+	
+	/**
+	 * Generate the OTBM file
+	 */
+	_generateOTBM() {
+		try {
+			if (!this.image) {
+				this._updateStatus('No image loaded!', 'error');
+				return;
+			}
+			
+			// Get map dimensions first: each pixel becomes scale × scale tiles
+			const scale = this._getScaleFactor();
+			const width = this.image.width * scale;
+			const height = this.image.height * scale;
+			
+			// Unassigned colors within the color tolerance of an assigned color use its tile
+			const similarColors = this._getSimilarColors();
+			
+			// Check for ID 0 warnings
+			const zeroIds = [...this.colorMappings.values()].filter(m => m.tileId === 0 && m.variants.length === 0 && m.items.length === 0 && !m.wall && !similarColors.has(m.hex));
+			const transparentId = Math.max(0, Math.min(65535, parseInt(this.transparentTileId.value) || 0));
+			const hasTransparentPixels = this.transparentPixelCount > 0;
+			
+			if (zeroIds.length > 0 || (hasTransparentPixels && transparentId === 0)) {
+				let warningMsg = '';
+				if (zeroIds.length > 0) {
+					warningMsg += `${zeroIds.length} color(s) have ID 0.\nThese pixels will be skipped (no tile placed).\n\n`;
+				}
+				if (hasTransparentPixels && transparentId === 0) {
+					warningMsg += `${this.transparentPixelCount.toLocaleString()} transparent pixel(s) detected.\nTransparent Tile ID is 0, so these will be skipped.\n\n`;
+				}
+				warningMsg += 'Continue anyway?';
+				
+				const proceed = confirm(warningMsg);
+				if (!proceed) return;
+			}
+			
+			this._updateStatus('Generating OTBM...', '');
+			
+			// Each floor needs its own Z-level
+			const floorError = this._validateFloors();
+			if (floorError) {
+				this._updateStatus(`Error: ${floorError}`, 'error');
+				return;
+			}
+			
+			// Scaled floors are enlarged up front, so borders, walls, rules and decorations work on tiles.
+			// A tiled image, or a map too large to enlarge at once, is made a block at a time instead,
+			// without the passes that need the whole image.
+			const tooLarge = scale > 1 && !this._checkImageComplexity(width, height).valid;
+			const tiled = this._isTiled() || tooLarge;
+			const wholeImagePasses = tiled ? this._getWholeImagePasses() : [];
+			if (wholeImagePasses.length > 0) {
+				this._updateStatus(this._isTiled()
+					? `Error: Images over ${MAX_IMAGE_DIMENSION} px are read in strips, so they can't use ${wholeImagePasses.join(', ')}. Turn them off, or downsample the image.`
+					: `Error: At ${scale} tiles per pixel the map would be ${width} × ${height} tiles, so it is made in blocks and can't use ${wholeImagePasses.join(', ')}. Turn them off, or use fewer tiles per pixel.`, 'error');
+				return;
+			}
+			// Cleanup passes run on the pixels, before scaling
+			const cleanup = this._getCleanupSettings();
+			let cleanedPixelCount = 0;
+			const cleanedFloors = tiled ? this.floors : this.floors.map(floor => {
+				const cleaned = this._cleanFloor(floor, cleanup);
+				cleanedPixelCount += cleaned.changed;
+				return cleaned.floor;
+			});
+			const floors = tiled ? this.floors : cleanedFloors.map(floor => this._scaleFloor(floor, scale));
+			
+			// Heightmap mode: the brightness of a single image raises each pixel above its floor
+			let heightLevels = null;
+			const heightmap = this._getHeightmapSettings();
+			if (heightmap.enabled) {
+				const heightmapError = this._validateHeightmap(heightmap);
+				if (heightmapError) {
+					this._updateStatus(`Error: ${heightmapError}`, 'error');
+					return;
+				}
+				heightLevels = this._computeHeightLevels(floors[0], heightmap.levels);
+			}
+			
+			// Get and validate settings
+			const offX = Math.max(0, parseInt(this.offsetX.value) || 0);
+			const offY = Math.max(0, parseInt(this.offsetY.value) || 0);
+			
+			// Validate offsets don't cause overflow
+			if (offX + width > MAX_MAP_SIZE || offY + height > MAX_MAP_SIZE) {
+				this._updateStatus(`Error: Offset + image size exceeds maximum map dimensions (${MAX_MAP_SIZE})`, 'error');
+				return;
+			}
+			
+			// Conflict policy only applies when pasting into a base map
+			const policy = this.baseMap ? this.conflictPolicy.value : null;
+			
+			// Zone mask must line up with the image
+			if (this.zoneMask && (this.zoneMask.width !== this.image.width || this.zoneMask.height !== this.image.height)) {
+				this._updateStatus(`Error: Zone mask is ${this.zoneMask.width} × ${this.zoneMask.height} px but the image is ${this.image.width} × ${this.image.height} px`, 'error');
+				return;
+			}
+			const zoneFlags = this._scaleGrid(this._buildZoneFlagGrid(), this.image.width, this.image.height, scale);
+			
+			// House mask must line up with the image too
+			if (this.houseMask && (this.houseMask.width !== this.image.width || this.houseMask.height !== this.image.height)) {
+				this._updateStatus(`Error: House mask is ${this.houseMask.width} × ${this.houseMask.height} px but the image is ${this.image.width} × ${this.image.height} px`, 'error');
+				return;
+			}
+			const houseError = this._validateHouses();
+			if (houseError) {
+				this._updateStatus(`Error: ${houseError}`, 'error');
+				return;
+			}
+			const houseIds = this._scaleGrid(this._buildHouseIdGrid(), this.image.width, this.image.height, scale);
+			
+			// Get client configuration
+			const clientConfig = this._getCurrentClientConfig();
+			if (!clientConfig) {
+				this._updateStatus('Invalid client version selected!', 'error');
+				return;
+			}
+			
+			// Get OTB version information
+			const otbVersion = getOTBVersion(clientConfig.otb);
+			if (!otbVersion) {
+				this._updateStatus('OTB version not found for selected client!', 'error');
+				return;
+			}
+			
+			// Attributes go on one item of the stack, so there has to be one
+			for (const [hex, mapping] of this.colorMappings) {
+				if (Object.keys(mapping.attributes).length > 0 && this._getAttributeItem(mapping) === 0 &&
+					mapping.tileId === 0 && mapping.variants.length === 0) {
+					this._updateStatus(`Error: Color ${hex} has item attributes for its ground, but no ground ID. Set a tile ID, or put the attributes on an item on top.`, 'error');
+					return;
+				}
+			}
+			
+			// Create color lookup map (hex -> { groundId, items }): the ground plus the stacked items on top
+			// A ground with attributes can't use the compact ground format, so it is written as the
+			// first item node (marked as the ground)
+			const buildTile = (groundId, mapping) => {
+				if (Object.keys(mapping.attributes).length === 0) {
+					return { groundId, items: mapping.items };
+				}
+				const target = this._getAttributeItem(mapping);
+				if (target === 0) {
+					return { groundId: 0, items: [{ id: groundId, attributes: mapping.attributes, ground: true }, ...mapping.items] };
+				}
+				const items = mapping.items.slice();
+				items[target - 1] = { id: items[target - 1], attributes: mapping.attributes };
+				return { groundId, items };
+			};
+			const colorToTile = new Map();
+			// Colors with ground variants get one tile per variant (hex -> { tiles, weights }), picked per position
+			const colorToVariants = new Map();
+			for (const [hex, mapping] of this.colorMappings) {
+				if (mapping.variants.length > 0) {
+					colorToVariants.set(hex, {
+						tiles: mapping.variants.map(variant => buildTile(variant.id, mapping)),
+						weights: mapping.variants.map(variant => variant.weight)
+					});
+				} else if (mapping.tileId > 0 || mapping.items.length > 0) {
+					colorToTile.set(hex, buildTile(mapping.tileId, mapping));
+				}
+			}
+			for (const [hex, similar] of similarColors) {
+				if (colorToVariants.has(similar.hex)) {
+					colorToVariants.set(hex, colorToVariants.get(similar.hex));
+				} else {
+					colorToTile.set(hex, colorToTile.get(similar.hex));
+				}
+			}
+			const seed = this._sanitizeSeed(this.seed.value);
+			const scatteredFloors = new Map(); // floor -> decoration item ID per pixel
+			for (const floor of floors) {
+				scatteredFloors.set(floor, this._computeScatter(floor, seed, offX, offY));
+			}
+			
+			// Ground brushes for automatic borders (with their border definitions), and the brush of each pixel per floor
+			const brushes = this.autoBorders.checked && this.borderMaterials
+				? this.borderMaterials.brushes.map(brush => ({ ...brush, border: this.borderMaterials.borders[brush.borderId] || null }))
+				: null;
+			const brushGrids = new Map(); // floor -> brush index + 1 per pixel (0 = no brush)
+			if (brushes) {
+				for (const floor of floors) {
+					brushGrids.set(floor, this._buildBrushGrid(floor, transparentId));
+				}
+			}
+			
+			// Wall colors (hex -> wall index + 1), one wall per brush or per color with typed wall items
+			const walls = [];
+			const colorWalls = new Map();
+			for (const [hex, mapping] of this.colorMappings) {
+				if (!mapping.wall) continue;
+				
+				let types;
+				let key;
+				if (mapping.wall.brush) {
+					const brush = this.wallBrushes.find(b => b.name === mapping.wall.brush);
+					if (!brush) {
+						this._updateStatus(`Error: Wall brush "${mapping.wall.brush}" of color ${hex} is not loaded. Load its walls.xml first.`, 'error');
+						return;
+					}
+					types = brush.types;
+					key = `brush:${brush.name}`;
+				} else {
+					types = {};
+					for (const [type, id] of Object.entries(mapping.wall.items)) {
+						types[type] = [{ id, weight: 1 }];
+					}
+					key = `color:${hex}`;
+				}
+				
+				let index = walls.findIndex(wall => wall.key === key);
+				if (index < 0) {
+					walls.push({ key, types });
+					index = walls.length - 1;
+				}
+				colorWalls.set(hex, index + 1);
+			}
+			const wallGrids = new Map(); // floor -> wall index + 1 per pixel (0 = no wall)
+			if (walls.length > 0) {
+				for (const floor of floors) {
+					wallGrids.set(floor, this._buildColorGrid(floor, colorWalls, 0));
+				}
+			}
+			
+			// Neighbour rules matched per floor (rule index + 1 per pixel), checked on the pixels before
+			// scaling (as in the preview, where a lone pixel has no neighbours of its color) and then
+			// enlarged like the floor
+			const ruleGrids = new Map();
+			if (this.rules.length > 0) {
+				floors.forEach((floor, index) => {
+					ruleGrids.set(floor, this._scaleGrid(this._matchRules(cleanedFloors[index]), this.image.width, this.image.height, scale));
+				});
+			}
+			
+			// Waypoint marker colors (hex -> waypoint name) and the positions found for each name
+			const markerColors = new Map();
+			for (const [hex, mapping] of this.colorMappings) {
+				if (mapping.waypoint) {
+					markerColors.set(hex, mapping.waypoint);
+				}
+			}
+			
+			// Spawn marker colors and the spawn centers found for each
+			const spawnColors = new Map();
+			for (const [hex, mapping] of this.colorMappings) {
+				if (mapping.spawn) {
+					spawnColors.set(hex, mapping.spawn);
+				}
+			}
+			
+			// Towns (replace base map towns with the same ID)
+			const townError = this._validateTowns();
+			if (townError) {
+				this._updateStatus(`Error: ${townError}`, 'error');
+				return;
+			}
+			
+			// File names: houses and spawns go to external files referenced by the map
+			const clientName = clientConfig.name.replace(/[^a-zA-Z0-9]/g, '_');
+			const filename = this.baseMap
+				? `${this.baseMapName.replace(/\.otbm$/i, '')}_pasted.otbm`
+				: `converted_map_${clientName}.otbm`;
+			const mapName = filename.replace(/\.otbm$/i, '');
+			const houseFilename = this.houseMask && this.houseMask.colors.size > 0 ? `${mapName}-house.xml` : null;
+			
+			// Everything the map worker needs, as plain data
+			const job = {
+				width,
+				height,
+				scale,
+				offX,
+				offY,
+				seed,
+				policy,
+				alpha: this._getAlphaSettings(),
+				transparentId,
+				floors: floors.map(floor => ({
+					z: floor.z,
+					decorations: scatteredFloors.get(floor),
+					brushGrid: brushGrids.get(floor),
+					wallGrid: wallGrids.get(floor),
+					ruleGrid: ruleGrids.get(floor)
+				})),
+				heightLevels,
+				heightmap,
+				zoneFlags,
+				houseIds,
+				colorToTile,
+				colorToVariants,
+				markerColors,
+				spawnColors,
+				brushes,
+				walls,
+				rules: this.rules,
+				towns: this.towns,
+				waypoints: this.waypoints,
+				houseFile: houseFilename,
+				spawnFile: `${mapName}-spawn.xml`,
+				areaBlocks: tiled
+			};
+			if (this.baseMap) {
+				job.baseMapData = this.baseMapData.slice(0);
+			} else {
+				job.header = {
+					description: `PNG to OTBM Converted Map (${clientConfig.name})`,
+					version: clientConfig.otbmVersion,
+					otbMajorVersion: otbVersion.version,
+					otbMinorVersion: otbVersion.id
+				};
+			}
+			
+			// Show progress for large images
+			if (width * height * floors.length > 10000) {
+				this._updateProgress(0);
+				this.progressContainer.style.display = 'flex';
+			}
+			this.generateBtn.disabled = true;
+			
+			// Whole floors go to the worker as one block each (a copy of the floor's own pixels, as
+			// the block's buffer is handed over; cleaned or scaled pixels are made for this map)
+			const readBlock = tiled
+				? this._createBlockReader(floors, scale, offX, offY)
+				: index => {
+					if (index >= floors.length) return null;
+					const data = floors[index].imageData.data;
+					const pixels = floors[index].imageData === this.floors[index].imageData ? data.slice() : data;
+					return { floor: index, x: 0, y: 0, width, height, pixels };
+				};
+			
+			// The grids and the base map file are made for this map, so they are handed over rather than copied
+			const transfer = [job.baseMapData, heightLevels, zoneFlags, houseIds];
+			for (const floor of job.floors) {
+				transfer.push(floor.decorations, floor.brushGrid, floor.wallGrid, floor.ruleGrid);
+			}
+			this.generationWorker = this._runMapTask('generate', job, readBlock, {
+				transfer: transfer.filter(Boolean).map(data => data.buffer || data),
+				onProgress: (percent) => this._updateProgress(percent),
+				onDone: (result) => {
+					this._finishGeneration();
+					
+					// Download
+					const blob = result.blob;
+					this._downloadBlob(filename, blob);
+					if (houseFilename) {
+						const housesXml = buildHousesXml([...this.houseMask.colors.values()].map(house => ({
+							...house,
+							size: result.houseSizes.get(house.id) || 0
+						})));
+						this._downloadText(houseFilename, housesXml, 'application/xml');
+					}
+					
+					// Spawns go to an external spawn file, NPCs optionally to their own file
+					const spawnFiles = this._buildSpawnFiles(result.spawns, mapName);
+					for (const file of spawnFiles) {
+						this._downloadText(file.name, file.xml, 'application/xml');
+					}
+					
+					const { tileCount, transparentTileCount, overlayTileCount, keptTileCount, decorationCount, borderCount, wallCount, ruleTileCount, mountainTileCount } = result.counts;
+					let statusMsg = `✓ Downloaded: ${filename} (${blob.size.toLocaleString()} bytes, ${tileCount.toLocaleString()} tiles`;
+					if (transparentTileCount > 0) {
+						statusMsg += `, ${transparentTileCount.toLocaleString()} transparent`;
+					}
+					if (overlayTileCount > 0) {
+						statusMsg += `, ${overlayTileCount.toLocaleString()} overlays`;
+					}
+					if (keptTileCount > 0) {
+						statusMsg += `, ${keptTileCount.toLocaleString()} existing kept`;
+					}
+					if (decorationCount > 0) {
+						statusMsg += `, ${decorationCount.toLocaleString()} decorations`;
+					}
+					if (borderCount > 0) {
+						statusMsg += `, ${borderCount.toLocaleString()} border items`;
+					}
+					if (wallCount > 0) {
+						statusMsg += `, ${wallCount.toLocaleString()} walls`;
+					}
+					if (similarColors.size > 0) {
+						statusMsg += `, ${similarColors.size} similar colors matched`;
+					}
+					if (cleanedPixelCount > 0) {
+						statusMsg += `, ${cleanedPixelCount.toLocaleString()} pixels cleaned up`;
+					}
+					if (ruleTileCount > 0) {
+						statusMsg += `, ${ruleTileCount.toLocaleString()} tiles changed by rules`;
+					}
+					if (mountainTileCount > 0) {
+						statusMsg += `, ${mountainTileCount.toLocaleString()} mountain tiles`;
+					}
+					if (houseFilename) {
+						statusMsg += `, ${this.houseMask.colors.size} houses in ${houseFilename}`;
+					}
+					if (result.spawns.length > 0) {
+						statusMsg += `, ${result.spawns.length} spawns in ${spawnFiles.map(file => file.name).join(' + ')}`;
+					}
+					if (result.waypointCount > 0) {
+						statusMsg += result.otbmVersion >= 2
+							? `, ${result.waypointCount} waypoints`
+							: `, waypoints skipped (need OTBM version 2+)`;
+					}
+					statusMsg += this.baseMap ? `, Base map: ${this.baseMapName})` : `, Client: ${clientConfig.name})`;
+					this._updateStatus(statusMsg, 'success');
+				},
+				onError: (error) => {
+					this._finishGeneration();
+					this._updateStatus(`Error: ${error.message}`, 'error');
+					console.error('OTBM generation error:', error);
+				}
+			});
+			if (this.generationWorker) {
+				this.cancelGenerateBtn.hidden = false;
+			}
+		} catch (error) {
+			this._finishGeneration();
+			this._updateStatus(`Error: ${error.message}`, 'error');
+			console.error('OTBM generation error:', error);
+		}
+	}
+	
+	/**
+	 * Settings in use that need the whole image at once (they look at other pixels, or
+	 * cover the whole map), so they can't be used when a map is made in blocks
+	 * @returns {string[]} Names of the settings
+	 */
+	_getWholeImagePasses() {
+		const mappings = [...this.colorMappings.values()];
+		return [
+			this._isCleanupEnabled(this._getCleanupSettings()) && 'cleanup',
+			this._getHeightmapSettings().enabled && 'heightmap mode',
+			mappings.some(mapping => mapping.scatter) && 'scattered decorations',
+			this.autoBorders.checked && this.borderMaterials && 'automatic borders',
+			mappings.some(mapping => mapping.wall) && 'walls',
+			this.rules.length > 0 && 'neighbour rules',
+			this.zoneMask && 'the zone mask',
+			this.houseMask && 'the house mask'
+		].filter(Boolean);
+	}
+	
+	/**
+	 * Stop the map worker, dropping the map being generated
+	 */
+	_cancelGeneration() {
+		if (!this.generationWorker) return;
+		
+		this._finishGeneration();
+		this._updateStatus('Generation cancelled', '');
+	}
+	
+	/**
+	 * Back to idle after generating: stop the worker and hide the progress
+	 */
+	_finishGeneration() {
+		if (this.generationWorker) {
+			this.generationWorker.terminate();
+			this.generationWorker = null;
+		}
+		this.progressContainer.style.display = 'none';
+		this.cancelGenerateBtn.hidden = true;
+		this.generateBtn.disabled = !this.image || Boolean(this.colorAnalysis);
+	}
+	
+	/**
+	 * Load an OTBM file as the base map to paste the image into
+	 */
+	_loadBaseMap(file) {
+		const reader = new FileReader();
+		
+		reader.onload = (e) => {
+			try {
+				this.baseMap = new OTBMReader(e.target.result).read();
+				this.baseMapData = e.target.result;
+				this.baseMapName = file.name;
+				this._updateBaseMapInfo();
+				this._updateStatus(`Loaded base map: ${file.name}`, 'success');
+			} catch (error) {
+				this._clearBaseMap();
+				this._updateStatus(`Failed to read base map: ${error.message}`, 'error');
+				console.error('OTBM read error:', error);
+			}
+		};
+		
+		reader.onerror = () => {
+			this._updateStatus('Failed to load base map', 'error');
+		};
+		
+		reader.readAsArrayBuffer(file);
+	}
+	
+	/**
+	 * Clear the base map so a new map is generated
+	 */
+	_clearBaseMap() {
+		this.baseMap = null;
+		this.baseMapData = null;
+		this.baseMapName = null;
+		this._updateBaseMapInfo();
+	}
+	
+	/**
+	 * Update the base map summary
+	 */
+	_updateBaseMapInfo() {
+		this.clearBaseMapBtn.disabled = !this.baseMap;
+		
+		if (!this.baseMap) {
+			this.baseMapInfo.textContent = 'No base map. A new map is generated.';
+			return;
+		}
+		
+		const map = this.baseMap;
+		const tileCount = map.areas.reduce((sum, area) => sum + area.tiles.length, 0);
+		this.baseMapInfo.textContent = `${this.baseMapName}: ${map.width} × ${map.height}, ` +
+			`${tileCount.toLocaleString()} tiles, ${map.towns.length} towns, ${map.waypoints.length} waypoints ` +
+			`(OTBM v${map.version}, items ${map.otbMajorVersion}.${map.otbMinorVersion})`;
+	}
+	
+	/**
+	 * Load a house mask image; each opaque color becomes a house
+	 */
+	_loadHouseMask(file) {
+		this._readMaskImage(file, 'House mask', (mask, colorCounts) => {
+			// Restore houses saved for these colors, new colors get the next free house ID
+			const saved = this._loadHouses();
+			let nextId = [...saved.values()].reduce((max, h) => Math.max(max, h.id), 0) + 1;
+			const firstPixels = this._findFirstPixels(mask);
+			mask.colors = new Map();
+			for (const [hex, count] of colorCounts) {
+				let house = saved.get(hex);
+				if (!house) {
+					const first = firstPixels.get(hex);
+					house = {
+						id: nextId,
+						name: `House ${nextId}`,
+						townId: this.towns.length > 0 ? this.towns[0].id : 1,
+						rent: 0,
+						entry: this._pixelToMapPosition(first.x, first.y)
+					};
+					nextId++;
+				}
+				mask.colors.set(hex, { hex, count, ...house });
+			}
+			
+			this.houseMask = mask;
+			this._saveHouses();
+			this._buildHouseList();
+			this._buildHouseOverlay();
+			this._updatePreview();
+			this._updateStatus(`Loaded house mask: ${file.name}`, 'success');
+		});
+	}
+	
+	/**
+	 * First pixel (in reading order) of every color in a mask
+	 * @returns {Map} hex color -> { x, y }
+	 */
+	_findFirstPixels(mask) {
+		const firstPixels = new Map();
+		for (let y = 0; y < mask.height; y++) {
+			for (let x = 0; x < mask.width; x++) {
+				const hex = this._getMaskColorAt(mask, x, y);
+				if (hex && !firstPixels.has(hex)) {
+					firstPixels.set(hex, { x, y });
+				}
+			}
+		}
+		return firstPixels;
+	}
+	
+	/**
+	 * Remove the house mask
+	 */
+	_clearHouseMask() {
+		this.houseMask = null;
+		this.houseOverlay = null;
+		this._buildHouseList();
+		this._updatePreview();
+	}
+	
+	/**
+	 * Check houses before writing them
+	 * @returns {string|null} Error message, or null if the houses are valid
+	 */
+	_validateHouses() {
+		if (!this.houseMask) return null;
+		
+		const ids = new Set();
+		for (const house of this.houseMask.colors.values()) {
+			if (!house.name) {
+				return `House ${house.id} has no name`;
+			}
+			if (ids.has(house.id)) {
+				return `Duplicate house ID: ${house.id}`;
+			}
+			ids.add(house.id);
+		}
+		return null;
+	}
+	
+	/**
+	 * Update the house mask summary
+	 */
+	_updateHouseInfo() {
+		this.clearHouseMaskBtn.disabled = !this.houseMask;
+		
+		if (!this.houseMask) {
+			this.houseMaskInfo.textContent = 'No house mask. Load a PNG the same size as the image; each color is a house.';
+			this.houseMaskInfo.classList.remove('error');
+			return;
+		}
+		
+		const error = this._validateHouses();
+		if (error) {
+			this.houseMaskInfo.textContent = error;
+			this.houseMaskInfo.classList.add('error');
+			return;
+		}
+		
+		const mask = this.houseMask;
+		this._showMaskInfo(this.houseMaskInfo, mask, `${mask.name}: ${mask.width} × ${mask.height} px, ${mask.colors.size} houses`);
+	}
+	
+	/**
+	 * Build the house list with name, ID, town, rent and entry per house color
+	 */
+	_buildHouseList() {
+		this.houseList.innerHTML = '';
+		this._updateHouseInfo();
+		if (!this.houseMask) return;
+		
+		const onChange = () => {
+			this._saveHouses();
+			this._updateHouseInfo();
+		};
+		
+		for (const house of this.houseMask.colors.values()) {
+			const row = document.createElement('div');
+			row.className = 'house-row';
+			row.title = `${house.hex.toUpperCase()} · ${house.count.toLocaleString()} px`;
+			
+			const swatch = document.createElement('div');
+			swatch.className = 'mask-swatch';
+			swatch.style.backgroundColor = house.hex;
+			
+			const idInput = document.createElement('input');
+			idInput.type = 'number';
+			idInput.min = 1;
+			idInput.value = house.id;
+			idInput.title = 'House ID';
+			idInput.setAttribute('aria-label', `ID of house ${house.name}`);
+			idInput.addEventListener('change', () => {
+				const id = parseInt(idInput.value);
+				if (Number.isInteger(id) && id >= 1 && id <= 0xFFFFFFFF) {
+					house.id = id;
+					onChange();
+				} else {
+					idInput.value = house.id;
+				}
+			});
+			
+			const nameInput = document.createElement('input');
+			nameInput.type = 'text';
+			nameInput.value = house.name;
+			nameInput.placeholder = 'House name';
+			nameInput.setAttribute('aria-label', `Name of house ${house.id}`);
+			nameInput.addEventListener('change', () => {
+				house.name = nameInput.value.trim();
+				nameInput.value = house.name;
+				onChange();
+			});
+			
+			// Town and rent
+			const details = document.createElement('div');
+			details.className = 'house-details';
+			for (const [key, label, max] of [['townId', 'Town', 0xFFFFFFFF], ['rent', 'Rent', 0xFFFFFFFF]]) {
+				const input = document.createElement('input');
+				input.type = 'number';
+				input.min = 0;
+				input.value = house[key];
+				input.setAttribute('aria-label', `${label} of house ${house.name}`);
+				input.addEventListener('change', () => {
+					house[key] = Math.max(0, Math.min(max, parseInt(input.value) || 0));
+					input.value = house[key];
+					onChange();
+				});
+				details.appendChild(document.createTextNode(label));
+				details.appendChild(input);
+			}
+			
+			// Entry position
+			const entry = this._createPositionInputs(house, house.entry, `the entry of ${house.name}`, onChange);
+			entry.prepend(document.createTextNode('Entry'));
+			
+			row.appendChild(swatch);
+			row.appendChild(idInput);
+			row.appendChild(nameInput);
+			row.appendChild(details);
+			row.appendChild(entry);
+			this.houseList.appendChild(row);
+		}
+	}
+	
+	/**
+	 * Draw the house mask into an overlay canvas for the preview
+	 */
+	_buildHouseOverlay() {
+		this.houseOverlay = null;
+		if (!this.houseMask) return;
+		
+		const { width, height, pixels } = this.houseMask;
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		const ctx = canvas.getContext('2d');
+		const overlay = ctx.createImageData(width, height);
+		overlay.data.set(pixels);
+		ctx.putImageData(overlay, 0, 0);
+		this.houseOverlay = canvas;
+	}
+	
+	/**
+	 * House ID for every pixel of the house mask
+	 * @returns {Uint32Array|null} House ID per pixel (row-major, 0 = no house), or null without a house mask
+	 */
+	_buildHouseIdGrid() {
+		if (!this.houseMask) return null;
+		
+		const { width, height, colors } = this.houseMask;
+		const grid = new Uint32Array(width * height);
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				const hex = this._getMaskColorAt(this.houseMask, x, y);
+				const house = hex && colors.get(hex);
+				grid[y * width + x] = house ? house.id : 0;
+			}
+		}
+		return grid;
+	}
+	
+	/**
+	 * Validate a house loaded from storage or an imported file
+	 * @returns {Object|null} { id, name, townId, rent, entry }, or null if invalid
+	 */
+	_sanitizeHouse(data) {
+		if (!data || !Number.isInteger(data.id) || data.id < 1 || data.id > 0xFFFFFFFF || !data.entry) {
+			return null;
+		}
+		const clamp = (value, max) => Math.max(0, Math.min(max, parseInt(value) || 0));
+		return {
+			id: data.id,
+			name: String(data.name || '').trim(),
+			townId: clamp(data.townId, 0xFFFFFFFF),
+			rent: clamp(data.rent, 0xFFFFFFFF),
+			entry: {
+				x: clamp(data.entry.x, 65535),
+				y: clamp(data.entry.y, 65535),
+				z: clamp(data.entry.z, 15)
+			}
+		};
+	}
+	
+	/**
+	 * Save house color -> house to localStorage
+	 */
+	_saveHouses() {
+		try {
+			// Keep houses of colors that are not in the current mask
+			const houses = Object.fromEntries(this._loadHouses());
+			for (const [hex, house] of this.houseMask ? this.houseMask.colors : []) {
+				houses[hex] = this._sanitizeHouse(house);
+			}
+			localStorage.setItem('pngToOtbmHouses', JSON.stringify(houses));
+		} catch (error) {
+			console.warn('Failed to save houses:', error);
+		}
+	}
+	
+	/**
+	 * Load house color -> house from localStorage
+	 * @returns {Map} hex color -> { id, name, townId, rent, entry }
+	 */
+	_loadHouses() {
+		try {
+			const saved = localStorage.getItem('pngToOtbmHouses');
+			if (saved) {
+				const houses = new Map();
+				for (const [hex, data] of Object.entries(JSON.parse(saved))) {
+					const house = this._sanitizeHouse(data);
+					if (house) {
+						houses.set(hex, house);
+					}
+				}
+				return houses;
+			}
+		} catch (error) {
+			console.warn('Failed to load houses:', error);
+		}
+		return new Map();
+	}
+	
+	/**
+	 * Add a town with the next free ID, its temple at the image origin
+	 */
+	_addTown() {
+		const id = this.towns.reduce((max, t) => Math.max(max, t.id), 0) + 1;
+		const town = {
+			id,
+			name: `Town ${id}`,
+			temple: {
+				x: parseInt(this.offsetX.value) || 0,
+				y: parseInt(this.offsetY.value) || 0,
+				z: parseInt(this.zLevel.value) || 7
+			}
+		};
+		this.towns.push(town);
+		this._saveTowns();
+		this._buildTownList();
+	}
+	
+	/**
+	 * Start (or with null, stop) picking a map position on the preview.
+	 * The clicked pixel is converted using the current offset and floor.
+	 * @param {Object|null} target - Object the position is picked for (marks its PICK button)
+	 * @param {string} description - What is being picked, for the status message
+	 * @param {Function} onPick - Called with the picked { x, y, z }
+	 */
+	_setPositionPicker(target, description, onPick) {
+		this.positionPicker = target ? { target, description, onPick } : null;
+		this._buildTownList();
+		this._buildWaypointList();
+		this._buildHouseList();
+		if (target) {
+			this._updateStatus(`Click the preview to set ${description} (Esc to cancel)`, '');
+		}
+	}
+	
+	/**
+	 * Create X/Y/Z inputs editing a position in place, and a PICK button
+	 * @param {Object} target - Object owning the position (for the PICK button state)
+	 * @param {Object} position - Position { x, y, z } to edit
+	 * @param {string} description - Position description, e.g. "the temple of Thais"
+	 * @param {Function} onChange - Called after the position changes
+	 * @returns {HTMLElement} Container with the inputs
+	 */
+	_createPositionInputs(target, position, description, onChange) {
+		const container = document.createElement('div');
+		container.className = 'position-inputs';
+		
+		for (const [axis, max] of [['x', 65535], ['y', 65535], ['z', 15]]) {
+			const input = document.createElement('input');
+			input.type = 'number';
+			input.min = 0;
+			input.max = max;
+			input.value = position[axis];
+			input.setAttribute('aria-label', `${axis.toUpperCase()} of ${description}`);
+			input.addEventListener('change', () => {
+				position[axis] = Math.max(0, Math.min(max, parseInt(input.value) || 0));
+				input.value = position[axis];
+				onChange();
+			});
+			container.appendChild(input);
+		}
+		
+		const picking = this.positionPicker && this.positionPicker.target === target;
+		const pickBtn = document.createElement('button');
+		pickBtn.className = 'btn btn-small pick-btn';
+		pickBtn.textContent = 'PICK';
+		pickBtn.title = `Pick ${description} by clicking the preview`;
+		pickBtn.disabled = !this.image;
+		pickBtn.classList.toggle('active', !!picking);
+		pickBtn.addEventListener('click', () => {
+			if (picking) {
+				this._setPositionPicker(null);
+				return;
+			}
+			this._setPositionPicker(target, description, (picked) => {
+				Object.assign(position, picked);
+				onChange();
+				this._updateStatus(`Set ${description} to ${picked.x}, ${picked.y}, ${picked.z}`, 'success');
+			});
+		});
+		container.appendChild(pickBtn);
+		
+		return container;
+	}
+	
+	/**
+	 * Check towns before writing them
+	 * @returns {string|null} Error message, or null if the towns are valid
+	 */
+	_validateTowns() {
+		const ids = new Set();
+		for (const town of this.towns) {
+			if (!town.name.trim()) {
+				return `Town ${town.id} has no name`;
+			}
+			if (ids.has(town.id)) {
+				return `Duplicate town ID: ${town.id}`;
+			}
+			ids.add(town.id);
+		}
+		return null;
+	}
+	
+	/**
+	 * Update the towns summary
+	 */
+	_updateTownInfo() {
+		const error = this._validateTowns();
+		if (error) {
+			this.townInfo.textContent = error;
+		} else if (this.towns.length === 0) {
+			this.townInfo.textContent = 'No towns. Pick a temple by clicking the preview.';
+		} else {
+			this.townInfo.textContent = `${this.towns.length} town${this.towns.length === 1 ? '' : 's'}`;
+		}
+		this.townInfo.classList.toggle('error', !!error);
+	}
+	
+	/**
+	 * Build the town list UI
+	 */
+	_buildTownList() {
+		this.townList.innerHTML = '';
+		this._updateTownInfo();
+		
+		for (const town of this.towns) {
+			const row = document.createElement('div');
+			row.className = 'town-row';
+			
+			const idInput = document.createElement('input');
+			idInput.type = 'number';
+			idInput.min = 1;
+			idInput.value = town.id;
+			idInput.title = 'Town ID';
+			idInput.setAttribute('aria-label', `ID of town ${town.name}`);
+			idInput.addEventListener('change', () => {
+				const id = parseInt(idInput.value);
+				if (Number.isInteger(id) && id >= 1 && id <= 0xFFFFFFFF) {
+					town.id = id;
+					this._saveTowns();
+					this._updateTownInfo();
+				} else {
+					idInput.value = town.id;
+				}
+			});
+			
+			const nameInput = document.createElement('input');
+			nameInput.type = 'text';
+			nameInput.value = town.name;
+			nameInput.placeholder = 'Town name';
+			nameInput.setAttribute('aria-label', `Name of town ${town.id}`);
+			nameInput.addEventListener('change', () => {
+				town.name = nameInput.value.trim();
+				this._saveTowns();
+				this._updateTownInfo();
+			});
+			
+			const deleteBtn = document.createElement('button');
+			deleteBtn.className = 'btn-icon-only favorite-delete';
+			deleteBtn.textContent = '×';
+			deleteBtn.title = 'Delete town';
+			deleteBtn.addEventListener('click', () => {
+				if (confirm(`Delete town "${town.name}"?`)) {
+					this.towns = this.towns.filter(t => t !== town);
+					if (this.positionPicker && this.positionPicker.target === town) {
+						this.positionPicker = null;
+					}
+					this._saveTowns();
+					this._buildTownList();
+				}
+			});
+			
+			// Temple position
+			const temple = this._createPositionInputs(town, town.temple, `the temple of ${town.name}`, () => this._saveTowns());
+			temple.prepend(document.createTextNode('Temple'));
+			
+			row.appendChild(idInput);
+			row.appendChild(nameInput);
+			row.appendChild(deleteBtn);
+			row.appendChild(temple);
+			this.townList.appendChild(row);
+		}
+	}
+	
+	/**
+	 * Validate towns loaded from storage or an imported file
+	 * @returns {Array} Valid towns
+	 */
+	_sanitizeTowns(towns) {
+		const coordinate = (value, max) => Math.max(0, Math.min(max, parseInt(value) || 0));
+		return towns
+			.filter(t => t && Number.isInteger(t.id) && t.id >= 1 && t.id <= 0xFFFFFFFF && t.temple)
+			.map(t => ({
+				id: t.id,
+				name: String(t.name || ''),
+				temple: {
+					x: coordinate(t.temple.x, 65535),
+					y: coordinate(t.temple.y, 65535),
+					z: coordinate(t.temple.z, 15)
+				}
+			}));
+	}
+	
+	/**
+	 * Load towns from localStorage
+	 */
+	_loadTowns() {
+		try {
+			const towns = localStorage.getItem('pngToOtbmTowns');
+			if (towns) {
+				this.towns = this._sanitizeTowns(JSON.parse(towns));
+			}
+		} catch (error) {
+			console.warn('Failed to load towns:', error);
+			this.towns = [];
+		}
+		this._buildTownList();
+	}
+	
+	/**
+	 * Save towns to localStorage
+	 */
+	_saveTowns() {
+		try {
+			localStorage.setItem('pngToOtbmTowns', JSON.stringify(this.towns));
+		} catch (error) {
+			console.warn('Failed to save towns:', error);
+		}
+	}
+	
+	/**
+	 * Validate spawn marker settings (from the editor, storage or an imported file)
+	 * @returns {Object|null} { monsters, npcs, radius, spawnTime }, or null without creatures
+	 */
+	_sanitizeSpawn(spawn) {
+		if (!spawn || typeof spawn !== 'object') return null;
+		
+		const names = (list) => (Array.isArray(list) ? list : [])
+			.map(name => String(name).trim())
+			.filter(Boolean);
+		const monsters = names(spawn.monsters);
+		const npcs = names(spawn.npcs);
+		if (monsters.length === 0 && npcs.length === 0) return null;
+		
+		return {
+			monsters,
+			npcs,
+			radius: Math.max(1, Math.min(SPAWN_MAX_RADIUS, parseInt(spawn.radius) || SPAWN_DEFAULT_RADIUS)),
+			spawnTime: Math.max(1, Math.min(86400, parseInt(spawn.spawnTime) || SPAWN_DEFAULT_TIME))
+		};
+	}
+	
+	/**
+	 * Short summary of a spawn marker, e.g. "Rat ×2, Sam (r3, 60s)"
+	 */
+	_describeSpawn(spawn) {
+		const counts = new Map();
+		for (const name of [...spawn.monsters, ...spawn.npcs]) {
+			counts.set(name, (counts.get(name) || 0) + 1);
+		}
+		const creatures = [...counts].map(([name, count]) => count > 1 ? `${name} ×${count}` : name);
+		return `${creatures.join(', ')} (r${spawn.radius}, ${spawn.spawnTime}s)`;
+	}
+	
+	/**
+	 * Build the spawn XML files for a map
+	 * @param {Array} spawns - Spawns from createSpawn()
+	 * @param {string} mapName - Map file name without extension
+	 * @returns {Array} Files { name, xml } to download
+	 */
+	_buildSpawnFiles(spawns, mapName) {
+		if (spawns.length === 0) return [];
+		
+		if (!this.separateNpcFile.checked) {
+			return [{ name: `${mapName}-spawn.xml`, xml: buildSpawnsXml(spawns) }];
+		}
+		
+		// Split each spawn into its monster and NPC parts
+		const split = (type) => spawns
+			.map(spawn => ({ ...spawn, creatures: spawn.creatures.filter(c => c.type === type) }))
+			.filter(spawn => spawn.creatures.length > 0);
+		const files = [{ name: `${mapName}-spawn.xml`, xml: buildSpawnsXml(split('monster')) }];
+		const npcSpawns = split('npc');
+		if (npcSpawns.length > 0) {
+			files.push({ name: `${mapName}-npc.xml`, xml: buildNpcSpawnsXml(npcSpawns) });
+		}
+		return files;
+	}
+	
+	/**
+	 * Update the spawns summary
+	 */
+	_updateSpawnInfo() {
+		const markers = [...this.colorMappings.values()].filter(m => m.spawn);
+		if (markers.length === 0) {
+			this.spawnInfo.textContent = 'No spawns. Add monsters or NPCs to a marker color in its item attributes.';
+			return;
+		}
+		
+		const centers = markers.reduce((sum, m) => sum + m.count, 0);
+		this.spawnInfo.textContent = `${markers.length} spawn color${markers.length === 1 ? '' : 's'}, ${centers.toLocaleString()} spawn${centers === 1 ? '' : 's'} in the image`;
+	}
+	
+	/**
+	 * Add a waypoint at the image origin
+	 */
+	_addWaypoint() {
+		const names = new Set(this.waypoints.map(w => w.name));
+		let number = this.waypoints.length + 1;
+		while (names.has(`Waypoint ${number}`)) {
+			number++;
+		}
+		
+		this.waypoints.push({
+			name: `Waypoint ${number}`,
+			position: {
+				x: parseInt(this.offsetX.value) || 0,
+				y: parseInt(this.offsetY.value) || 0,
+				z: parseInt(this.zLevel.value) || 7
+			}
+		});
+		this._saveWaypoints();
+		this._buildWaypointList();
+	}
+	
+	/**
+	 * Update the waypoints summary
+	 */
+	_updateWaypointInfo() {
+		const markers = [...this.colorMappings.values()].filter(m => m.waypoint).length;
+		const error = validateWaypoints(this.waypoints);
+		if (error) {
+			this.waypointInfo.textContent = error;
+		} else if (this.waypoints.length === 0 && markers === 0) {
+			this.waypointInfo.textContent = 'No waypoints. Place them on the preview or set a waypoint name on a marker color.';
+		} else {
+			let text = `${this.waypoints.length} waypoint${this.waypoints.length === 1 ? '' : 's'}`;
+			if (markers > 0) {
+				text += `, ${markers} marker color${markers === 1 ? '' : 's'}`;
+			}
+			this.waypointInfo.textContent = text;
+		}
+		this.waypointInfo.classList.toggle('error', !!error);
+	}
+	
+	/**
+	 * Build the waypoint list UI
+	 */
+	_buildWaypointList() {
+		this.waypointList.innerHTML = '';
+		this._updateWaypointInfo();
+		
+		for (const waypoint of this.waypoints) {
+			const row = document.createElement('div');
+			row.className = 'waypoint-row';
+			
+			const nameInput = document.createElement('input');
+			nameInput.type = 'text';
+			nameInput.value = waypoint.name;
+			nameInput.placeholder = 'Waypoint name';
+			nameInput.setAttribute('aria-label', `Name of waypoint ${waypoint.name}`);
+			nameInput.addEventListener('change', () => {
+				waypoint.name = nameInput.value.trim();
+				nameInput.value = waypoint.name;
+				this._saveWaypoints();
+				this._updateWaypointInfo();
+			});
+			
+			const deleteBtn = document.createElement('button');
+			deleteBtn.className = 'btn-icon-only favorite-delete';
+			deleteBtn.textContent = '×';
+			deleteBtn.title = 'Delete waypoint';
+			deleteBtn.addEventListener('click', () => {
+				this.waypoints = this.waypoints.filter(w => w !== waypoint);
+				if (this.positionPicker && this.positionPicker.target === waypoint) {
+					this.positionPicker = null;
+				}
+				this._saveWaypoints();
+				this._buildWaypointList();
+			});
+			
+			const position = this._createPositionInputs(waypoint, waypoint.position, `waypoint ${waypoint.name}`, () => this._saveWaypoints());
+			
+			row.appendChild(nameInput);
+			row.appendChild(deleteBtn);
+			row.appendChild(position);
+			this.waypointList.appendChild(row);
+		}
+	}
+	
+	/**
+	 * Validate waypoints loaded from storage or an imported file
+	 * @returns {Array} Valid waypoints
+	 */
+	_sanitizeWaypoints(waypoints) {
+		const coordinate = (value, max) => Math.max(0, Math.min(max, parseInt(value) || 0));
+		return waypoints
+			.filter(w => w && typeof w.name === 'string' && w.position)
+			.map(w => ({
+				name: w.name.trim(),
+				position: {
+					x: coordinate(w.position.x, 65535),
+					y: coordinate(w.position.y, 65535),
+					z: coordinate(w.position.z, 15)
+				}
+			}));
+	}
+	
+	/**
+	 * Load waypoints from localStorage
+	 */
+	_loadWaypoints() {
+		try {
+			const waypoints = localStorage.getItem('pngToOtbmWaypoints');
+			if (waypoints) {
+				this.waypoints = this._sanitizeWaypoints(JSON.parse(waypoints));
+			}
+		} catch (error) {
+			console.warn('Failed to load waypoints:', error);
+			this.waypoints = [];
+		}
+		this._buildWaypointList();
+	}
+	
+	/**
+	 * Save waypoints to localStorage
+	 */
+	_saveWaypoints() {
+		try {
+			localStorage.setItem('pngToOtbmWaypoints', JSON.stringify(this.waypoints));
+		} catch (error) {
+			console.warn('Failed to save waypoints:', error);
+		}
+	}
+	
+	/**
+	 * Load RME material files (borders.xml, grounds.xml) and add them to the border definitions
+	 */
+	_loadBorderFiles(files) {
+		const materials = this.borderMaterials
+			? { borders: { ...this.borderMaterials.borders }, brushes: this.borderMaterials.brushes.slice() }
+			: { borders: {}, brushes: [] };
+		
+		const readNext = (index) => {
+			if (index >= files.length) {
+				this.borderMaterials = materials;
+				this._saveBorderMaterials();
+				this._updateBorderInfo();
+				this._updateStatus(`Loaded border definitions: ${files.map(file => file.name).join(', ')}`, 'success');
+				return;
+			}
+			
+			const file = files[index];
+			const reader = new FileReader();
+			reader.onload = (e) => {
+				try {
+					const parsed = parseMaterialsXml(e.target.result);
+					if (Object.keys(parsed.borders).length === 0 && parsed.brushes.length === 0) {
+						throw new Error('no <border> or ground <brush> definitions found');
+					}
+					Object.assign(materials.borders, parsed.borders);
+					// Brushes with the same name replace the earlier ones
+					for (const brush of parsed.brushes) {
+						const existing = materials.brushes.findIndex(b => b.name === brush.name);
+						if (existing >= 0) {
+							materials.brushes[existing] = brush;
+						} else {
+							materials.brushes.push(brush);
+						}
+					}
+					readNext(index + 1);
+				} catch (error) {
+					this._updateStatus(`Failed to read ${file.name}: ${error.message}`, 'error');
+				}
+			};
+			reader.onerror = () => {
+				this._updateStatus(`Failed to load ${file.name}`, 'error');
+			};
+			reader.readAsText(file);
+		};
+		
+		readNext(0);
+	}
+	
+	/**
+	 * Remove the border definitions
+	 */
+	_clearBorderMaterials() {
+		this.borderMaterials = null;
+		this._saveBorderMaterials();
+		this._updateBorderInfo();
+	}
+	
+	/**
+	 * Update the borders summary; warns about brushes whose border is not defined
+	 */
+	_updateBorderInfo() {
+		this.clearBorderFilesBtn.disabled = !this.borderMaterials;
+		this.borderInfo.classList.remove('error');
+		
+		if (!this.borderMaterials) {
+			this.borderInfo.textContent = 'No border definitions. Load RME borders.xml and grounds.xml.';
+			return;
+		}
+		
+		const { borders, brushes } = this.borderMaterials;
+		const bordered = brushes.filter(brush => borders[brush.borderId]);
+		let text = `${Object.keys(borders).length} borders, ${brushes.length} ground brushes (${bordered.length} with a border)`;
+		const missing = brushes.filter(brush => brush.borderId && !borders[brush.borderId]);
+		if (missing.length > 0) {
+			text += `. Border ${missing[0].borderId} of ${missing[0].name} is not defined`;
+			if (missing.length > 1) {
+				text += ` (and ${missing.length - 1} more)`;
+			}
+			this.borderInfo.classList.add('error');
+		}
+		this.borderInfo.textContent = text;
+	}
+	
+	/**
+	 * Brush index + 1 of each pixel of a floor (0 = no brush). A color belongs to the
+	 * brush of its ground ID, or of the first ground variant that has one.
+	 */
+	_buildBrushGrid(floor, transparentId) {
+		const brushes = this.borderMaterials.brushes;
+		const brushOf = (ids) => {
+			const index = brushes.findIndex(brush => ids.some(id => brush.items.includes(id)));
+			return index + 1;
+		};
+		
+		const colorBrushes = new Map();
+		for (const [hex, mapping] of this.colorMappings) {
+			const ids = mapping.variants.length > 0 ? mapping.variants.map(variant => variant.id) : [mapping.tileId];
+			const brush = brushOf(ids.filter(id => id > 0));
+			if (brush) {
+				colorBrushes.set(hex, brush);
+			}
+		}
+		const transparentBrush = transparentId > 0 ? brushOf([transparentId]) : 0;
+		
+		return this._buildColorGrid(floor, colorBrushes, transparentBrush);
+	}
+	
+	/**
+	 * Look up a number for each pixel of a floor by its color
+	 * @param {Object} floor - Floor { imageData }
+	 * @param {Map} colorValues - hex -> number (colors not in the map get 0)
+	 * @param {number} transparentValue - Number for transparent pixels
+	 * @returns {Uint16Array} Number per pixel
+	 */
+	_buildColorGrid(floor, colorValues, transparentValue) {
+		const { data: pixels, width, height } = floor.imageData;
+		const grid = new Uint16Array(width * height);
+		const alpha = this._getAlphaSettings();
+		for (let i = 0; i < grid.length; i++) {
+			const hex = this._pixelKey(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2], pixels[i * 4 + 3], alpha);
+			grid[i] = hex ? colorValues.get(hex) || 0 : transparentValue;
+		}
+		return grid;
+	}
+	
+	/**
+	 * Validate border definitions from storage
+	 * @returns {Object|null} { borders, brushes }, or null if empty
+	 */
+	_sanitizeBorderMaterials(materials) {
+		if (!materials || typeof materials !== 'object') return null;
+		
+		const borders = {};
+		for (const [id, border] of Object.entries(materials.borders || {})) {
+			if (!border || typeof border !== 'object') continue;
+			const items = {};
+			for (const [edge, itemId] of Object.entries(border)) {
+				const value = parseInt(itemId);
+				if (value > 0 && value <= 65535) {
+					items[edge] = value;
+				}
+			}
+			borders[id] = items;
+		}
+		
+		const brushes = (Array.isArray(materials.brushes) ? materials.brushes : [])
+			.filter(brush => brush && typeof brush === 'object' && Array.isArray(brush.items))
+			.map(brush => ({
+				name: String(brush.name || ''),
+				zOrder: parseInt(brush.zOrder) || 0,
+				items: brush.items.map(id => parseInt(id)).filter(id => id > 0 && id <= 65535),
+				borderId: parseInt(brush.borderId) || 0
+			}))
+			.filter(brush => brush.items.length > 0);
+		
+		if (Object.keys(borders).length === 0 && brushes.length === 0) return null;
+		return { borders, brushes };
+	}
+	
+	/**
+	 * Load border definitions from localStorage
+	 */
+	_loadBorderMaterials() {
+		try {
+			const saved = localStorage.getItem('pngToOtbmBorders');
+			if (saved) {
+				this.borderMaterials = this._sanitizeBorderMaterials(JSON.parse(saved));
+			}
+		} catch (error) {
+			console.warn('Failed to load border definitions:', error);
+			this.borderMaterials = null;
+		}
+		this._updateBorderInfo();
+	}
+	
+	/**
+	 * Save border definitions to localStorage
+	 */
+	_saveBorderMaterials() {
+		try {
+			if (this.borderMaterials) {
+				localStorage.setItem('pngToOtbmBorders', JSON.stringify(this.borderMaterials));
+			} else {
+				localStorage.removeItem('pngToOtbmBorders');
+			}
+		} catch (error) {
+			console.warn('Failed to save border definitions:', error);
+		}
+	}
+	
+	/**
+	 * Load RME walls.xml files and add their wall brushes
+	 */
+	_loadWallFiles(files) {
+		const brushes = this.wallBrushes.slice();
+		
+		const readNext = (index) => {
+			if (index >= files.length) {
+				this.wallBrushes = brushes;
+				this._saveWallBrushes();
+				this._updateWallInfo();
+				// Refresh the wall brush choices in the color editors
+				this._buildColorList();
+				this._updateStatus(`Loaded wall brushes: ${files.map(file => file.name).join(', ')}`, 'success');
+				return;
+			}
+			
+			const file = files[index];
+			const reader = new FileReader();
+			reader.onload = (e) => {
+				try {
+					const parsed = parseWallsXml(e.target.result);
+					if (parsed.length === 0) {
+						throw new Error('no wall <brush> definitions found');
+					}
+					// Brushes with the same name replace the earlier ones
+					for (const brush of parsed) {
+						const existing = brushes.findIndex(b => b.name === brush.name);
+						if (existing >= 0) {
+							brushes[existing] = brush;
+						} else {
+							brushes.push(brush);
+						}
+					}
+					readNext(index + 1);
+				} catch (error) {
+					this._updateStatus(`Failed to read ${file.name}: ${error.message}`, 'error');
+				}
+			};
+			reader.onerror = () => {
+				this._updateStatus(`Failed to load ${file.name}`, 'error');
+			};
+			reader.readAsText(file);
+		};
 		
-		const rgb = document.createElement('div');
-		rgb.className = 'color-rgb';
-		rgb.textContent = `RGB(${mapping.rgb.r}, ${mapping.rgb.g}, ${mapping.rgb.b})`;
+		readNext(0);
+	}
+	
+	/**
+	 * Remove the loaded wall brushes
+	 */
+	_clearWallBrushes() {
+		this.wallBrushes = [];
+		this._saveWallBrushes();
+		this._updateWallInfo();
+		this._buildColorList();
+	}
+	
+	/**
+	 * Update the walls summary
+	 */
+	_updateWallInfo() {
+		this.clearWallFilesBtn.disabled = this.wallBrushes.length === 0;
 		
-		const pixels = document.createElement('div');
-		pixels.className = 'color-pixels';
-		pixels.textContent = `${mapping.count.toLocaleString()} pixels`;
+		if (this.wallBrushes.length === 0) {
+			this.wallInfo.textContent = 'No wall brushes. Load RME walls.xml, or type wall item IDs on a color.';
+			return;
+		}
 		
-		info.appendChild(rgb);
-		info.appendChild(pixels);
+		const names = this.wallBrushes.slice(0, 3).map(brush => brush.name).join(', ');
+		const more = this.wallBrushes.length > 3 ? `, ${this.wallBrushes.length - 3} more` : '';
+		this.wallInfo.textContent = `${this.wallBrushes.length} wall brush${this.wallBrushes.length === 1 ? '' : 'es'}: ${names}${more}`;
+	}
+	
+	/**
+	 * Validate wall brushes from storage
+	 * @returns {Array} Valid wall brushes { name, types }
+	 */
+	_sanitizeWallBrushes(brushes) {
+		if (!Array.isArray(brushes)) {
+			return [];
+		}
+		return brushes
+			.filter(brush => brush && typeof brush.name === 'string' && brush.types && typeof brush.types === 'object')
+			.map(brush => {
+				const types = {};
+				for (const type of WALL_TYPES) {
+					const items = this._sanitizeWeightedIds(brush.types[type]);
+					if (items.length > 0) {
+						types[type] = items;
+					}
+				}
+				return { name: brush.name, types };
+			})
+			.filter(brush => Object.keys(brush.types).length > 0);
+	}
+	
+	/**
+	 * Load wall brushes from localStorage
+	 */
+	_loadWallBrushes() {
+		try {
+			const saved = localStorage.getItem('pngToOtbmWalls');
+			if (saved) {
+				this.wallBrushes = this._sanitizeWallBrushes(JSON.parse(saved));
+			}
+		} catch (error) {
+			console.warn('Failed to load wall brushes:', error);
+			this.wallBrushes = [];
+		}
+		this._updateWallInfo();
+	}
+	
+	/**
+	 * Save wall brushes to localStorage
+	 */
+	_saveWallBrushes() {
+		try {
+			localStorage.setItem('pngToOtbmWalls', JSON.stringify(this.wallBrushes));
+		} catch (error) {
+			console.warn('Failed to save wall brushes:', error);
+		}
+	}
+	
+	/**
+	 * Apply the rules typed in the rules editor
+	 */
+	_applyRules() {
+		const text = this.rulesInput.value.trim();
+		try {
+			const parsed = text ? JSON.parse(text) : [];
+			if (!Array.isArray(parsed)) {
+				throw new Error('Rules must be a JSON array');
+			}
+			if (parsed.length > MAX_RULES) {
+				throw new Error(`Too many rules (maximum ${MAX_RULES})`);
+			}
+			this.rules = parsed.map((rule, index) => this._validateRule(rule, index));
+		} catch (error) {
+			this.ruleInfo.textContent = `Error: ${error.message}`;
+			this.ruleInfo.classList.add('error');
+			return;
+		}
 		
-		// ID input
-		const input = document.createElement('input');
-		input.type = 'number';
-		input.className = 'color-id-input';
-		input.value = mapping.tileId;
-		input.min = 0;
-		input.max = 65535;
-		input.placeholder = 'ID';
+		this._saveRules();
+		this._showRules();
+		this._updateStatus(`Applied ${this.rules.length} rule${this.rules.length === 1 ? '' : 's'}`, 'success');
+	}
+	
+	/**
+	 * Validate a neighbour rule
+	 * @param {Object} rule - Rule as written in JSON
+	 * @param {number} index - Position in the rule list, for error messages
+	 * @returns {Object} Rule { name, color, neighbour, sides, min, max, ground, items }
+	 * @throws {Error} If the rule is invalid
+	 */
+	_validateRule(rule, index) {
+		const prefix = `Rule ${index + 1}`;
+		if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+			throw new Error(`${prefix}: must be an object`);
+		}
 		
-		input.addEventListener('change', (e) => {
-			const value = parseInt(e.target.value) || 0;
-			mapping.tileId = Math.max(0, Math.min(65535, value));
-			e.target.value = mapping.tileId;
-			this._saveColorMappings(); // Save color mapping when ID changes
-		});
+		// Alpha band colors have the band's suffix
+		const isHex = (value) => typeof value === 'string' && /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value) &&
+			(value.length === 7 || ALPHA_BANDS.some(band => band.key === value.slice(7).toLowerCase()));
+		if (!isHex(rule.color)) {
+			throw new Error(`${prefix}: "color" must be a hex color like #00ff00 (#00ff0040 or #00ff00c0 for alpha bands)`);
+		}
 		
-		// Use debounced save for input events to avoid excessive localStorage writes
-		let inputTimeout = null;
-		input.addEventListener('input', (e) => {
-			const value = parseInt(e.target.value);
-			if (!isNaN(value)) {
-				mapping.tileId = Math.max(0, Math.min(65535, value));
-				// Debounce localStorage save (save after 500ms of no input)
-				clearTimeout(inputTimeout);
-				inputTimeout = setTimeout(() => {
-					this._saveColorMappings();
-				}, 500);
+		const neighbour = rule.neighbour === undefined ? 'same' : rule.neighbour;
+		if (!['same', 'other', 'transparent'].includes(neighbour) && !isHex(neighbour)) {
+			throw new Error(`${prefix}: "neighbour" must be "same", "other", "transparent" or a hex color`);
+		}
+		
+		const sides = !!rule.sides;
+		const maxCount = sides ? 4 : 8;
+		const count = (key, fallback) => {
+			if (rule[key] === undefined) return fallback;
+			const value = rule[key];
+			if (!Number.isInteger(value) || value < 0 || value > maxCount) {
+				throw new Error(`${prefix}: "${key}" must be a whole number from 0 to ${maxCount}`);
 			}
-		});
+			return value;
+		};
+		// At least one neighbour by default, none when the rule asks for "max": 0
+		const max = count('max', maxCount);
+		const min = count('min', Math.min(1, max));
+		if (min > max) {
+			throw new Error(`${prefix}: "min" is larger than "max"`);
+		}
 		
-		// Add ARIA label
-		input.setAttribute('aria-label', `Tile ID for color ${hex}`);
+		let ground = null;
+		if (rule.ground !== undefined) {
+			if (!Number.isInteger(rule.ground) || rule.ground < 0 || rule.ground > 65535) {
+				throw new Error(`${prefix}: "ground" must be an item ID from 0 to 65535`);
+			}
+			ground = rule.ground;
+		}
 		
-		// Make row droppable for favorites
-		row.addEventListener('dragover', (e) => {
-			e.preventDefault();
-			row.classList.add('drag-over');
-		});
+		const items = rule.items === undefined ? [] : rule.items;
+		if (!Array.isArray(items) || items.some(id => !Number.isInteger(id) || id < 1 || id > 65535)) {
+			throw new Error(`${prefix}: "items" must be a list of item IDs from 1 to 65535`);
+		}
+		if (items.length > MAX_STACKED_ITEMS) {
+			throw new Error(`${prefix}: at most ${MAX_STACKED_ITEMS} items`);
+		}
+		if (ground === null && items.length === 0) {
+			throw new Error(`${prefix}: needs a "ground" or "items" to place`);
+		}
 		
-		row.addEventListener('dragleave', () => {
-			row.classList.remove('drag-over');
+		return {
+			name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : `Rule ${index + 1}`,
+			color: rule.color.toLowerCase(),
+			neighbour: neighbour.toLowerCase(),
+			sides,
+			min,
+			max,
+			ground,
+			items: items.slice()
+		};
+	}
+	
+	/**
+	 * Rule as written in JSON, without the default values
+	 */
+	_ruleToJson(rule) {
+		const json = { name: rule.name, color: rule.color };
+		if (rule.neighbour !== 'same') json.neighbour = rule.neighbour;
+		if (rule.sides) json.sides = true;
+		if (rule.min !== Math.min(1, rule.max)) json.min = rule.min;
+		if (rule.max !== (rule.sides ? 4 : 8)) json.max = rule.max;
+		if (rule.ground !== null) json.ground = rule.ground;
+		if (rule.items.length > 0) json.items = rule.items;
+		return json;
+	}
+	
+	/**
+	 * Validate neighbour rules from storage or an imported file, leaving out invalid rules
+	 * @returns {Array} Valid rules
+	 */
+	_sanitizeRules(rules) {
+		if (!Array.isArray(rules)) {
+			return [];
+		}
+		const valid = [];
+		rules.slice(0, MAX_RULES).forEach((rule, index) => {
+			try {
+				valid.push(this._validateRule(rule, index));
+			} catch (error) {
+				console.warn('Skipped invalid rule:', error.message);
+			}
 		});
+		return valid;
+	}
+	
+	/**
+	 * Match the neighbour rules against the pixels of a floor. A rule matches a pixel of its
+	 * color when the number of neighbours (all eight, or only the sides) of the rule's
+	 * neighbour color is between min and max; the first matching rule wins.
+	 * @param {Object} floor - Floor { imageData }
+	 * @returns {Uint8Array} Rule index + 1 per pixel (0 = no rule)
+	 */
+	_matchRules(floor) {
+		const { data: pixels, width, height } = floor.imageData;
 		
-		row.addEventListener('drop', (e) => {
-			e.preventDefault();
-			row.classList.remove('drag-over');
-			const favoriteId = e.dataTransfer.getData('favorite/id');
-			if (favoriteId) {
-				const favorite = this.favorites.find(f => f.id === favoriteId);
-				if (favorite) {
-					mapping.tileId = favorite.tileId;
-					input.value = favorite.tileId;
-					this._saveColorMappings(); // Save color mapping when ID is assigned via favorite
-					this._updateStatus(`Assigned "${favorite.name}" (ID: ${favorite.tileId}) to color`, 'success');
+		// Pixel colors as numbers (alpha band index + 1 above the RGB bits), -1 for transparent pixels
+		const colors = new Int32Array(width * height);
+		const alpha = this._getAlphaSettings();
+		for (let i = 0; i < colors.length; i++) {
+			const band = this._alphaBand(pixels[i * 4 + 3], alpha);
+			colors[i] = band < 0 ? -1 : (band << 24) | (pixels[i * 4] << 16) | (pixels[i * 4 + 1] << 8) | pixels[i * 4 + 2];
+		}
+		const colorValue = (hex) => ((ALPHA_BANDS.findIndex(band => band.key === hex.slice(7)) + 1) << 24) | parseInt(hex.slice(1, 7), 16);
+		
+		const rules = this.rules.map(rule => ({
+			...rule,
+			colorValue: colorValue(rule.color),
+			neighbourValue: rule.neighbour.startsWith('#') ? colorValue(rule.neighbour) : null,
+			offsets: rule.sides ? NEIGHBOUR_OFFSETS.filter(({ dx, dy }) => dx === 0 || dy === 0) : NEIGHBOUR_OFFSETS
+		}));
+		
+		const matches = new Uint8Array(width * height);
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				const color = colors[y * width + x];
+				if (color < 0) continue;
+				
+				for (let r = 0; r < rules.length; r++) {
+					const rule = rules[r];
+					if (rule.colorValue !== color) continue;
+					
+					let count = 0;
+					for (const { dx, dy } of rule.offsets) {
+						const nx = x + dx;
+						const ny = y + dy;
+						if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+						
+						const neighbour = colors[ny * width + nx];
+						if (rule.neighbourValue !== null ? neighbour === rule.neighbourValue
+							: rule.neighbour === 'same' ? neighbour === color
+							: rule.neighbour === 'other' ? neighbour >= 0 && neighbour !== color
+							: neighbour < 0) {
+							count++;
+						}
+					}
+					if (count >= rule.min && count <= rule.max) {
+						matches[y * width + x] = r + 1;
+						break;
+					}
 				}
 			}
+		}
+		return matches;
+	}
+	
+	/**
+	 * Draw the tiles each rule changes on the shown floor into an overlay canvas, and count them
+	 */
+	_buildRuleOverlay() {
+		this.ruleOverlay = null;
+		this.ruleCounts = this.rules.map(() => 0);
+		const floor = this.floors[this.activeFloor];
+		if (floor && floor.imageData && this.rules.length > 0) {
+			const matches = this._matchRules(floor);
+			const { width, height } = floor.imageData;
+			const canvas = document.createElement('canvas');
+			canvas.width = width;
+			canvas.height = height;
+			const ctx = canvas.getContext('2d');
+			const overlay = ctx.createImageData(width, height);
+			
+			for (let i = 0; i < matches.length; i++) {
+				const rule = matches[i];
+				if (!rule) continue;
+				this.ruleCounts[rule - 1]++;
+				overlay.data.set(RULE_PREVIEW_COLORS[(rule - 1) % RULE_PREVIEW_COLORS.length], i * 4);
+				overlay.data[i * 4 + 3] = 255;
+			}
+			
+			ctx.putImageData(overlay, 0, 0);
+			this.ruleOverlay = canvas;
+		}
+		this._buildRuleList();
+	}
+	
+	/**
+	 * Build the rule list with each rule's preview color and matched tiles
+	 */
+	_buildRuleList() {
+		this.ruleList.innerHTML = '';
+		this.rules.forEach((rule, index) => {
+			const row = document.createElement('div');
+			row.className = 'rule-row';
+			
+			const swatch = document.createElement('div');
+			swatch.className = 'mask-swatch';
+			swatch.style.backgroundColor = `rgb(${RULE_PREVIEW_COLORS[index % RULE_PREVIEW_COLORS.length].join(', ')})`;
+			
+			const summary = document.createElement('div');
+			summary.className = 'rule-summary';
+			summary.textContent = this.floors.length > 0
+				? `${rule.name} · ${this.ruleCounts[index].toLocaleString()} tile${this.ruleCounts[index] === 1 ? '' : 's'}`
+				: rule.name;
+			
+			row.appendChild(swatch);
+			row.appendChild(summary);
+			this.ruleList.appendChild(row);
 		});
+	}
+	
+	/**
+	 * Show the rules in the editor, summary, list and preview
+	 */
+	_showRules() {
+		this.rulesInput.value = this.rules.length > 0
+			? JSON.stringify(this.rules.map(rule => this._ruleToJson(rule)), null, 2)
+			: '';
+		this.ruleInfo.classList.remove('error');
+		this.ruleInfo.textContent = this.rules.length > 0
+			? `${this.rules.length} rule${this.rules.length === 1 ? '' : 's'}; the first matching rule changes a pixel's tile.`
+			: 'No rules. Write them as a JSON array below.';
+		this._buildRuleOverlay();
+		this._updatePreview();
+	}
+	
+	/**
+	 * Load neighbour rules from localStorage
+	 */
+	_loadRules() {
+		try {
+			const saved = localStorage.getItem('pngToOtbmRules');
+			if (saved) {
+				this.rules = this._sanitizeRules(JSON.parse(saved));
+			}
+		} catch (error) {
+			console.warn('Failed to load rules:', error);
+			this.rules = [];
+		}
+		this._showRules();
+	}
+	
+	/**
+	 * Save neighbour rules to localStorage
+	 */
+	_saveRules() {
+		try {
+			localStorage.setItem('pngToOtbmRules', JSON.stringify(this.rules.map(rule => this._ruleToJson(rule))));
+		} catch (error) {
+			console.warn('Failed to save rules:', error);
+		}
+	}
+	
+	/**
+	 * Cleanup settings from the inputs
+	 * @returns {Object} { islandSize, holeSize, majority } (sizes 0 = off)
+	 */
+	_getCleanupSettings() {
+		return {
+			islandSize: Math.max(0, Math.min(CLEANUP_MAX_REGION_SIZE, parseInt(this.islandSize.value) || 0)),
+			holeSize: Math.max(0, Math.min(CLEANUP_MAX_REGION_SIZE, parseInt(this.holeSize.value) || 0)),
+			majority: this.majorityFilter.checked
+		};
+	}
+	
+	/**
+	 * Set the cleanup inputs (from storage or an imported file), clamped to valid values
+	 */
+	_setCleanupSettings(settings) {
+		this.islandSize.value = Math.max(0, Math.min(CLEANUP_MAX_REGION_SIZE, parseInt(settings.islandSize) || 0));
+		this.holeSize.value = Math.max(0, Math.min(CLEANUP_MAX_REGION_SIZE, parseInt(settings.holeSize) || 0));
+		this.majorityFilter.checked = !!settings.majority;
+	}
+	
+	/**
+	 * Whether any cleanup pass is on
+	 */
+	_isCleanupEnabled(settings) {
+		return settings.islandSize > 1 || settings.holeSize > 1 || settings.majority;
+	}
+	
+	/**
+	 * A floor with the cleanup passes applied to its pixels. Waypoint and spawn marker colors
+	 * are usually single pixels, so they are left out rather than removed as noise.
+	 * @returns {Object} { floor, changed }: the cleaned floor (the floor itself if nothing changed) and the changed pixel count
+	 */
+	_cleanFloor(floor, settings) {
+		if (!this._isCleanupEnabled(settings)) return { floor, changed: 0 };
+		
+		const { width, height } = floor.imageData;
+		const alpha = this._getAlphaSettings();
+		const isMarker = (r, g, b, a) => {
+			const mapping = this.colorMappings.get(this._pixelKey(r, g, b, a, alpha));
+			return Boolean(mapping && (mapping.waypoint || mapping.spawn));
+		};
+		const { data, changed } = cleanupPixels(floor.imageData, settings, a => this._alphaBand(a, alpha), isMarker);
+		if (changed === 0) return { floor, changed };
+		return { floor: { ...floor, imageData: { width, height, data } }, changed };
+	}
+	
+	/**
+	 * Rebuild the preview overlay and the summary of the pixels the cleanup passes change on the shown floor
+	 */
+	_buildCleanupOverlay() {
+		this.cleanupOverlay = null;
+		const settings = this._getCleanupSettings();
+		if (!this._isCleanupEnabled(settings)) {
+			this.cleanupInfo.textContent = 'Off. Set an island or hole size, or the majority filter, to tidy stray pixels when generating.';
+			return;
+		}
+		const floor = this.floors[this.activeFloor];
+		if (!floor) {
+			this.cleanupInfo.textContent = 'On. Import an image to see the pixels it changes.';
+			return;
+		}
+		if (!floor.imageData) {
+			this.cleanupInfo.textContent = `On, but not available on images over ${MAX_IMAGE_DIMENSION} px (read in strips).`;
+			return;
+		}
+		
+		const { floor: cleaned, changed } = this._cleanFloor(floor, settings);
+		this.cleanupInfo.textContent = `On: ${changed.toLocaleString()} pixels changed on floor ${floor.z}`;
+		if (!this.showCleanupToggle.checked || changed === 0) return;
+		
+		const { width, height, data } = floor.imageData;
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		const ctx = canvas.getContext('2d');
+		const overlay = ctx.createImageData(width, height);
+		for (let i = 0; i < data.length; i += 4) {
+			if (data[i] === cleaned.imageData.data[i] && data[i + 1] === cleaned.imageData.data[i + 1] &&
+				data[i + 2] === cleaned.imageData.data[i + 2] && data[i + 3] === cleaned.imageData.data[i + 3]) continue;
+			overlay.data.set(CLEANUP_PREVIEW_COLOR, i);
+			overlay.data[i + 3] = 255;
+		}
+		ctx.putImageData(overlay, 0, 0);
+		this.cleanupOverlay = canvas;
+	}
+	
+	/**
+	 * Heightmap settings from the inputs
+	 * @returns {Object} { enabled, levels, fillId, cliffId }
+	 */
+	_getHeightmapSettings() {
+		return {
+			enabled: this.heightmapMode.checked,
+			levels: Math.max(HEIGHT_MIN_LEVELS, Math.min(HEIGHT_MAX_LEVELS, parseInt(this.heightLevels.value) || HEIGHT_MIN_LEVELS)),
+			fillId: Math.max(0, Math.min(65535, parseInt(this.heightFillId.value) || 0)),
+			cliffId: Math.max(0, Math.min(65535, parseInt(this.cliffItemId.value) || 0))
+		};
+	}
+	
+	/**
+	 * Set the heightmap inputs (from storage or an imported file)
+	 */
+	_setHeightmapSettings(settings) {
+		this.heightmapMode.checked = !!settings.enabled;
+		if (settings.levels !== undefined) this.heightLevels.value = settings.levels;
+		if (settings.fillId !== undefined) this.heightFillId.value = settings.fillId;
+		if (settings.cliffId !== undefined) this.cliffItemId.value = settings.cliffId;
+		this._sanitizeHeightmapSettings();
+	}
+	
+	/**
+	 * Clamp the heightmap inputs to valid values
+	 */
+	_sanitizeHeightmapSettings() {
+		const settings = this._getHeightmapSettings();
+		this.heightLevels.value = settings.levels;
+		this.heightFillId.value = settings.fillId;
+		this.cliffItemId.value = settings.cliffId;
+	}
+	
+	/**
+	 * Check that the heightmap fits the floors
+	 * @returns {string|null} Error message, or null if the heightmap can be generated
+	 */
+	_validateHeightmap(settings) {
+		if (this.floors.length > 1) {
+			return 'Heightmap mode uses a single image. Remove the other floors first.';
+		}
+		if (this._isTiled()) {
+			return `Heightmap mode needs the whole image at once, so it can't be used on images over ${MAX_IMAGE_DIMENSION} px`;
+		}
+		const baseZ = this.floors.length > 0 ? this.floors[0].z : parseInt(this.zLevel.value) || 0;
+		if (settings.levels - 1 > baseZ) {
+			return `${settings.levels} height levels don't fit above Z-level ${baseZ} (the highest floor is 0)`;
+		}
+		return null;
+	}
+	
+	/**
+	 * Height level of each pixel: darkest = 0 (the floor's Z-level), each brighter band
+	 * one floor higher. Transparent pixels stay at level 0.
+	 * @returns {Uint8Array} Level per pixel
+	 */
+	_computeHeightLevels(floor, levels) {
+		const pixels = floor.imageData.data;
+		const result = new Uint8Array(floor.imageData.width * floor.imageData.height);
+		const threshold = this._getAlphaThreshold();
+		for (let i = 0; i < result.length; i++) {
+			if (pixels[i * 4 + 3] < threshold) continue;
+			result[i] = this._getHeightLevel(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2], levels);
+		}
+		return result;
+	}
+	
+	/**
+	 * Height level of a color: its brightness (luma) in equal bands
+	 * @returns {number} Level from 0 to levels - 1
+	 */
+	_getHeightLevel(r, g, b, levels) {
+		const brightness = 0.299 * r + 0.587 * g + 0.114 * b;
+		return Math.min(levels - 1, Math.floor(brightness / 256 * levels));
+	}
+	
+	/**
+	 * Update the heightmap summary: the pixels per floor, or why the image can't be used
+	 */
+	_updateHeightmapInfo() {
+		this.heightmapInfo.classList.remove('error');
+		const settings = this._getHeightmapSettings();
+		if (!settings.enabled) {
+			this.heightmapInfo.textContent = 'Off. When on, the brightness of a single grayscale image sets the floor of each pixel.';
+			return;
+		}
+		if (this.floors.length === 0) {
+			this.heightmapInfo.textContent = `On: ${settings.levels} height levels. Import a grayscale image.`;
+			return;
+		}
 		
-		// Assemble row
-		row.appendChild(swatch);
-		row.appendChild(info);
-		row.appendChild(input);
+		const error = this._validateHeightmap(settings);
+		if (error) {
+			this.heightmapInfo.textContent = error;
+			this.heightmapInfo.classList.add('error');
+			return;
+		}
 		
-		return row;
+		const counts = new Array(settings.levels).fill(0);
+		for (const level of this._computeHeightLevels(this.floors[0], settings.levels)) {
+			counts[level]++;
+		}
+		const baseZ = this.floors[0].z;
+		this.heightmapInfo.textContent = 'On: ' + counts
+			.map((count, level) => `Z ${baseZ - level}: ${count.toLocaleString()} px`)
+			.join(', ');
 	}
 	
 	/**
-	 * Generate the OTBM file
+	 * Read an image file into pixel data. A PNG file too large to hold at once is downsampled a
+	 * strip of rows at a time, or left to be read in strips when it is used (imageData null).
+	 * @param {File} file - Image file
+	 * @param {Function} onLoad - Called with { image, imageData }, and for an image left to be read
+	 *   in strips the file it is read from (the image is then only { width, height })
 	 */
-	_generateOTBM() {
-		try {
-			if (!this.image || !this.imageData) {
-				this._updateStatus('No image loaded!', 'error');
+	_readImageFile(file, onLoad) {
+		PNGStripReader.readHeader(file).then((header) => {
+			if (!header || header.interlaced || this._checkImageComplexity(header.width, header.height).valid) {
+				this._decodeImageFile(file, onLoad);
 				return;
 			}
 			
-			// Get image dimensions first
-			const width = this.image.width;
-			const height = this.image.height;
-			
-			// Check for ID 0 warnings
-			const zeroIds = [...this.colorMappings.values()].filter(m => m.tileId === 0);
-			const transparentId = Math.max(0, Math.min(65535, parseInt(this.transparentTileId.value) || 0));
-			const hasTransparentPixels = this.transparentPixelCount > 0;
-			
-			if (zeroIds.length > 0 || (hasTransparentPixels && transparentId === 0)) {
-				let warningMsg = '';
-				if (zeroIds.length > 0) {
-					warningMsg += `${zeroIds.length} color(s) have ID 0.\nThese pixels will be skipped (no tile placed).\n\n`;
-				}
-				if (hasTransparentPixels && transparentId === 0) {
-					warningMsg += `${this.transparentPixelCount.toLocaleString()} transparent pixel(s) detected.\nTransparent Tile ID is 0, so these will be skipped.\n\n`;
-				}
-				warningMsg += 'Continue anyway?';
-				
-				const proceed = confirm(warningMsg);
-				if (!proceed) return;
+			const factor = this._getDownsampleFactor();
+			const { width, height } = header;
+			if (factor > 1 && this._checkImageComplexity(Math.ceil(width / factor), Math.ceil(height / factor)).valid) {
+				this._downsampleImageInStrips(file, header, factor).then(onLoad, (error) => {
+					this._updateStatus(`Failed to load image: ${file.name}: ${error.message}`, 'error');
+				});
+				return;
 			}
-			
-			this._updateStatus('Generating OTBM...', '');
-			
-			// Get and validate settings
-			const z = Math.max(0, Math.min(15, parseInt(this.zLevel.value) || 7));
-			const offX = Math.max(0, parseInt(this.offsetX.value) || 0);
-			const offY = Math.max(0, parseInt(this.offsetY.value) || 0);
-			
-			// Validate offsets don't cause overflow
-			if (offX + width > 65535 || offY + height > 65535) {
-				this._updateStatus('Error: Offset + image size exceeds maximum map dimensions (65535)', 'error');
+			onLoad({ image: { width, height }, imageData: null, file });
+		}, () => {
+			this._updateStatus(`Failed to load image: ${file.name}`, 'error');
+		});
+	}
+	
+	/**
+	 * Decode an image file with the browser (see _readImageFile). An image too large to draw
+	 * into one canvas is downsampled block by block, or given without its pixels (imageData null).
+	 * @param {File} file - Image file
+	 * @param {Function} onLoad - Called with { image, imageData }
+	 */
+	_decodeImageFile(file, onLoad) {
+		// An object URL rather than a data URL, so large files aren't copied into a string
+		const url = URL.createObjectURL(file);
+		const img = new Image();
+		
+		img.onload = () => {
+			URL.revokeObjectURL(url);
+			const factor = this._getDownsampleFactor();
+			if (!this._checkImageComplexity(img.width, img.height).valid) {
+				const fits = factor > 1 && this._checkImageComplexity(Math.ceil(img.width / factor), Math.ceil(img.height / factor)).valid;
+				onLoad(fits ? this._downsampleImageInBlocks(img, factor) : { image: { width: img.width, height: img.height }, imageData: null });
 				return;
 			}
 			
-			// Get client configuration
-			const clientConfig = this._getCurrentClientConfig();
-			if (!clientConfig) {
-				this._updateStatus('Invalid client version selected!', 'error');
+			const tempCanvas = document.createElement('canvas');
+			tempCanvas.width = img.width;
+			tempCanvas.height = img.height;
+			const tempCtx = tempCanvas.getContext('2d');
+			tempCtx.drawImage(img, 0, 0);
+			const imageData = tempCtx.getImageData(0, 0, img.width, img.height);
+			
+			onLoad(factor > 1 ? this._downsampleImage(imageData, factor) : { image: img, imageData });
+		};
+		
+		img.onerror = () => {
+			URL.revokeObjectURL(url);
+			this._updateStatus(`Failed to load image: ${file.name}`, 'error');
+		};
+		
+		img.src = url;
+	}
+	
+	/**
+	 * Read a mask image aligned with the loaded image (zones, houses)
+	 * @param {File} file - Mask image file
+	 * @param {string} label - Mask name for error messages
+	 * @param {Function} onLoad - Called with the mask { name, width, height, pixels } and
+	 *   its opaque colors as [hex, pixel count] entries, most used first
+	 */
+	_readMaskImage(file, label, onLoad) {
+		this._readImageFile(file, ({ imageData }) => {
+			if (!imageData) {
+				this._updateStatus(`${label} is too large: masks can be at most ${MAX_IMAGE_DIMENSION} px per side`, 'error');
 				return;
 			}
-			
-			// Get OTB version information
-			const otbVersion = getOTBVersion(clientConfig.otb);
-			if (!otbVersion) {
-				this._updateStatus('OTB version not found for selected client!', 'error');
+			if (this.image && (imageData.width !== this.image.width || imageData.height !== this.image.height)) {
+				this._updateStatus(`${label} must match the image size (${this.image.width} × ${this.image.height} px), got ${imageData.width} × ${imageData.height} px`, 'error');
 				return;
 			}
 			
-			// Create color lookup map (hex -> tileId)
-			const colorToTile = new Map();
-			for (const [hex, mapping] of this.colorMappings) {
-				if (mapping.tileId > 0) {
-					colorToTile.set(hex, mapping.tileId);
+			// Count mask colors (transparent pixels are not part of the mask)
+			const MAX_MASK_COLORS = 256;
+			const pixels = imageData.data;
+			const colorCounts = new Map();
+			for (let i = 0; i < pixels.length; i += 4) {
+				if (pixels[i + 3] < 128) continue;
+				const hex = this._rgbToHex(pixels[i], pixels[i + 1], pixels[i + 2]);
+				colorCounts.set(hex, (colorCounts.get(hex) || 0) + 1);
+				if (colorCounts.size > MAX_MASK_COLORS) {
+					this._updateStatus(`${label} has too many colors. Maximum: ${MAX_MASK_COLORS} colors.`, 'error');
+					return;
 				}
 			}
 			
-			// Create OTBM writer with client-specific versions
-			const writer = new OTBMWriter(
-				width + offX,
-				height + offY,
-				`PNG to OTBM Converted Map (${clientConfig.name})`,
-				clientConfig.otbmVersion,
-				otbVersion.version,
-				otbVersion.id
-			);
+			const mask = {
+				name: file.name,
+				width: imageData.width,
+				height: imageData.height,
+				pixels
+			};
+			onLoad(mask, [...colorCounts.entries()].sort((a, b) => b[1] - a[1]));
+		});
+	}
+	
+	/**
+	 * Color of a mask at an image position
+	 * @returns {string|null} Hex color, or null outside the mask or on transparent pixels
+	 */
+	_getMaskColorAt(mask, x, y) {
+		if (!mask || x >= mask.width || y >= mask.height) return null;
+		
+		const p = (y * mask.width + x) * 4;
+		const pixels = mask.pixels;
+		if (pixels[p + 3] < 128) return null;
+		return this._rgbToHex(pixels[p], pixels[p + 1], pixels[p + 2]);
+	}
+	
+	/**
+	 * Summary of a loaded mask, flagged when it does not match the image size
+	 * @param {HTMLElement} info - Element showing the summary
+	 * @param {string} text - Summary text
+	 */
+	_showMaskInfo(info, mask, text) {
+		const mismatch = this.image && (mask.width !== this.image.width || mask.height !== this.image.height);
+		if (mismatch) {
+			text += ` (does not match the ${this.image.width} × ${this.image.height} px image)`;
+		}
+		info.textContent = text;
+		info.classList.toggle('error', !!mismatch);
+	}
+	
+	/**
+	 * Load a zone mask image; each opaque color becomes a zone with its own tile flags
+	 */
+	_loadZoneMask(file) {
+		this._readMaskImage(file, 'Zone mask', (mask, colorCounts) => {
+			// Restore flags saved for these colors
+			const savedFlags = this._loadZoneFlags();
+			mask.colors = new Map();
+			for (const [hex, count] of colorCounts) {
+				mask.colors.set(hex, { hex, rgb: this._hexToRgb(hex), count, flags: savedFlags.get(hex) || 0 });
+			}
 			
-			// Process each pixel with progress indicator
-			const pixels = this.imageData.data;
-			let tileCount = 0;
-			let transparentTileCount = 0;
-			const totalPixels = width * height;
-			let processedPixels = 0;
+			this.zoneMask = mask;
+			this._buildZoneList();
+			this._buildZoneOverlay();
+			this._updateZoneInfo();
+			this._updatePreview();
+			this._updateStatus(`Loaded zone mask: ${file.name}`, 'success');
+		});
+	}
+	
+	/**
+	 * Remove the zone mask
+	 */
+	_clearZoneMask() {
+		this.zoneMask = null;
+		this.zoneOverlay = null;
+		this._buildZoneList();
+		this._updateZoneInfo();
+		this._updatePreview();
+	}
+	
+	/**
+	 * Update the zone mask summary
+	 */
+	_updateZoneInfo() {
+		this.clearZoneMaskBtn.disabled = !this.zoneMask;
+		
+		if (!this.zoneMask) {
+			this.zoneMaskInfo.textContent = 'No zone mask. Load a PNG the same size as the image; each color is a zone.';
+			this.zoneMaskInfo.classList.remove('error');
+			return;
+		}
+		
+		const mask = this.zoneMask;
+		this._showMaskInfo(this.zoneMaskInfo, mask, `${mask.name}: ${mask.width} × ${mask.height} px, ${mask.colors.size} zone colors`);
+	}
+	
+	/**
+	 * Build the zone color list with a flag toggle per tile flag
+	 */
+	_buildZoneList() {
+		this.zoneList.innerHTML = '';
+		if (!this.zoneMask) return;
+		
+		for (const zone of this.zoneMask.colors.values()) {
+			const row = document.createElement('div');
+			row.className = 'zone-row';
 			
-			// Show progress for large images
-			const showProgress = totalPixels > 10000;
-			if (showProgress) {
-				this.progressContainer.style.display = 'block';
-			}
-			
-			for (let y = 0; y < height; y++) {
-				for (let x = 0; x < width; x++) {
-					const i = (y * width + x) * 4;
-					const r = pixels[i];
-					const g = pixels[i + 1];
-					const b = pixels[i + 2];
-					const a = pixels[i + 3];
-					
-					// Handle transparent pixels
-					if (a < 128) {
-						if (transparentId > 0) {
-							writer.addTile(x + offX, y + offY, z, transparentId);
-							transparentTileCount++;
-							tileCount++;
-						}
-					} else {
-						const hex = this._rgbToHex(r, g, b);
-						const tileId = colorToTile.get(hex);
-						
-						if (tileId) {
-							writer.addTile(x + offX, y + offY, z, tileId);
-							tileCount++;
-						}
-					}
-					
-					processedPixels++;
-					
-					// Update progress every 1000 pixels
-					if (showProgress && processedPixels % 1000 === 0) {
-						const progress = Math.round((processedPixels / totalPixels) * 100);
-						this._updateProgress(progress);
-					}
-				}
-			}
+			const swatch = document.createElement('div');
+			swatch.className = 'mask-swatch';
+			swatch.style.backgroundColor = zone.hex;
 			
-			if (showProgress) {
-				this._updateProgress(100);
-			}
+			const pixels = document.createElement('div');
+			pixels.className = 'zone-pixels';
+			pixels.textContent = `${zone.hex.toUpperCase()} · ${zone.count.toLocaleString()} px`;
 			
-			// Hide progress
-			if (this.progressContainer) {
-				this.progressContainer.style.display = 'none';
+			const flags = document.createElement('div');
+			flags.className = 'zone-flags';
+			for (const zoneFlag of ZONE_FLAGS) {
+				const label = document.createElement('label');
+				label.className = 'checkbox-row';
+				const checkbox = document.createElement('input');
+				checkbox.type = 'checkbox';
+				checkbox.checked = (zone.flags & zoneFlag.flag) !== 0;
+				checkbox.setAttribute('aria-label', `${zoneFlag.label} for zone color ${zone.hex}`);
+				checkbox.addEventListener('change', () => {
+					zone.flags = checkbox.checked ? (zone.flags | zoneFlag.flag) : (zone.flags & ~zoneFlag.flag);
+					this._saveZoneFlags();
+					this._buildZoneOverlay();
+					this._updatePreview();
+				});
+				label.appendChild(checkbox);
+				label.appendChild(document.createTextNode(zoneFlag.label));
+				flags.appendChild(label);
 			}
 			
-			// Download
-			const clientName = clientConfig.name.replace(/[^a-zA-Z0-9]/g, '_');
-			const filename = `converted_map_${clientName}.otbm`;
-			const fileSize = writer.download(filename);
-			let statusMsg = `✓ Downloaded: ${filename} (${fileSize.toLocaleString()} bytes, ${tileCount.toLocaleString()} tiles`;
-			if (transparentTileCount > 0) {
-				statusMsg += `, ${transparentTileCount.toLocaleString()} transparent`;
-			}
-			statusMsg += `, Client: ${clientConfig.name})`;
-			this._updateStatus(statusMsg, 'success');
+			row.appendChild(swatch);
+			row.appendChild(pixels);
+			row.appendChild(flags);
+			this.zoneList.appendChild(row);
+		}
+	}
+	
+	/**
+	 * Draw the flagged zones into an overlay canvas for the preview
+	 */
+	_buildZoneOverlay() {
+		this.zoneOverlay = null;
+		if (!this.zoneMask) return;
+		
+		const { width, height, pixels } = this.zoneMask;
+		const flagGrid = this._buildZoneFlagGrid();
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		const ctx = canvas.getContext('2d');
+		const overlay = ctx.createImageData(width, height);
+		
+		for (let i = 0; i < flagGrid.length; i++) {
+			const flags = flagGrid[i];
+			if (!flags) continue;
+			// Use the color of the highest priority flag
+			const zoneFlag = ZONE_FLAGS.find(f => flags & f.flag);
+			overlay.data.set(zoneFlag.color, i * 4);
+			overlay.data[i * 4 + 3] = 255;
+		}
+		
+		ctx.putImageData(overlay, 0, 0);
+		this.zoneOverlay = canvas;
+	}
+	
+	/**
+	 * Tile flags for every pixel of the zone mask
+	 * @returns {Uint8Array|null} Flags per pixel (row-major), or null without a zone mask
+	 */
+	_buildZoneFlagGrid() {
+		if (!this.zoneMask) return null;
+		
+		const { width, height, pixels, colors } = this.zoneMask;
+		const grid = new Uint8Array(width * height);
+		for (let i = 0; i < grid.length; i++) {
+			const p = i * 4;
+			if (pixels[p + 3] < 128) continue;
+			const zone = colors.get(this._rgbToHex(pixels[p], pixels[p + 1], pixels[p + 2]));
+			grid[i] = zone ? zone.flags : 0;
+		}
+		return grid;
+	}
+	
+	/**
+	 * Tile flags of the zone mask at an image position
+	 */
+	_getZoneFlagsAt(x, y) {
+		const hex = this._getMaskColorAt(this.zoneMask, x, y);
+		const zone = hex && this.zoneMask.colors.get(hex);
+		return zone ? zone.flags : 0;
+	}
+	
+	/**
+	 * Readable list of tile flags, e.g. "PZ, No-logout"
+	 */
+	_describeZoneFlags(flags) {
+		return ZONE_FLAGS.filter(f => flags & f.flag).map(f => f.label).join(', ');
+	}
+	
+	/**
+	 * Save zone color -> tile flags to localStorage
+	 */
+	_saveZoneFlags() {
+		try {
+			// Keep flags of colors that are not in the current mask
+			const flags = Object.fromEntries(this._loadZoneFlags());
+			for (const [hex, zone] of this.zoneMask ? this.zoneMask.colors : []) {
+				if (zone.flags) {
+					flags[hex] = zone.flags;
+				} else {
+					delete flags[hex];
+				}
+			}
+			localStorage.setItem('pngToOtbmZoneFlags', JSON.stringify(flags));
 		} catch (error) {
-			this._updateStatus(`Error: ${error.message}`, 'error');
-			console.error('OTBM generation error:', error);
-			// Hide progress in case of error
-			if (this.progressContainer) {
-				this.progressContainer.style.display = 'none';
+			console.warn('Failed to save zone flags:', error);
+		}
+	}
+	
+	/**
+	 * Load zone color -> tile flags from localStorage
+	 * @returns {Map} hex color -> flags
+	 */
+	_loadZoneFlags() {
+		try {
+			const saved = localStorage.getItem('pngToOtbmZoneFlags');
+			if (saved) {
+				return new Map(Object.entries(JSON.parse(saved)).map(([hex, flags]) => [hex, this._sanitizeZoneFlags(flags)]));
 			}
+		} catch (error) {
+			console.warn('Failed to load zone flags:', error);
 		}
+		return new Map();
+	}
+	
+	/**
+	 * Keep only the tile flags zones can set
+	 */
+	_sanitizeZoneFlags(flags) {
+		const allowed = ZONE_FLAGS.reduce((mask, f) => mask | f.flag, 0);
+		return (parseInt(flags) || 0) & allowed;
 	}
 	
 	/**
@@ -933,6 +5565,13 @@ class PNGToOTBMApp {
 		this.progressText.textContent = `${percent}%`;
 	}
 	
+	/**
+	 * Escape text for use in innerHTML
+	 */
+	_escapeHtml(text) {
+		return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+	}
+	
 	/**
 	 * Convert RGB to hex string
 	 */
@@ -941,10 +5580,10 @@ class PNGToOTBMApp {
 	}
 	
 	/**
-	 * Convert hex string to RGB object
+	 * Convert hex string to RGB object (an alpha band suffix is ignored)
 	 */
 	_hexToRgb(hex) {
-		const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+		const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})(?:[a-f\d]{2})?$/i.exec(hex);
 		return result ? {
 			r: parseInt(result[1], 16),
 			g: parseInt(result[2], 16),
@@ -965,9 +5604,30 @@ class PNGToOTBMApp {
 					const validatedId = Math.max(0, Math.min(65535, parseInt(parsed.transparentTileId) || 0));
 					this.transparentTileId.value = validatedId;
 				}
+				if (parsed.alphaThreshold !== undefined) this.alphaThreshold.value = parsed.alphaThreshold;
+				this.alphaThreshold.value = this._getAlphaThreshold();
+				if (parsed.alphaBands !== undefined) this.alphaBands.checked = !!parsed.alphaBands;
+				if (parsed.colorTolerance !== undefined) this.colorTolerance.value = parsed.colorTolerance;
+				this.colorTolerance.value = this._getColorTolerance();
 				if (parsed.zLevel !== undefined) this.zLevel.value = parsed.zLevel;
 				if (parsed.offsetX !== undefined) this.offsetX.value = parsed.offsetX;
 				if (parsed.offsetY !== undefined) this.offsetY.value = parsed.offsetY;
+				if (parsed.seed !== undefined) this.seed.value = this._sanitizeSeed(parsed.seed);
+				if (parsed.scaleFactor !== undefined) this.scaleFactor.value = parsed.scaleFactor;
+				if (parsed.downsampleFactor !== undefined) this.downsampleFactor.value = parsed.downsampleFactor;
+				this.scaleFactor.value = this._getScaleFactor();
+				this.downsampleFactor.value = this._getDownsampleFactor();
+				if (parsed.conflictPolicy) this.conflictPolicy.value = parsed.conflictPolicy;
+				if (parsed.showZones !== undefined) this.showZonesToggle.checked = !!parsed.showZones;
+				if (parsed.showHouses !== undefined) this.showHousesToggle.checked = !!parsed.showHouses;
+				if (parsed.separateNpcFile !== undefined) this.separateNpcFile.checked = !!parsed.separateNpcFile;
+				if (parsed.showFloorBelow !== undefined) this.showFloorBelowToggle.checked = !!parsed.showFloorBelow;
+				if (parsed.showScatter !== undefined) this.showScatterToggle.checked = !!parsed.showScatter;
+				if (parsed.autoBorders !== undefined) this.autoBorders.checked = !!parsed.autoBorders;
+				if (parsed.showRules !== undefined) this.showRulesToggle.checked = !!parsed.showRules;
+				if (parsed.heightmap) this._setHeightmapSettings(parsed.heightmap);
+				if (parsed.cleanup) this._setCleanupSettings(parsed.cleanup);
+				if (parsed.showCleanup !== undefined) this.showCleanupToggle.checked = !!parsed.showCleanup;
 			}
 		} catch (error) {
 			console.warn('Failed to load settings:', error);
@@ -982,9 +5642,26 @@ class PNGToOTBMApp {
 			const settings = {
 				clientVersion: this.clientVersion.value,
 				transparentTileId: parseInt(this.transparentTileId.value) || 0,
+				alphaThreshold: this._getAlphaThreshold(),
+				alphaBands: this.alphaBands.checked,
+				colorTolerance: this._getColorTolerance(),
 				zLevel: parseInt(this.zLevel.value) || 7,
 				offsetX: parseInt(this.offsetX.value) || 0,
-				offsetY: parseInt(this.offsetY.value) || 0
+				offsetY: parseInt(this.offsetY.value) || 0,
+				seed: this._sanitizeSeed(this.seed.value),
+				scaleFactor: this._getScaleFactor(),
+				downsampleFactor: this._getDownsampleFactor(),
+				conflictPolicy: this.conflictPolicy.value,
+				showZones: this.showZonesToggle.checked,
+				showHouses: this.showHousesToggle.checked,
+				separateNpcFile: this.separateNpcFile.checked,
+				showFloorBelow: this.showFloorBelowToggle.checked,
+				showScatter: this.showScatterToggle.checked,
+				autoBorders: this.autoBorders.checked,
+				showRules: this.showRulesToggle.checked,
+				heightmap: this._getHeightmapSettings(),
+				cleanup: this._getCleanupSettings(),
+				showCleanup: this.showCleanupToggle.checked
 			};
 			localStorage.setItem('pngToOtbmSettings', JSON.stringify(settings));
 		} catch (error) {
@@ -994,14 +5671,40 @@ class PNGToOTBMApp {
 	
 	/**
 	 * Save color mappings to localStorage
-	 * Stores hex color -> tileId mappings for persistence across sessions
+	 * Stores hex color -> tileId (or { tileId, variants, items, scatter, wall, attributes, attributeItem, waypoint, spawn }) mappings for persistence across sessions
 	 */
 	_saveColorMappings() {
+		// Colors may have been assigned or unassigned
+		this.similarColors = null;
 		try {
 			const mappings = {};
 			for (const [hex, mapping] of this.colorMappings) {
-				// Only save non-zero tile IDs to avoid cluttering storage
-				if (mapping.tileId > 0) {
+				// Only save assigned colors to avoid cluttering storage
+				const hasAttributes = Object.keys(mapping.attributes).length > 0;
+				if (hasAttributes || mapping.variants.length > 0 || mapping.items.length > 0 || mapping.scatter || mapping.wall || mapping.waypoint || mapping.spawn) {
+					mappings[hex] = { tileId: mapping.tileId, attributes: mapping.attributes };
+					if (hasAttributes && mapping.attributeItem !== null) {
+						mappings[hex].attributeItem = mapping.attributeItem;
+					}
+					if (mapping.variants.length > 0) {
+						mappings[hex].variants = mapping.variants;
+					}
+					if (mapping.items.length > 0) {
+						mappings[hex].items = mapping.items;
+					}
+					if (mapping.scatter) {
+						mappings[hex].scatter = mapping.scatter;
+					}
+					if (mapping.wall) {
+						mappings[hex].wall = mapping.wall;
+					}
+					if (mapping.waypoint) {
+						mappings[hex].waypoint = mapping.waypoint;
+					}
+					if (mapping.spawn) {
+						mappings[hex].spawn = mapping.spawn;
+					}
+				} else if (mapping.tileId > 0) {
 					mappings[hex] = mapping.tileId;
 				}
 			}
@@ -1013,7 +5716,7 @@ class PNGToOTBMApp {
 	
 	/**
 	 * Load color mappings from localStorage
-	 * Returns a Map of hex color -> tileId
+	 * Returns a Map of hex color -> { tileId, variants, items, scatter, wall, attributes, attributeItem, waypoint, spawn }
 	 */
 	_loadColorMappings() {
 		try {
@@ -1021,8 +5724,21 @@ class PNGToOTBMApp {
 			if (saved) {
 				const parsed = JSON.parse(saved);
 				const mappings = new Map();
-				for (const [hex, tileId] of Object.entries(parsed)) {
-					mappings.set(hex, tileId);
+				for (const [hex, value] of Object.entries(parsed)) {
+					// Older saves store the tile ID only
+					const entry = typeof value === 'number' ? { tileId: value } : value;
+					const items = this._sanitizeItemStack(entry.items);
+					mappings.set(hex, {
+						tileId: Math.max(0, Math.min(65535, parseInt(entry.tileId) || 0)),
+						variants: this._sanitizeWeightedIds(entry.variants),
+						items,
+						scatter: this._sanitizeScatter(entry.scatter),
+						wall: this._sanitizeWall(entry.wall),
+						attributes: this._sanitizeItemAttributes(entry.attributes),
+						attributeItem: this._sanitizeAttributeItem(entry.attributeItem, items),
+						waypoint: typeof entry.waypoint === 'string' ? entry.waypoint.trim() : '',
+						spawn: this._sanitizeSpawn(entry.spawn)
+					});
 				}
 				return mappings;
 			}
@@ -1049,7 +5765,9 @@ class PNGToOTBMApp {
 		for (const [hex, mapping] of this.colorMappings) {
 			const hexMatch = hex.toLowerCase().includes(query);
 			const rgbMatch = `${mapping.rgb.r},${mapping.rgb.g},${mapping.rgb.b}`.includes(query);
-			const idMatch = mapping.tileId.toString().includes(query);
+			const scatterIds = mapping.scatter ? mapping.scatter.items.map(item => item.id) : [];
+			const idMatch = [mapping.tileId, ...mapping.variants.map(variant => variant.id), ...mapping.items, ...scatterIds]
+				.some(id => id.toString().includes(query));
 			
 			if (hexMatch || rgbMatch || idMatch) {
 				this.filteredColors.set(hex, mapping);
@@ -1075,31 +5793,82 @@ class PNGToOTBMApp {
 				settings: {
 					clientVersion: this.clientVersion.value,
 					transparentTileId: parseInt(this.transparentTileId.value) || 0,
+					alphaThreshold: this._getAlphaThreshold(),
+					alphaBands: this.alphaBands.checked,
+					colorTolerance: this._getColorTolerance(),
 					zLevel: parseInt(this.zLevel.value) || 7,
 					offsetX: parseInt(this.offsetX.value) || 0,
-					offsetY: parseInt(this.offsetY.value) || 0
+					offsetY: parseInt(this.offsetY.value) || 0,
+					seed: this._sanitizeSeed(this.seed.value),
+					scaleFactor: this._getScaleFactor(),
+					downsampleFactor: this._getDownsampleFactor(),
+					conflictPolicy: this.conflictPolicy.value,
+					separateNpcFile: this.separateNpcFile.checked,
+					autoBorders: this.autoBorders.checked,
+					heightmap: this._getHeightmapSettings(),
+					cleanup: this._getCleanupSettings()
 				}
 			};
 			
 			for (const [hex, mapping] of this.colorMappings) {
-				exportData.colors.push({
+				const colorData = {
 					hex,
 					rgb: mapping.rgb,
 					tileId: mapping.tileId,
 					count: mapping.count
-				});
+				};
+				if (mapping.variants.length > 0) {
+					colorData.variants = mapping.variants;
+				}
+				if (mapping.items.length > 0) {
+					colorData.items = mapping.items;
+				}
+				if (mapping.scatter) {
+					colorData.scatter = mapping.scatter;
+				}
+				if (mapping.wall) {
+					colorData.wall = mapping.wall;
+				}
+				if (Object.keys(mapping.attributes).length > 0) {
+					colorData.attributes = mapping.attributes;
+					if (mapping.attributeItem !== null) {
+						colorData.attributeItem = mapping.attributeItem;
+					}
+				}
+				if (mapping.waypoint) {
+					colorData.waypoint = mapping.waypoint;
+				}
+				if (mapping.spawn) {
+					colorData.spawn = mapping.spawn;
+				}
+				exportData.colors.push(colorData);
+			}
+			
+			if (this.rules.length > 0) {
+				exportData.rules = this.rules.map(rule => this._ruleToJson(rule));
+			}
+			
+			if (this.towns.length > 0) {
+				exportData.towns = this.towns;
+			}
+			if (this.waypoints.length > 0) {
+				exportData.waypoints = this.waypoints;
+			}
+			
+			// House color -> house (saved ones plus the current mask)
+			const houses = Object.fromEntries(this._loadHouses());
+			if (Object.keys(houses).length > 0) {
+				exportData.houses = houses;
+			}
+			
+			// Zone color -> tile flags (saved ones plus the current mask)
+			const zoneFlags = Object.fromEntries(this._loadZoneFlags());
+			if (Object.keys(zoneFlags).length > 0) {
+				exportData.zoneFlags = zoneFlags;
 			}
 			
 			const json = JSON.stringify(exportData, null, 2);
-			const blob = new Blob([json], { type: 'application/json' });
-			const url = URL.createObjectURL(blob);
-			const a = document.createElement('a');
-			a.href = url;
-			a.download = 'color_mappings.json';
-			document.body.appendChild(a);
-			a.click();
-			document.body.removeChild(a);
-			URL.revokeObjectURL(url);
+			this._downloadText('color_mappings.json', json, 'application/json');
 			
 			this._updateStatus('Color mappings exported successfully', 'success');
 		} catch (error) {
@@ -1107,6 +5876,32 @@ class PNGToOTBMApp {
 		}
 	}
 	
+	/**
+	 * Download text as a file
+	 * @param {string} filename - File name
+	 * @param {string} text - File contents
+	 * @param {string} type - MIME type
+	 */
+	_downloadText(filename, text, type) {
+		this._downloadBlob(filename, new Blob([text], { type }));
+	}
+	
+	/**
+	 * Download a blob as a file
+	 * @param {string} filename - File name
+	 * @param {Blob} blob - File contents
+	 */
+	_downloadBlob(filename, blob) {
+		const url = URL.createObjectURL(blob);
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = filename;
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+		URL.revokeObjectURL(url);
+	}
+	
 	/**
 	 * Import color mappings from JSON file
 	 */
@@ -1128,23 +5923,61 @@ class PNGToOTBMApp {
 						throw new Error('Invalid file format');
 					}
 					
-					// Import colors (only if they exist in current mappings)
-					let imported = 0;
-					for (const colorData of importData.colors) {
-						// Validate colorData structure
-						if (!colorData || typeof colorData.hex !== 'string') {
-							continue; // Skip invalid entries
+					// Alpha settings decide which colors the image has: when they change, the colors
+					// are imported once the image is analyzed again
+					let reanalyze = false;
+					if (importData.settings) {
+						const previous = this._getAlphaSettings();
+						if (importData.settings.alphaThreshold !== undefined) {
+							this.alphaThreshold.value = importData.settings.alphaThreshold;
+							this.alphaThreshold.value = this._getAlphaThreshold();
 						}
-						if (this.colorMappings.has(colorData.hex)) {
-							// Handle explicit 0 vs undefined/null
-							const tileId = (colorData.tileId !== undefined && colorData.tileId !== null) 
-								? colorData.tileId 
-								: 0;
-							this.colorMappings.get(colorData.hex).tileId = Math.max(0, Math.min(65535, tileId));
-							imported++;
+						if (importData.settings.alphaBands !== undefined) {
+							this.alphaBands.checked = !!importData.settings.alphaBands;
 						}
+						const alpha = this._getAlphaSettings();
+						reanalyze = !!this.image && (alpha.threshold !== previous.threshold || alpha.bands !== previous.bands);
 					}
 					
+					// Import colors (only if they exist in current mappings)
+					const importColors = () => {
+						let imported = 0;
+						for (const colorData of importData.colors) {
+							// Validate colorData structure
+							if (!colorData || typeof colorData.hex !== 'string') {
+								continue; // Skip invalid entries
+							}
+							if (this.colorMappings.has(colorData.hex)) {
+								// Handle explicit 0 vs undefined/null
+								const tileId = (colorData.tileId !== undefined && colorData.tileId !== null) 
+									? colorData.tileId 
+									: 0;
+								const mapping = this.colorMappings.get(colorData.hex);
+								mapping.tileId = Math.max(0, Math.min(65535, tileId));
+								mapping.variants = this._sanitizeWeightedIds(colorData.variants);
+								mapping.items = this._sanitizeItemStack(colorData.items);
+								mapping.scatter = this._sanitizeScatter(colorData.scatter);
+								mapping.wall = this._sanitizeWall(colorData.wall);
+								mapping.attributes = this._sanitizeItemAttributes(colorData.attributes);
+								mapping.attributeItem = this._sanitizeAttributeItem(colorData.attributeItem, mapping.items);
+								mapping.waypoint = typeof colorData.waypoint === 'string' ? colorData.waypoint.trim() : '';
+								mapping.spawn = this._sanitizeSpawn(colorData.spawn);
+								imported++;
+							}
+						}
+						
+						// Save imported color mappings to localStorage
+						this._saveColorMappings();
+						
+						// Rebuild lists
+						this._buildColorList();
+						this._buildWaypointList();
+						this._updateSpawnInfo();
+						this._buildCleanupOverlay();
+						this._updateScatterPreview();
+						this._updateStatus(`Imported ${imported} color mapping(s)`, 'success');
+					};
+					
 					// Import settings if available
 					if (importData.settings) {
 						if (importData.settings.clientVersion) {
@@ -1160,6 +5993,10 @@ class PNGToOTBMApp {
 							const validatedId = Math.max(0, Math.min(65535, parseInt(importData.settings.transparentTileId) || 0));
 							this.transparentTileId.value = validatedId;
 						}
+						if (importData.settings.colorTolerance !== undefined) {
+							this.colorTolerance.value = importData.settings.colorTolerance;
+							this.colorTolerance.value = this._getColorTolerance();
+						}
 						if (importData.settings.zLevel !== undefined) {
 							this.zLevel.value = importData.settings.zLevel;
 						}
@@ -1169,15 +6006,101 @@ class PNGToOTBMApp {
 						if (importData.settings.offsetY !== undefined) {
 							this.offsetY.value = importData.settings.offsetY;
 						}
+						if (importData.settings.seed !== undefined) {
+							this.seed.value = this._sanitizeSeed(importData.settings.seed);
+						}
+						if (importData.settings.scaleFactor !== undefined) {
+							this.scaleFactor.value = importData.settings.scaleFactor;
+							this.scaleFactor.value = this._getScaleFactor();
+							this._updateScatterPreview();
+						}
+						if (importData.settings.downsampleFactor !== undefined) {
+							this.downsampleFactor.value = importData.settings.downsampleFactor;
+							this.downsampleFactor.value = this._getDownsampleFactor();
+						}
+						if (['replace', 'keep', 'stack'].includes(importData.settings.conflictPolicy)) {
+							this.conflictPolicy.value = importData.settings.conflictPolicy;
+						}
+						if (importData.settings.separateNpcFile !== undefined) {
+							this.separateNpcFile.checked = !!importData.settings.separateNpcFile;
+						}
+						if (importData.settings.autoBorders !== undefined) {
+							this.autoBorders.checked = !!importData.settings.autoBorders;
+						}
+						if (importData.settings.heightmap && typeof importData.settings.heightmap === 'object') {
+							this._setHeightmapSettings(importData.settings.heightmap);
+							this._updateHeightmapInfo();
+						}
+						if (importData.settings.cleanup && typeof importData.settings.cleanup === 'object') {
+							this._setCleanupSettings(importData.settings.cleanup);
+							this._buildCleanupOverlay();
+							this._updatePreview();
+						}
 						this._saveSettings();
 					}
 					
-					// Save imported color mappings to localStorage
-					this._saveColorMappings();
+					// Import zone flags
+					if (importData.zoneFlags && typeof importData.zoneFlags === 'object') {
+						for (const [hex, flags] of Object.entries(importData.zoneFlags)) {
+							const zone = this.zoneMask && this.zoneMask.colors.get(hex);
+							if (zone) {
+								zone.flags = this._sanitizeZoneFlags(flags);
+							}
+						}
+						const merged = Object.fromEntries(this._loadZoneFlags());
+						for (const [hex, flags] of Object.entries(importData.zoneFlags)) {
+							merged[hex] = this._sanitizeZoneFlags(flags);
+						}
+						localStorage.setItem('pngToOtbmZoneFlags', JSON.stringify(merged));
+						this._buildZoneList();
+						this._buildZoneOverlay();
+						this._updatePreview();
+					}
+					
+					// Import towns
+					if (Array.isArray(importData.towns)) {
+						this.towns = this._sanitizeTowns(importData.towns);
+						this._saveTowns();
+						this._buildTownList();
+					}
 					
-					// Rebuild list
-					this._buildColorList();
-					this._updateStatus(`Imported ${imported} color mapping(s)`, 'success');
+					// Import houses
+					if (importData.houses && typeof importData.houses === 'object') {
+						const merged = Object.fromEntries(this._loadHouses());
+						for (const [hex, data] of Object.entries(importData.houses)) {
+							const house = this._sanitizeHouse(data);
+							if (!house) continue;
+							merged[hex] = house;
+							const current = this.houseMask && this.houseMask.colors.get(hex);
+							if (current) {
+								Object.assign(current, house);
+							}
+						}
+						localStorage.setItem('pngToOtbmHouses', JSON.stringify(merged));
+						this._buildHouseList();
+					}
+					
+					// Import waypoints
+					if (Array.isArray(importData.waypoints)) {
+						this.waypoints = this._sanitizeWaypoints(importData.waypoints);
+						this._saveWaypoints();
+					}
+					
+					// Import neighbour rules
+					if (Array.isArray(importData.rules)) {
+						this.rules = this._sanitizeRules(importData.rules);
+						this._saveRules();
+						this._showRules();
+					}
+					
+					if (reanalyze) {
+						this._setActiveFloor(this.activeFloor);
+						this._analyzeColors(result => {
+							if (result.success) importColors();
+						});
+					} else {
+						importColors();
+					}
 				} catch (error) {
 					this._updateStatus(`Import failed: ${error.message}`, 'error');
 				}
@@ -1200,6 +6123,18 @@ class PNGToOTBMApp {
 			return;
 		}
 		
+		// Escape: Cancel position picking
+		if (e.key === 'Escape' && this.positionPicker) {
+			this._setPositionPicker(null);
+			return;
+		}
+		
+		// Escape: Cancel cropping
+		if (e.key === 'Escape' && this.cropMode) {
+			this._setCropMode(false);
+			return;
+		}
+		
 		// Don't trigger shortcuts when typing in inputs
 		if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') {
 			return;
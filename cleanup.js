@@ -0,0 +1,211 @@
+/**
+ * Pixel Cleanup
+ *
+ * Optional passes that tidy a drawn image before it becomes tiles: stray pixels
+ * would otherwise turn into isolated tiles that look like mistakes in game.
+ */
+
+/**
+ * Alpha band of a pixel when no other is given: transparent below 128, otherwise opaque
+ * @param {number} a - Pixel alpha
+ * @returns {number} -1 = transparent, 0 = opaque
+ */
+function defaultAlphaBand(a) {
+	return a < 128 ? -1 : 0;
+}
+
+/**
+ * Color key of every pixel: 0xRRGGBB with the alpha band above it, or -1 for transparent pixels
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {Function} alphaBand - Called with a pixel's alpha: -1 = transparent, 0 = opaque, 1+ = band
+ * @returns {Int32Array} Keys
+ */
+function pixelKeys(data, alphaBand) {
+	const keys = new Int32Array(data.length / 4);
+	for (let i = 0; i < keys.length; i++) {
+		const p = i * 4;
+		const band = alphaBand(data[p + 3]);
+		keys[i] = band < 0 ? -1 : (band << 24) | (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+	}
+	return keys;
+}
+
+/**
+ * Refill small regions (4-connected pixels of one color) with the color most common around them.
+ * Regions are found on the keys as given, so refilled regions don't affect each other.
+ * @param {Int32Array} keys - Pixel keys
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} minSize - Regions smaller than this are refilled
+ * @param {Function} accept - Called with (key, touchesEdge) to choose which regions can be refilled
+ * @param {Set} kept - Keys that are never used to refill
+ * @returns {Int32Array} New keys
+ */
+function refillSmallRegions(keys, width, height, minSize, accept, kept) {
+	const result = keys.slice();
+	const visited = new Uint8Array(keys.length);
+	const region = new Int32Array(keys.length);
+	
+	for (let start = 0; start < keys.length; start++) {
+		if (visited[start]) continue;
+		
+		// Flood fill the region
+		const key = keys[start];
+		let size = 0;
+		let next = 0;
+		let touchesEdge = false;
+		const add = (neighbour) => {
+			if (!visited[neighbour] && keys[neighbour] === key) {
+				visited[neighbour] = 1;
+				region[size++] = neighbour;
+			}
+		};
+		add(start);
+		while (next < size) {
+			const index = region[next++];
+			const x = index % width;
+			const y = (index - x) / width;
+			if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesEdge = true;
+			if (x > 0) add(index - 1);
+			if (x < width - 1) add(index + 1);
+			if (y > 0) add(index - width);
+			if (y < height - 1) add(index + width);
+		}
+		if (size >= minSize || !accept(key, touchesEdge)) continue;
+		
+		// The color on most sides of the region's pixels
+		const counts = new Map();
+		const count = (neighbour) => {
+			if (keys[neighbour] !== key && !kept.has(keys[neighbour])) {
+				counts.set(keys[neighbour], (counts.get(keys[neighbour]) || 0) + 1);
+			}
+		};
+		for (let i = 0; i < size; i++) {
+			const index = region[i];
+			const x = index % width;
+			if (x > 0) count(index - 1);
+			if (x < width - 1) count(index + 1);
+			if (index >= width) count(index - width);
+			if (index + width < keys.length) count(index + width);
+		}
+		let fill = key;
+		let fillCount = 0;
+		for (const [neighbourKey, neighbourCount] of counts) {
+			if (neighbourCount > fillCount) {
+				fill = neighbourKey;
+				fillCount = neighbourCount;
+			}
+		}
+		for (let i = 0; i < size; i++) {
+			result[region[i]] = fill;
+		}
+	}
+	return result;
+}
+
+/**
+ * Majority filter: a pixel takes the color of at least 5 of its 8 neighbours
+ * @param {Int32Array} keys - Pixel keys
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Set} kept - Keys whose pixels keep their color and don't spread
+ * @returns {Int32Array} New keys
+ */
+function majorityFilter(keys, width, height, kept) {
+	const result = keys.slice();
+	const neighbourKeys = new Int32Array(8);
+	for (let y = 1; y < height - 1; y++) {
+		for (let x = 1; x < width - 1; x++) {
+			const index = y * width + x;
+			if (kept.has(keys[index])) continue;
+			
+			let count = 0;
+			for (let dy = -1; dy <= 1; dy++) {
+				for (let dx = -1; dx <= 1; dx++) {
+					if (dx !== 0 || dy !== 0) {
+						neighbourKeys[count++] = keys[index + dy * width + dx];
+					}
+				}
+			}
+			
+			for (let i = 0; i < 4; i++) {
+				if (kept.has(neighbourKeys[i])) continue;
+				let same = 0;
+				for (let j = 0; j < 8; j++) {
+					if (neighbourKeys[j] === neighbourKeys[i]) same++;
+				}
+				if (same >= 5) {
+					result[index] = neighbourKeys[i];
+					break;
+				}
+			}
+		}
+	}
+	return result;
+}
+
+/**
+ * Clean up an image
+ * @param {ImageData} imageData - Pixels to clean up
+ * @param {Object} options - { islandSize, holeSize, majority }: colored regions smaller than
+ *   islandSize pixels are removed, enclosed transparent holes smaller than holeSize pixels are
+ *   filled (0 = off), then the majority filter runs if set
+ * @param {Function} alphaBand - Alpha band of a pixel's alpha (see pixelKeys); pixels of
+ *   different bands are different colors
+ * @param {Function} keep - Called with the (r, g, b, a) of a color: true for colors that are
+ *   left as they are and never spread, e.g. single-pixel markers
+ * @returns {Object} { data, changed } with the cleaned RGBA pixels and the number of changed pixels
+ */
+function cleanupPixels(imageData, options, alphaBand = defaultAlphaBand, keep = () => false) {
+	const { width, height, data } = imageData;
+	const original = pixelKeys(data, alphaBand);
+	
+	// Alpha of each band color, to write back refilled pixels of that color, and the kept colors
+	const bandAlphas = new Map();
+	const checked = new Set();
+	const kept = new Set();
+	for (let i = 0; i < original.length; i++) {
+		const key = original[i];
+		if (key < 0 || checked.has(key)) continue;
+		checked.add(key);
+		if (key >= 0x1000000) {
+			bandAlphas.set(key, data[i * 4 + 3]);
+		}
+		if (keep(data[i * 4], data[i * 4 + 1], data[i * 4 + 2], data[i * 4 + 3])) {
+			kept.add(key);
+		}
+	}
+	
+	let keys = original;
+	if (options.holeSize > 1) {
+		keys = refillSmallRegions(keys, width, height, options.holeSize, (key, touchesEdge) => key < 0 && !touchesEdge, kept);
+	}
+	if (options.islandSize > 1) {
+		keys = refillSmallRegions(keys, width, height, options.islandSize, key => key >= 0 && !kept.has(key), kept);
+	}
+	if (options.majority) {
+		keys = majorityFilter(keys, width, height, kept);
+	}
+	
+	const result = new Uint8ClampedArray(data);
+	let changed = 0;
+	for (let i = 0; i < keys.length; i++) {
+		if (keys[i] === original[i]) continue;
+		const p = i * 4;
+		if (keys[i] < 0) {
+			result[p + 3] = 0;
+		} else {
+			result[p] = (keys[i] >> 16) & 255;
+			result[p + 1] = (keys[i] >> 8) & 255;
+			result[p + 2] = keys[i] & 255;
+			result[p + 3] = keys[i] >= 0x1000000 ? bandAlphas.get(keys[i]) : 255;
+		}
+		changed++;
+	}
+	return { data: result, changed };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { cleanupPixels };
+}
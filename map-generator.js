@@ -0,0 +1,576 @@
+/**
+ * Map Generation
+ *
+ * The pixel-by-pixel work of a conversion: counting an image's colors and turning
+ * prepared floors into a map file. Plain data in, plain data out, so it runs the
+ * same in the map worker (map-worker.js) and on the main thread.
+ */
+
+// Semi-transparent alpha bands (up to max alpha) that can become overlay colors of their
+// own, keyed by hex color + suffix
+const ALPHA_BANDS = [
+	{ max: 127, key: '40' },
+	{ max: 254, key: 'c0' }
+];
+
+/**
+ * Alpha band of a pixel
+ * @param {number} a - Pixel alpha
+ * @param {Object} alpha - Alpha settings { threshold, bands }
+ * @returns {number} -1 = transparent, 0 = opaque, otherwise the ALPHA_BANDS index + 1
+ */
+function alphaBand(a, alpha) {
+	if (a < alpha.threshold) return -1;
+	if (a === 255 || !alpha.bands) return 0;
+	return ALPHA_BANDS.findIndex(band => a <= band.max) + 1;
+}
+
+/**
+ * Color mapping key of a pixel: its hex color, with the alpha band's suffix for
+ * semi-transparent pixels when alpha bands are on
+ * @param {Object} alpha - Alpha settings { threshold, bands }
+ * @returns {string|null} Hex key, or null for transparent pixels
+ */
+function pixelKey(r, g, b, a, alpha) {
+	const band = alphaBand(a, alpha);
+	if (band < 0) return null;
+	const hex = '#' + ((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1);
+	return band > 0 ? hex + ALPHA_BANDS[band - 1].key : hex;
+}
+
+/**
+ * Alpha band suffix of a color mapping key ('' for opaque colors)
+ */
+function alphaBandKey(hex) {
+	return hex.slice(7);
+}
+
+/**
+ * Color count of one or more images, fed in blocks of pixels
+ */
+class ColorCounter {
+	/**
+	 * @param {Object} job - { totalPixels, alpha: alpha settings, maxColors }
+	 * @param {Function} onProgress - Called with the percentage of pixels done
+	 */
+	constructor(job, onProgress) {
+		this.job = job;
+		this.onProgress = onProgress;
+		this.counts = new Map(); // hex key -> pixels
+		this.transparentCount = 0;
+		this.processedPixels = 0;
+		this.reportedProgress = 0;
+		this.complete = false; // Set as soon as there are more than maxColors colors
+	}
+	
+	/**
+	 * Count the pixels of a block
+	 * @param {Object} block - { pixels: RGBA pixels }
+	 */
+	addBlock(block) {
+		const { pixels } = block;
+		const { alpha, maxColors, totalPixels } = this.job;
+		for (let i = 0; i < pixels.length && !this.complete; i += 4) {
+			const hex = pixelKey(pixels[i], pixels[i + 1], pixels[i + 2], pixels[i + 3], alpha);
+			if (!hex) {
+				this.transparentCount++;
+			} else {
+				this.counts.set(hex, (this.counts.get(hex) || 0) + 1);
+				this.complete = this.counts.size > maxColors;
+			}
+			
+			if (++this.processedPixels % 65536 === 0) {
+				const progress = Math.floor(this.processedPixels / totalPixels * 100);
+				if (progress > this.reportedProgress) {
+					this.reportedProgress = progress;
+					this.onProgress(progress);
+				}
+			}
+		}
+	}
+	
+	/**
+	 * @returns {Object} { counts: Map of hex key -> pixels, transparentCount, tooManyColors }
+	 */
+	finish() {
+		return { counts: this.counts, transparentCount: this.transparentCount, tooManyColors: this.complete };
+	}
+}
+
+/**
+ * Create a spawn at a marker pixel. Creatures are placed one per tile,
+ * spiralling out from the center within the spawn radius.
+ * @param {Object} spawn - Spawn marker settings
+ * @param {Object} center - Spawn center { x, y, z }
+ * @returns {Object} { center, radius, creatures } (see buildSpawnsXml)
+ */
+function createSpawn(spawn, center) {
+	const creatures = [
+		...spawn.monsters.map(name => ({ type: 'monster', name })),
+		...spawn.npcs.map(name => ({ type: 'npc', name }))
+	];
+	
+	const side = spawn.radius * 2 + 1;
+	if (creatures.length > side * side) {
+		throw new Error(`Spawn at ${center.x},${center.y},${center.z} has ${creatures.length} creatures but radius ${spawn.radius} only fits ${side * side}`);
+	}
+	
+	// Offsets within the radius, nearest to the center first
+	const offsets = [];
+	for (let dy = -spawn.radius; dy <= spawn.radius; dy++) {
+		for (let dx = -spawn.radius; dx <= spawn.radius; dx++) {
+			offsets.push({ x: dx, y: dy });
+		}
+	}
+	offsets.sort((a, b) => (Math.max(Math.abs(a.x), Math.abs(a.y)) - Math.max(Math.abs(b.x), Math.abs(b.y))) ||
+		(Math.abs(a.x) + Math.abs(a.y)) - (Math.abs(b.x) + Math.abs(b.y)));
+	
+	return {
+		center,
+		radius: spawn.radius,
+		creatures: creatures.map((creature, i) => ({
+			...creature,
+			x: offsets[i].x,
+			y: offsets[i].y,
+			z: center.z,
+			spawnTime: spawn.spawnTime
+		}))
+	};
+}
+
+/**
+ * Waypoints to write: the placed ones plus one per marker color pixel.
+ * A marker color found on several pixels gets numbered names ("Name 1", "Name 2", ...).
+ * @param {Array} placed - Placed waypoints { name, position }
+ * @param {Map} markerPositions - Waypoint name -> positions found in the image
+ * @returns {Array} Waypoints { name, position }
+ */
+function collectWaypoints(placed, markerPositions) {
+	const waypoints = placed.slice();
+	for (const [name, positions] of markerPositions) {
+		if (positions.length === 1) {
+			waypoints.push({ name, position: positions[0] });
+		} else {
+			positions.forEach((position, i) => waypoints.push({ name: `${name} ${i + 1}`, position }));
+		}
+	}
+	return waypoints;
+}
+
+/**
+ * Check waypoints before writing them
+ * @returns {string|null} Error message, or null if the waypoints are valid
+ */
+function validateWaypoints(waypoints) {
+	const names = new Set();
+	for (const waypoint of waypoints) {
+		if (!waypoint.name) {
+			return 'A waypoint has no name';
+		}
+		if (names.has(waypoint.name)) {
+			return `Duplicate waypoint name: ${waypoint.name}`;
+		}
+		names.add(waypoint.name);
+	}
+	return null;
+}
+
+/**
+ * Add items to a tile right on its ground, below the items already on it
+ * @returns {Object} New tile { groundId, items }
+ */
+function insertAboveGround(tile, items) {
+	// A ground with attributes is the first item node
+	const groundIsItem = tile.groundId === 0 && tile.items.length > 0 && tile.items[0].ground === true;
+	return {
+		groundId: tile.groundId,
+		items: groundIsItem
+			? [tile.items[0], ...items, ...tile.items.slice(1)]
+			: [...items, ...tile.items]
+	};
+}
+
+/**
+ * Border items for a tile: each bordered brush around it with a higher z-order than
+ * its own ground adds its border, lowest z-order first
+ * @returns {number[]} Border item IDs
+ */
+function getTileBorders(brushGrid, brushes, x, y, width, height) {
+	const own = brushGrid[y * width + x];
+	const ownZOrder = own ? brushes[own - 1].zOrder : -Infinity;
+	
+	const higher = new Map(); // brush index + 1 -> neighbour bits
+	for (const { dx, dy, bit } of NEIGHBOUR_OFFSETS) {
+		const nx = x + dx;
+		const ny = y + dy;
+		if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+		
+		const neighbour = brushGrid[ny * width + nx];
+		if (neighbour && neighbour !== own && brushes[neighbour - 1].border && brushes[neighbour - 1].zOrder > ownZOrder) {
+			higher.set(neighbour, (higher.get(neighbour) || 0) | bit);
+		}
+	}
+	if (higher.size === 0) return [];
+	
+	return [...higher]
+		.sort(([a], [b]) => brushes[a - 1].zOrder - brushes[b - 1].zOrder)
+		.flatMap(([brush, neighbours]) => getBorderItems(brushes[brush - 1].border, neighbours));
+}
+
+/**
+ * Change a tile by a rule: its ground replaces the tile's ground, its items go on top
+ * @returns {Object} New tile { groundId, items }
+ */
+function applyRule(tile, rule) {
+	let groundId = tile ? tile.groundId : 0;
+	let items = tile ? tile.items : [];
+	if (rule.ground !== null) {
+		// A ground with attributes is the first item node
+		if (groundId === 0 && items.length > 0 && items[0].ground === true) {
+			items = items.slice(1);
+		}
+		groundId = rule.ground;
+	}
+	return { groundId, items: [...items, ...rule.items] };
+}
+
+/**
+ * Map generation from prepared floors, fed in blocks of pixels: places the tile of every pixel
+ * with its variants, rules, walls, decorations, borders and mountain below, then writes the file
+ */
+class MapGenerator {
+	/**
+	 * @param {Object} job - Plain data built by PNGToOTBMApp._generateOTBM():
+	 *   { width, height, scale, offX, offY, seed, policy, alpha, transparentId, floors: [{ z,
+	 *   decorations, brushGrid, wallGrid, ruleGrid }], heightLevels, heightmap, zoneFlags, houseIds,
+	 *   colorToTile, colorToVariants, markerColors, spawnColors, brushes, walls, rules,
+	 *   baseMapData (the base map's OTBM file) or header { description, version, otbMajorVersion, otbMinorVersion },
+	 *   towns, waypoints, houseFile, spawnFile, areaBlocks }; the grids cover the whole map. With
+	 *   areaBlocks, each block covers whole 256 × 256 tile areas of the map, so its areas are
+	 *   written out as soon as it is placed, and only one block of tiles is held at a time.
+	 * @param {Function} onProgress - Called with the percentage of pixels done
+	 */
+	constructor(job, onProgress) {
+		const { width, height, offX, offY } = job;
+		this.job = job;
+		this.onProgress = onProgress;
+		
+		// Create OTBM writer: from the base map (keeping its versions), or new with client-specific versions
+		if (job.baseMapData) {
+			this.writer = OTBMWriter.fromMap(new OTBMReader(job.baseMapData).read());
+			this.writer.width = Math.max(this.writer.width, width + offX);
+			this.writer.height = Math.max(this.writer.height, height + offY);
+		} else {
+			this.writer = new OTBMWriter(
+				width + offX,
+				height + offY,
+				job.header.description,
+				job.header.version,
+				job.header.otbMajorVersion,
+				job.header.otbMinorVersion
+			);
+		}
+		
+		// Towns (replace base map towns with the same ID)
+		for (const town of job.towns) {
+			this.writer.addTown(town.id, town.name, town.temple);
+		}
+		
+		this.counts = {
+			tileCount: 0,
+			transparentTileCount: 0,
+			overlayTileCount: 0,
+			keptTileCount: 0,
+			decorationCount: 0,
+			borderCount: 0,
+			wallCount: 0,
+			ruleTileCount: 0,
+			mountainTileCount: 0
+		};
+		this.houseSizes = new Map(); // house ID -> placed tiles
+		this.markerPositions = new Map(); // waypoint name -> positions
+		this.spawns = [];
+		this.processedPixels = 0;
+		this.reportedProgress = 0;
+		this.complete = false; // Never set: every block adds tiles
+		
+		// Writing as the blocks come: the external files have to be known up front (every spawn
+		// color is in the image, so it gets spawns). The written parts are kept as Blobs, which
+		// the browser can keep out of the page's memory.
+		this.parts = [];
+		if (job.areaBlocks) {
+			if (job.houseFile) {
+				this.writer.houseFile = job.houseFile;
+			}
+			if (job.spawnColors.size > 0) {
+				this.writer.spawnFile = job.spawnFile;
+			}
+			this.writer.beginChunks();
+		}
+	}
+	
+	/**
+	 * Place the tiles of a block
+	 * @param {Object} block - { floor: index into job.floors, x, y, width, height, pixels }: a
+	 *   rectangle of the map, in tiles, with its RGBA pixels (one per tile)
+	 */
+	addBlock(block) {
+		const job = this.job;
+		const { width, height, scale, offX, offY, seed, policy, alpha, transparentId } = job;
+		const { heightLevels, heightmap, zoneFlags, houseIds, brushes, walls } = job;
+		const { colorToTile, colorToVariants, markerColors, spawnColors } = job;
+		const { writer, counts, houseSizes, markerPositions, spawns } = this;
+		const floor = job.floors[block.floor];
+		const { decorations, brushGrid, wallGrid, ruleGrid } = floor;
+		const floorZ = floor.z;
+		const pixels = block.pixels;
+		const transparentTile = { groundId: transparentId, items: [] };
+		const totalPixels = width * height * job.floors.length;
+		
+		for (let y = block.y; y < block.y + block.height; y++) {
+			for (let x = block.x; x < block.x + block.width; x++) {
+				const level = heightLevels ? heightLevels[y * width + x] : 0;
+				const z = floorZ - level;
+				const i = ((y - block.y) * block.width + x - block.x) * 4;
+				const r = pixels[i];
+				const g = pixels[i + 1];
+				const b = pixels[i + 2];
+				const a = pixels[i + 3];
+				
+				// Transparent pixels use the transparent tile ID
+				let tile = null;
+				const hex = pixelKey(r, g, b, a, alpha);
+				const isTransparent = !hex;
+				const isOverlay = !isTransparent && alphaBandKey(hex) !== '';
+				if (isTransparent) {
+					tile = transparentId > 0 ? transparentTile : null;
+				} else {
+					const variants = colorToVariants.get(hex);
+					if (variants) {
+						const random = randomAt(seed, x + offX, y + offY, z, RANDOM_SALT_VARIANT);
+						tile = variants.tiles[pickWeightedIndex(variants.weights, random)];
+					} else {
+						tile = colorToTile.get(hex) || null;
+					}
+					
+					// The first matching neighbour rule changes the color's tile
+					const rule = ruleGrid ? ruleGrid[y * width + x] : 0;
+					if (rule) {
+						tile = applyRule(tile, job.rules[rule - 1]);
+						counts.ruleTileCount++;
+					}
+					
+					// Wall piece matching the connected neighbours, right on the ground
+					const wall = wallGrid ? wallGrid[y * width + x] : 0;
+					if (wall) {
+						let neighbours = 0;
+						for (const { dx, dy, bit } of NEIGHBOUR_OFFSETS) {
+							const nx = x + dx;
+							const ny = y + dy;
+							if ((dx === 0 || dy === 0) && nx >= 0 && nx < width && ny >= 0 && ny < height && wallGrid[ny * width + nx] === wall) {
+								neighbours |= bit;
+							}
+						}
+						const random = randomAt(seed, x + offX, y + offY, z, RANDOM_SALT_WALL);
+						const wallItems = getWallItems(walls[wall - 1].types, neighbours, random);
+						if (wallItems.length > 0) {
+							tile = insertAboveGround(tile || { groundId: 0, items: [] }, wallItems);
+							counts.wallCount++;
+						}
+					}
+					
+					// Scattered decoration on top of everything else
+					const decoration = decorations ? decorations[y * width + x] : 0;
+					if (decoration) {
+						tile = tile
+							? { groundId: tile.groundId, items: [...tile.items, decoration] }
+							: { groundId: 0, items: [decoration] };
+						counts.decorationCount++;
+					}
+					
+					// Markers count once per pixel, on the middle tile of its square
+					const half = scale >> 1;
+					const isMarkerTile = x % scale === half && y % scale === half;
+					const marker = isMarkerTile && markerColors.get(hex);
+					if (marker) {
+						if (!markerPositions.has(marker)) {
+							markerPositions.set(marker, []);
+						}
+						markerPositions.get(marker).push({ x: x + offX, y: y + offY, z });
+					}
+					
+					const spawn = isMarkerTile && spawnColors.get(hex);
+					if (spawn) {
+						spawns.push(createSpawn(spawn, { x: x + offX, y: y + offY, z }));
+					}
+				}
+				
+				// Border items right on the ground, from higher grounds around
+				if (tile && brushGrid) {
+					const borders = getTileBorders(brushGrid, brushes, x, y, width, height);
+					if (borders.length > 0) {
+						tile = insertAboveGround(tile, borders);
+						counts.borderCount += borders.length;
+					}
+				}
+				
+				let placed = false;
+				if (tile) {
+					const flags = zoneFlags ? zoneFlags[y * width + x] : 0;
+					const houseId = houseIds ? houseIds[y * width + x] : 0;
+					const options = flags || houseId ? { flags, houseId } : undefined;
+					if (isOverlay) {
+						// Alpha band colors go on top of the base map tile, or on the transparent ground
+						const groundIsItem = tile.groundId === 0 && typeof tile.items[0] === 'object';
+						if (tile.groundId === 0 && !groundIsItem && transparentId > 0 && !(policy && writer.getTile(x + offX, y + offY, z))) {
+							tile = { groundId: transparentId, items: tile.items };
+						}
+						placed = policy
+							? writer.placeTile(x + offX, y + offY, z, tile.groundId, tile.items, 'stack', options)
+							: (writer.addTile(x + offX, y + offY, z, tile.groundId, tile.items, options), true);
+					} else if (policy) {
+						placed = writer.placeTile(x + offX, y + offY, z, tile.groundId, tile.items, policy, options);
+						if (!placed) {
+							counts.keptTileCount++;
+						}
+					} else {
+						writer.addTile(x + offX, y + offY, z, tile.groundId, tile.items, options);
+						placed = true;
+					}
+				}
+				
+				if (placed) {
+					counts.tileCount++;
+					if (isTransparent) {
+						counts.transparentTileCount++;
+					} else if (isOverlay) {
+						counts.overlayTileCount++;
+					}
+					const houseId = houseIds ? houseIds[y * width + x] : 0;
+					if (houseId) {
+						houseSizes.set(houseId, (houseSizes.get(houseId) || 0) + 1);
+					}
+				}
+				
+				// The floors under a raised pixel are mountain: fill ground, with the cliff item
+				// where a side neighbour is lower, so the mountain side shows on that floor
+				for (let fillLevel = level - 1; fillLevel >= 0; fillLevel--) {
+					const open = NEIGHBOUR_OFFSETS.some(({ dx, dy }) => {
+						const nx = x + dx;
+						const ny = y + dy;
+						return (dx === 0 || dy === 0) && nx >= 0 && nx < width && ny >= 0 && ny < height &&
+							heightLevels[ny * width + nx] <= fillLevel;
+					});
+					const fillItems = open && heightmap.cliffId ? [heightmap.cliffId] : [];
+					if (!heightmap.fillId && fillItems.length === 0) continue;
+					
+					const fillZ = floorZ - fillLevel;
+					const fillPlaced = policy
+						? writer.placeTile(x + offX, y + offY, fillZ, heightmap.fillId, fillItems, policy)
+						: (writer.addTile(x + offX, y + offY, fillZ, heightmap.fillId, fillItems), true);
+					if (fillPlaced) {
+						counts.mountainTileCount++;
+					} else {
+						counts.keptTileCount++;
+					}
+				}
+				
+				// Report progress every 1000 pixels, when the percentage changes
+				if (++this.processedPixels % 1000 === 0) {
+					const progress = Math.floor(this.processedPixels / totalPixels * 100);
+					if (progress > this.reportedProgress) {
+						this.reportedProgress = progress;
+						this.onProgress(progress);
+					}
+				}
+			}
+		}
+		
+		if (job.areaBlocks) {
+			this._writeBlockAreas(block);
+		}
+	}
+	
+	/**
+	 * Write out the tile areas of a block, unless a later floor has the same Z and still adds to them
+	 * @param {Object} block - The block just placed (see addBlock)
+	 */
+	_writeBlockAreas(block) {
+		const { offX, offY, floors } = this.job;
+		const z = floors[block.floor].z;
+		if (floors.some((floor, index) => index > block.floor && floor.z === z)) return;
+		
+		const left = block.x + offX;
+		const top = block.y + offY;
+		this.writer.writeAreas(area => area.z === z &&
+			area.x < left + block.width && area.x + 256 > left &&
+			area.y < top + block.height && area.y + 256 > top);
+		const chunks = this.writer.takeChunks();
+		if (chunks.length > 0) {
+			this.parts.push(new Blob(chunks));
+		}
+	}
+	
+	/**
+	 * Add the waypoints and write the file (or the rest of it)
+	 * @returns {Object} { blob: the map file, counts, houseSizes, spawns, waypointCount, otbmVersion }
+	 */
+	finish() {
+		// Waypoints (replace base map waypoints with the same name)
+		const waypoints = collectWaypoints(this.job.waypoints, this.markerPositions);
+		const waypointError = validateWaypoints(waypoints);
+		if (waypointError) {
+			throw new Error(waypointError);
+		}
+		for (const waypoint of waypoints) {
+			this.writer.addWaypoint(waypoint.name, waypoint.position);
+		}
+		
+		// Houses and spawns go to external files referenced by the map
+		let chunks;
+		if (this.job.areaBlocks) {
+			chunks = this.writer.finishChunks();
+		} else {
+			if (this.job.houseFile) {
+				this.writer.houseFile = this.job.houseFile;
+			}
+			if (this.spawns.length > 0) {
+				this.writer.spawnFile = this.job.spawnFile;
+			}
+			chunks = this.writer.generateChunks();
+		}
+		
+		return {
+			blob: new Blob([...this.parts, ...chunks], { type: 'application/octet-stream' }),
+			counts: this.counts,
+			houseSizes: this.houseSizes,
+			spawns: this.spawns,
+			waypointCount: waypoints.length,
+			otbmVersion: this.writer.otbmVersion
+		};
+	}
+}
+
+/**
+ * Start a map task. The pixels are fed in blocks with addBlock(); finish() returns the result.
+ * Once complete is set, the remaining blocks can't change the result and can be skipped.
+ * @param {string} task - 'analyze' (ColorCounter) or 'generate' (MapGenerator)
+ * @param {Object} job - The task's input
+ * @param {Function} onProgress - Called with the percentage done
+ * @returns {ColorCounter|MapGenerator} The running task
+ */
+function startMapTask(task, job, onProgress) {
+	switch (task) {
+		case 'analyze':
+			return new ColorCounter(job, onProgress);
+		case 'generate':
+			return new MapGenerator(job, onProgress);
+		default:
+			throw new Error(`Unknown map task: ${task}`);
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { ALPHA_BANDS, alphaBand, pixelKey, alphaBandKey, ColorCounter, createSpawn, collectWaypoints, validateWaypoints, MapGenerator, startMapTask };
+}
@@ -0,0 +1,47 @@
+/**
+ * Map Worker
+ *
+ * Runs map tasks (see startMapTask in map-generator.js) off the main thread, so the
+ * page stays responsive and shows progress. The page sends { type: 'start', task, job },
+ * then one { type: 'block', block } per { type: 'next' } asked for, then { type: 'finish' };
+ * asking for blocks one at a time keeps large images from piling up in memory.
+ * Posts { type: 'progress', percent } while working, then { type: 'done', result } or
+ * { type: 'error', message }. Cancelling terminates the worker.
+ */
+
+importScripts('otbm-writer.js', 'otbm-reader.js', 'random.js', 'rme-materials.js', 'map-generator.js');
+
+let mapTask = null;
+
+/**
+ * Send the result of the task
+ */
+function finishMapTask() {
+	// The generated file is a Blob, which is passed on without copying its data
+	self.postMessage({ type: 'done', result: mapTask.finish() });
+}
+
+self.onmessage = (event) => {
+	const message = event.data;
+	try {
+		switch (message.type) {
+			case 'start':
+				mapTask = startMapTask(message.task, message.job, percent => self.postMessage({ type: 'progress', percent }));
+				self.postMessage({ type: 'next' });
+				break;
+			case 'block':
+				mapTask.addBlock(message.block);
+				if (mapTask.complete) {
+					finishMapTask();
+				} else {
+					self.postMessage({ type: 'next' });
+				}
+				break;
+			case 'finish':
+				finishMapTask();
+				break;
+		}
+	} catch (error) {
+		self.postMessage({ type: 'error', message: error.message });
+	}
+};
@@ -0,0 +1,533 @@
+/**
+ * OTBM Binary Reader Module
+ * 
+ * Parses OTBM (OpenTibia Binary Map) files into a plain map model that
+ * OTBMWriter.fromMap() writes back out. Uses the node and attribute
+ * constants from otbm-writer.js, which must be loaded first.
+ */
+
+/**
+ * OTBM Reader class for parsing OTBM binary files
+ * 
+ * The returned map model looks like:
+ * {
+ *   identifier, encoding, version, width, height, otbMajorVersion, otbMinorVersion,
+ *   descriptions: string[], spawnFile, houseFile,
+ *   areas: [{ x, y, z, tiles: [{ x, y, z, groundId, items, flags, houseId }] }],
+ *   towns: [{ id, name, temple: { x, y, z } }],
+ *   waypoints: [{ name, position: { x, y, z } }]
+ * }
+ * Items are plain IDs, or { id, attributes, items } when they carry attributes
+ * or contain other items. Attributes keep the order they had in the file.
+ */
+class OTBMReader {
+	/**
+	 * @param {ArrayBuffer|Uint8Array} data - Raw OTBM file contents
+	 */
+	constructor(data) {
+		this.data = data instanceof Uint8Array ? data : new Uint8Array(data);
+		this.pos = 0;
+		this.encoding = 'utf-8';
+		this.invalidUtf8 = false;
+		
+		// Unescaped properties of the node currently being parsed
+		this.props = new Uint8Array(1024);
+		this.propsLength = 0;
+		this.propsPos = 0;
+		this.propsView = new DataView(this.props.buffer);
+		
+		this.utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+	}
+	
+	/**
+	 * Parse the OTBM data
+	 * @returns {Object} The map model
+	 */
+	read() {
+		if (this.data.length < 6) {
+			throw new Error('File is too small to be an OTBM map');
+		}
+		
+		// File identifier: "OTBM" or four zero bytes
+		const identifier = String.fromCharCode(...this.data.subarray(0, 4));
+		if (identifier !== 'OTBM' && identifier !== '\0\0\0\0') {
+			throw new Error('Not an OTBM file (invalid identifier)');
+		}
+		
+		// Strings are decoded as UTF-8; if one of them is not valid UTF-8, the whole map is read
+		// again as Latin-1, so every string is decoded (and written back) the same way
+		this.encoding = 'utf-8';
+		this.invalidUtf8 = false;
+		try {
+			return this._readMap(identifier);
+		} catch (error) {
+			if (!this.invalidUtf8) {
+				throw error;
+			}
+		}
+		this.encoding = 'latin1';
+		return this._readMap(identifier);
+	}
+	
+	/**
+	 * Parse the root node, with strings decoded using the reader's encoding
+	 * @param {string} identifier - The file identifier
+	 * @returns {Object} The map model
+	 */
+	_readMap(identifier) {
+		this.pos = 4;
+		
+		const rootType = this._enterNode();
+		if (rootType !== OTBM_ROOTV1) {
+			throw new Error(`Unexpected root node type: ${rootType}`);
+		}
+		
+		const map = {
+			identifier,
+			encoding: this.encoding,
+			version: this._readU32(),
+			width: this._readU16(),
+			height: this._readU16(),
+			otbMajorVersion: this._readU32(),
+			otbMinorVersion: this._readU32(),
+			descriptions: [],
+			spawnFile: null,
+			houseFile: null,
+			areas: [],
+			towns: [],
+			waypoints: []
+		};
+		
+		while (this._nextChild()) {
+			const type = this._enterNode();
+			if (type !== OTBM_MAP_DATA) {
+				throw new Error(`Unexpected node type ${type} in root node`);
+			}
+			this._readMapData(map);
+		}
+		
+		return map;
+	}
+	
+	/**
+	 * Read the MAP_DATA node: attributes, tile areas, towns and waypoints
+	 */
+	_readMapData(map) {
+		while (this._propsLeft() > 0) {
+			const attribute = this._readU8();
+			switch (attribute) {
+				case OTBM_ATTR_DESCRIPTION:
+					map.descriptions.push(this._readString());
+					break;
+				case OTBM_ATTR_EXT_SPAWN_FILE:
+					map.spawnFile = this._readString();
+					break;
+				case OTBM_ATTR_EXT_HOUSE_FILE:
+					map.houseFile = this._readString();
+					break;
+				default:
+					throw new Error(`Unknown map data attribute: ${attribute}`);
+			}
+		}
+		
+		while (this._nextChild()) {
+			const type = this._enterNode();
+			switch (type) {
+				case OTBM_TILE_AREA:
+					map.areas.push(this._readTileArea());
+					break;
+				case OTBM_TOWNS:
+					this._readTowns(map.towns);
+					break;
+				case OTBM_WAYPOINTS:
+					this._readWaypoints(map.waypoints);
+					break;
+				default:
+					throw new Error(`Unexpected node type ${type} in map data`);
+			}
+		}
+	}
+	
+	/**
+	 * Read a TILE_AREA node and its tiles
+	 */
+	_readTileArea() {
+		const area = {
+			x: this._readU16(),
+			y: this._readU16(),
+			z: this._readU8(),
+			tiles: []
+		};
+		
+		while (this._nextChild()) {
+			const type = this._enterNode();
+			if (type !== OTBM_TILE && type !== OTBM_HOUSETILE) {
+				throw new Error(`Unexpected node type ${type} in tile area`);
+			}
+			area.tiles.push(this._readTile(area, type === OTBM_HOUSETILE));
+		}
+		
+		return area;
+	}
+	
+	/**
+	 * Read a TILE or HOUSETILE node and its items
+	 */
+	_readTile(area, isHouseTile) {
+		const tile = {
+			x: area.x + this._readU8(),
+			y: area.y + this._readU8(),
+			z: area.z,
+			groundId: 0,
+			items: [],
+			flags: 0,
+			houseId: isHouseTile ? this._readU32() : 0
+		};
+		
+		while (this._propsLeft() > 0) {
+			const attribute = this._readU8();
+			switch (attribute) {
+				case OTBM_ATTR_TILE_FLAGS:
+					tile.flags = this._readU32();
+					break;
+				case OTBM_ATTR_ITEM:
+					tile.groundId = this._readU16();
+					break;
+				default:
+					throw new Error(`Unknown tile attribute ${attribute} at ${tile.x},${tile.y},${tile.z}`);
+			}
+		}
+		
+		while (this._nextChild()) {
+			const type = this._enterNode();
+			if (type !== OTBM_ITEM) {
+				throw new Error(`Unexpected node type ${type} in tile ${tile.x},${tile.y},${tile.z}`);
+			}
+			tile.items.push(this._readItem(tile));
+		}
+		
+		return tile;
+	}
+	
+	/**
+	 * Read an ITEM node, its attributes and any contained items
+	 * @param {Object} tile - The tile the item is on, for error messages
+	 * @returns {number|Object} Item ID, or { id, attributes, rawAttributes, items }
+	 */
+	_readItem(tile) {
+		const id = this._readU16();
+		const attributes = {};
+		let rawAttributes = null;
+		let hasAttributes = false;
+		
+		while (this._propsLeft() > 0) {
+			const attributeId = this._readU8();
+			const key = OTBMReader._attributeKeys.get(attributeId);
+			if (!key) {
+				// Attributes carry no length, so an unknown one (from a newer client or a custom
+				// server) can't be told apart from the ones after it: the rest is kept as it is
+				rawAttributes = this.props.slice(this.propsPos - 1, this.propsLength);
+				this.propsPos = this.propsLength;
+				hasAttributes = true;
+				break;
+			}
+			try {
+				attributes[key] = this._readAttributeValue(OTBM_ITEM_ATTRIBUTES[key].type);
+			} catch (error) {
+				throw new Error(`Can't read attribute ${key} of item ${id} at ${tile.x},${tile.y},${tile.z}: ${error.message}`);
+			}
+			hasAttributes = true;
+		}
+		
+		const items = [];
+		while (this._nextChild()) {
+			const type = this._enterNode();
+			if (type !== OTBM_ITEM) {
+				throw new Error(`Unexpected node type ${type} inside item ${id} at ${tile.x},${tile.y},${tile.z}`);
+			}
+			items.push(this._readItem(tile));
+		}
+		
+		if (!hasAttributes && items.length === 0) {
+			return id;
+		}
+		
+		const item = { id, attributes };
+		if (rawAttributes) {
+			item.rawAttributes = rawAttributes;
+		}
+		if (items.length > 0) {
+			item.items = items;
+		}
+		return item;
+	}
+	
+	/**
+	 * Read an item attribute value of the given type
+	 */
+	_readAttributeValue(type) {
+		switch (type) {
+			case 'u8':
+				return this._readU8();
+			case 'u16':
+				return this._readU16();
+			case 'u32':
+				return this._readU32();
+			case 'string':
+				return this._readString();
+			case 'position':
+				return this._readPosition();
+			case 'map':
+				return this._readAttributeMap();
+			default:
+				throw new Error(`Unknown attribute type: ${type}`);
+		}
+	}
+	
+	/**
+	 * Read an OTBM_ATTR_ATTRIBUTE_MAP value
+	 * @returns {Object[]} Array of { key, type, value }
+	 */
+	_readAttributeMap() {
+		const count = this._readU16();
+		const entries = [];
+		
+		for (let i = 0; i < count; i++) {
+			const key = this._readString();
+			const type = this._readU8();
+			let value;
+			
+			switch (type) {
+				case ATTRIBUTE_MAP_STRING:
+					value = this._readString(this._readU32());
+					break;
+				case ATTRIBUTE_MAP_INTEGER:
+					this._requireProps(4);
+					value = this.propsView.getInt32(this.propsPos, true);
+					this.propsPos += 4;
+					break;
+				case ATTRIBUTE_MAP_FLOAT:
+					this._requireProps(4);
+					value = this.propsView.getFloat32(this.propsPos, true);
+					this.propsPos += 4;
+					break;
+				case ATTRIBUTE_MAP_BOOLEAN:
+					value = this._readU8() !== 0;
+					break;
+				case ATTRIBUTE_MAP_DOUBLE:
+					this._requireProps(8);
+					value = this.propsView.getFloat64(this.propsPos, true);
+					this.propsPos += 8;
+					break;
+				default:
+					throw new Error(`Unknown attribute map value type ${type} for key "${key}"`);
+			}
+			
+			entries.push({ key, type, value });
+		}
+		
+		return entries;
+	}
+	
+	/**
+	 * Read the TOWNS node
+	 */
+	_readTowns(towns) {
+		while (this._nextChild()) {
+			const type = this._enterNode();
+			if (type !== OTBM_TOWN) {
+				throw new Error(`Unexpected node type ${type} in towns`);
+			}
+			towns.push({
+				id: this._readU32(),
+				name: this._readString(),
+				temple: this._readPosition()
+			});
+			this._leaveNode();
+		}
+	}
+	
+	/**
+	 * Read the WAYPOINTS node
+	 */
+	_readWaypoints(waypoints) {
+		while (this._nextChild()) {
+			const type = this._enterNode();
+			if (type !== OTBM_WAYPOINT) {
+				throw new Error(`Unexpected node type ${type} in waypoints`);
+			}
+			waypoints.push({
+				name: this._readString(),
+				position: this._readPosition()
+			});
+			this._leaveNode();
+		}
+	}
+	
+	/**
+	 * Enter the node starting at the current position and unescape its properties
+	 * @returns {number} The node type
+	 */
+	_enterNode() {
+		const data = this.data;
+		if (data[this.pos] !== NODE_START) {
+			throw new Error(`Expected node start at offset ${this.pos}`);
+		}
+		
+		const type = data[this.pos + 1];
+		let pos = this.pos + 2;
+		let length = 0;
+		
+		while (pos < data.length) {
+			let b = data[pos];
+			if (b === NODE_START || b === NODE_END) {
+				break;
+			}
+			if (b === ESCAPE) {
+				pos++;
+				b = data[pos];
+			}
+			if (length === this.props.length) {
+				this._growProps();
+			}
+			this.props[length++] = b;
+			pos++;
+		}
+		
+		if (pos >= data.length) {
+			throw new Error('Unexpected end of file inside a node');
+		}
+		
+		this.pos = pos;
+		this.propsLength = length;
+		this.propsPos = 0;
+		return type;
+	}
+	
+	/**
+	 * Check for another child of the current node
+	 * @returns {boolean} true if a child node starts here, false once the node has ended
+	 */
+	_nextChild() {
+		const b = this.data[this.pos];
+		if (b === NODE_START) {
+			return true;
+		}
+		if (b === NODE_END) {
+			this.pos++;
+			return false;
+		}
+		throw new Error(`Unexpected data at offset ${this.pos}`);
+	}
+	
+	/**
+	 * Leave a node that is not expected to have children
+	 */
+	_leaveNode() {
+		if (this._nextChild()) {
+			throw new Error(`Unexpected child node at offset ${this.pos}`);
+		}
+	}
+	
+	/**
+	 * Double the size of the property buffer, keeping its contents
+	 */
+	_growProps() {
+		const props = new Uint8Array(this.props.length * 2);
+		props.set(this.props);
+		this.props = props;
+		this.propsView = new DataView(props.buffer);
+	}
+	
+	/**
+	 * Number of unread property bytes in the current node
+	 */
+	_propsLeft() {
+		return this.propsLength - this.propsPos;
+	}
+	
+	/**
+	 * Make sure the current node has enough property bytes left
+	 */
+	_requireProps(count) {
+		if (this._propsLeft() < count) {
+			throw new Error(`Unexpected end of node data before offset ${this.pos}`);
+		}
+	}
+	
+	/**
+	 * Read uint8 from node properties
+	 */
+	_readU8() {
+		this._requireProps(1);
+		return this.props[this.propsPos++];
+	}
+	
+	/**
+	 * Read uint16 little-endian from node properties
+	 */
+	_readU16() {
+		this._requireProps(2);
+		const value = this.propsView.getUint16(this.propsPos, true);
+		this.propsPos += 2;
+		return value;
+	}
+	
+	/**
+	 * Read uint32 little-endian from node properties
+	 */
+	_readU32() {
+		this._requireProps(4);
+		const value = this.propsView.getUint32(this.propsPos, true);
+		this.propsPos += 4;
+		return value;
+	}
+	
+	/**
+	 * Read a map position (uint16 x, uint16 y, uint8 z)
+	 */
+	_readPosition() {
+		return {
+			x: this._readU16(),
+			y: this._readU16(),
+			z: this._readU8()
+		};
+	}
+	
+	/**
+	 * Read a string from node properties
+	 * @param {number} length - Byte length; read from a uint16 prefix when omitted
+	 */
+	_readString(length = this._readU16()) {
+		this._requireProps(length);
+		const bytes = this.props.subarray(this.propsPos, this.propsPos + length);
+		this.propsPos += length;
+		
+		if (this.encoding === 'utf-8') {
+			try {
+				return this.utf8Decoder.decode(bytes);
+			} catch (error) {
+				// read() starts over as Latin-1
+				this.invalidUtf8 = true;
+				throw error;
+			}
+		}
+		
+		// Latin-1: one character per byte (TextDecoder would use windows-1252)
+		let text = '';
+		for (let i = 0; i < bytes.length; i++) {
+			text += String.fromCharCode(bytes[i]);
+		}
+		return text;
+	}
+}
+
+// Attribute ID -> model key, derived from the writer's attribute table
+OTBMReader._attributeKeys = new Map(
+	Object.entries(OTBM_ITEM_ATTRIBUTES).map(([key, attribute]) => [attribute.id, key])
+);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = OTBMReader;
+}
@@ -17,22 +17,110 @@ const OTBM_TILE_AREA = 4;
 const OTBM_TILE = 5;
 const OTBM_ITEM = 6;
 const OTBM_TOWNS = 12;
+const OTBM_TOWN = 13;
+const OTBM_HOUSETILE = 14;
 const OTBM_WAYPOINTS = 15;
+const OTBM_WAYPOINT = 16;
 
 // OTBM Attributes
 const OTBM_ATTR_DESCRIPTION = 1;
+const OTBM_ATTR_TILE_FLAGS = 3;
+const OTBM_ATTR_ACTION_ID = 4;
+const OTBM_ATTR_UNIQUE_ID = 5;
+const OTBM_ATTR_TEXT = 6;
+const OTBM_ATTR_DESC = 7;
+const OTBM_ATTR_TELE_DEST = 8;
 const OTBM_ATTR_ITEM = 9;
+const OTBM_ATTR_DEPOT_ID = 10;
+const OTBM_ATTR_EXT_SPAWN_FILE = 11;
+const OTBM_ATTR_RUNE_CHARGES = 12;
+const OTBM_ATTR_EXT_HOUSE_FILE = 13;
+const OTBM_ATTR_HOUSEDOORID = 14;
+const OTBM_ATTR_COUNT = 15;
+const OTBM_ATTR_DURATION = 16;
+const OTBM_ATTR_DECAYING_STATE = 17;
+const OTBM_ATTR_WRITTENDATE = 18;
+const OTBM_ATTR_WRITTENBY = 19;
+const OTBM_ATTR_SLEEPERGUID = 20;
+const OTBM_ATTR_SLEEPSTART = 21;
+const OTBM_ATTR_CHARGES = 22;
+const OTBM_ATTR_ATTRIBUTE_MAP = 128;
+
+// Item attributes by model key, in the order RME serializes them
+const OTBM_ITEM_ATTRIBUTES = {
+	count: { id: OTBM_ATTR_COUNT, type: 'u8' },
+	runeCharges: { id: OTBM_ATTR_RUNE_CHARGES, type: 'u8' },
+	charges: { id: OTBM_ATTR_CHARGES, type: 'u16' },
+	actionId: { id: OTBM_ATTR_ACTION_ID, type: 'u16' },
+	uniqueId: { id: OTBM_ATTR_UNIQUE_ID, type: 'u16' },
+	text: { id: OTBM_ATTR_TEXT, type: 'string' },
+	description: { id: OTBM_ATTR_DESC, type: 'string' },
+	teleportDestination: { id: OTBM_ATTR_TELE_DEST, type: 'position' },
+	depotId: { id: OTBM_ATTR_DEPOT_ID, type: 'u16' },
+	doorId: { id: OTBM_ATTR_HOUSEDOORID, type: 'u8' },
+	duration: { id: OTBM_ATTR_DURATION, type: 'u32' },
+	decayingState: { id: OTBM_ATTR_DECAYING_STATE, type: 'u8' },
+	writtenDate: { id: OTBM_ATTR_WRITTENDATE, type: 'u32' },
+	writtenBy: { id: OTBM_ATTR_WRITTENBY, type: 'string' },
+	sleeperGuid: { id: OTBM_ATTR_SLEEPERGUID, type: 'u32' },
+	sleepStart: { id: OTBM_ATTR_SLEEPSTART, type: 'u32' },
+	attributeMap: { id: OTBM_ATTR_ATTRIBUTE_MAP, type: 'map' }
+};
+
+// Tile flags (OTBM_ATTR_TILE_FLAGS bitmask)
+const TILE_FLAG_PROTECTION_ZONE = 0x0001;
+const TILE_FLAG_NO_PVP = 0x0004;
+const TILE_FLAG_NO_LOGOUT = 0x0008;
+const TILE_FLAG_PVP_ZONE = 0x0010;
+const TILE_FLAG_REFRESH = 0x0020;
+
+// Value types used inside OTBM_ATTR_ATTRIBUTE_MAP entries
+const ATTRIBUTE_MAP_STRING = 1;
+const ATTRIBUTE_MAP_INTEGER = 2;
+const ATTRIBUTE_MAP_FLOAT = 3;
+const ATTRIBUTE_MAP_BOOLEAN = 4;
+const ATTRIBUTE_MAP_DOUBLE = 5;
+
+// Output is produced in fixed-size chunks; full chunks are handed to a Blob
+const WRITER_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Initial capacity of the compact tile store (doubles as needed)
+const INITIAL_TILE_CAPACITY = 4096;
 
 /**
  * OTBM Writer class for generating OTBM binary files
+ * 
+ * Tiles are kept in a compact column store (typed arrays indexed by tile)
+ * rather than one object per tile; only tiles with items, flags or a house
+ * get an entry in tileExtras.
  */
 class OTBMWriter {
 	constructor(width, height, description = "Generated Map", otbmVersion = 2, otbMajorVersion = 2, otbMinorVersion = 7) {
 		this.width = width;
 		this.height = height;
-		this.description = description;
-		this.tiles = [];
-		this.buffer = [];
+		this.description = description; // A string, or an array of strings for several description attributes
+		this.areas = []; // Array of { x, y, z } in write order
+		this.areaLookup = new Map(); // Area key -> index of the most recent area with that key
+		this.towns = []; // Array of { id, name, temple: { x, y, z } }
+		this.waypoints = []; // Array of { name, position: { x, y, z } }
+		this.spawnFile = null; // External spawn file name (optional)
+		this.houseFile = null; // External house file name (optional)
+		this.identifier = 'OTBM'; // File identifier (older maps use four zero bytes)
+		this.encoding = 'utf-8'; // String encoding: 'utf-8' or 'latin1'
+		
+		// Compact tile store
+		this.tileCount = 0;
+		this.tileArea = new Uint32Array(INITIAL_TILE_CAPACITY); // Index into this.areas
+		this.tileOffsetX = new Uint8Array(INITIAL_TILE_CAPACITY); // X offset from the area base
+		this.tileOffsetY = new Uint8Array(INITIAL_TILE_CAPACITY); // Y offset from the area base
+		this.tileGround = new Uint16Array(INITIAL_TILE_CAPACITY); // Compact ground ID (0 = none)
+		this.tileExtras = new Map(); // Tile index -> { items, flags, houseId }
+		this.tileLookup = null; // Position key -> tile index, built on demand by getTile()
+		
+		// Output buffer (allocated while generating)
+		this.buffer = null;
+		this.length = 0;
+		this.chunks = [];
 		
 		// OTBM version settings - can be customized per client version
 		this.otbmVersion = otbmVersion;
@@ -40,23 +128,329 @@ class OTBMWriter {
 		this.otbMinorVersion = otbMinorVersion;
 	}
 	
+	/**
+	 * Create a writer pre-filled with a map model returned by OTBMReader.
+	 * Tile areas, tile order and attribute order are kept, so an unmodified
+	 * model is written back byte-for-byte.
+	 * @param {Object} map - Map model from OTBMReader.read()
+	 * @returns {OTBMWriter}
+	 */
+	static fromMap(map) {
+		const writer = new OTBMWriter(
+			map.width,
+			map.height,
+			map.descriptions.slice(),
+			map.version,
+			map.otbMajorVersion,
+			map.otbMinorVersion
+		);
+		writer.identifier = map.identifier;
+		writer.encoding = map.encoding;
+		writer.spawnFile = map.spawnFile;
+		writer.houseFile = map.houseFile;
+		
+		for (const area of map.areas) {
+			const areaIndex = writer._addArea(area.x, area.y, area.z);
+			for (const tile of area.tiles) {
+				const index = writer._pushTile(areaIndex, tile.x - area.x, tile.y - area.y, tile.groundId);
+				if (tile.items.length > 0 || tile.flags || tile.houseId) {
+					writer.tileExtras.set(index, { items: tile.items.slice(), flags: tile.flags, houseId: tile.houseId });
+				}
+			}
+		}
+		
+		for (const town of map.towns) {
+			writer.addTown(town.id, town.name, town.temple);
+		}
+		for (const waypoint of map.waypoints) {
+			writer.addWaypoint(waypoint.name, waypoint.position);
+		}
+		
+		return writer;
+	}
+	
 	/**
 	 * Add a tile to the map
 	 * @param {number} x - X coordinate
 	 * @param {number} y - Y coordinate
 	 * @param {number} z - Z coordinate (floor level)
+	 * @param {number} groundId - Ground item ID (0 = no compact ground)
+	 * @param {Array<number|Object>} items - Additional items (optional). Each entry is an
+	 *   item ID or an { id, attributes, items } object (see OTBM_ITEM_ATTRIBUTES); ground: true
+	 *   marks an item node written in place of the compact ground (see placeTile())
+	 * @param {Object} options - Optional tile data
+	 * @param {number} options.flags - Tile flags bitmask
+	 * @param {number} options.houseId - House ID, writes the tile as a house tile
+	 */
+	addTile(x, y, z, groundId, items = [], options = {}) {
+		if (x < 0 || x > 0xFFFF || y < 0 || y > 0xFFFF || z < 0 || z > 15) {
+			throw new Error(`Invalid tile position: ${x},${y},${z}`);
+		}
+		
+		const areaIndex = this._getArea(x & 0xFF00, y & 0xFF00, z);
+		const index = this._pushTile(areaIndex, x & 0xFF, y & 0xFF, groundId);
+		
+		if (items.length > 0 || options.flags || options.houseId) {
+			this.tileExtras.set(index, {
+				items,
+				flags: options.flags || 0,
+				houseId: options.houseId || 0
+			});
+		}
+		
+		if (this.tileLookup) {
+			this.tileLookup.set(this._positionKey(x, y, z), index);
+		}
+	}
+	
+	/**
+	 * Place a tile, resolving conflicts with a tile already at that position
+	 * (e.g. one loaded from a base map with fromMap())
+	 * @param {number} x - X coordinate
+	 * @param {number} y - Y coordinate
+	 * @param {number} z - Z coordinate (floor level)
 	 * @param {number} groundId - Ground item ID
-	 * @param {number[]} items - Additional item IDs (optional)
+	 * @param {Array<number|Object>} items - Additional items (optional)
+	 * @param {string} policy - 'replace' swaps the existing ground (the compact one, or else the
+	 *   first item) and keeps its other items; without a new ground (ID 0 and no first item
+	 *   marked ground: true, as for a ground with attributes), the items are only added on top,
+	 *   'keep' leaves the existing tile untouched, 'stack' adds the ground (unless 0) and items on top
+	 * @param {Object} options - Optional tile data, as for addTile(). Flags are added to
+	 *   the existing tile's flags and a house ID replaces the existing one
+	 * @returns {boolean} false if the tile was left untouched
 	 */
-	addTile(x, y, z, groundId, items = []) {
-		this.tiles.push({ x, y, z, groundId, items });
+	placeTile(x, y, z, groundId, items = [], policy = 'replace', options = {}) {
+		const index = this._findTile(x, y, z);
+		if (index === -1) {
+			this.addTile(x, y, z, groundId, items, options);
+			return true;
+		}
+		
+		switch (policy) {
+			case 'keep':
+				return false;
+			case 'replace': {
+				// A ground with attributes is the first item node; other items alone keep the old ground
+				const groundIsItem = groundId === 0 && items.length > 0 && items[0].ground === true;
+				if (groundId === 0 && !groundIsItem) {
+					this._appendItems(index, items);
+					break;
+				}
+				
+				// Without a compact ground, a tile's ground is its first item node (as written for
+				// grounds with attributes, or by editors that store every item as a node): the old
+				// ground is dropped and the new one goes below the items that are kept
+				const extra = this.tileExtras.get(index);
+				const kept = extra ? (this.tileGround[index] === 0 ? extra.items.slice(1) : extra.items) : [];
+				const newItems = groundIsItem
+					? [items[0], ...kept, ...items.slice(1)]
+					: kept.concat(items);
+				if (extra || newItems.length > 0) {
+					this._getExtra(index).items = newItems;
+				}
+				this.tileGround[index] = groundId;
+				break;
+			}
+			case 'stack':
+				this._appendItems(index, groundId ? [groundId, ...items] : items);
+				break;
+			default:
+				throw new Error(`Unknown conflict policy: ${policy}`);
+		}
+		
+		if (options.flags || options.houseId) {
+			const extra = this._getExtra(index);
+			extra.flags |= options.flags || 0;
+			extra.houseId = options.houseId || extra.houseId;
+		}
+		return true;
+	}
+	
+	/**
+	 * Get the tile at a position
+	 * @returns {Object|null} A copy of the tile { x, y, z, groundId, items, flags, houseId }, or null
+	 */
+	getTile(x, y, z) {
+		const index = this._findTile(x, y, z);
+		if (index === -1) {
+			return null;
+		}
+		
+		const extra = this.tileExtras.get(index);
+		return {
+			x,
+			y,
+			z,
+			groundId: this.tileGround[index],
+			items: extra ? extra.items.slice() : [],
+			flags: extra ? extra.flags : 0,
+			houseId: extra ? extra.houseId : 0
+		};
+	}
+	
+	/**
+	 * Add a town to the map. A town with the same ID (e.g. from a base map) is replaced.
+	 * @param {number} id - Town ID (1+)
+	 * @param {string} name - Town name
+	 * @param {Object} temple - Temple position { x, y, z }
+	 */
+	addTown(id, name, temple) {
+		if (!Number.isInteger(id) || id < 1 || id > 0xFFFFFFFF) {
+			throw new Error(`Invalid town ID: ${id}`);
+		}
+		const { x, y, z } = temple;
+		if (x < 0 || x > 0xFFFF || y < 0 || y > 0xFFFF || z < 0 || z > 15) {
+			throw new Error(`Invalid temple position for town ${id}: ${x},${y},${z}`);
+		}
+		
+		const town = { id, name, temple: { x, y, z } };
+		const existing = this.towns.findIndex(t => t.id === id);
+		if (existing !== -1) {
+			this.towns[existing] = town;
+		} else {
+			this.towns.push(town);
+		}
+	}
+	
+	/**
+	 * Add a waypoint to the map (written for OTBM version 2+).
+	 * A waypoint with the same name (e.g. from a base map) is replaced.
+	 * @param {string} name - Waypoint name
+	 * @param {Object} position - Waypoint position { x, y, z }
+	 */
+	addWaypoint(name, position) {
+		if (!name) {
+			throw new Error('Waypoint name is required');
+		}
+		const { x, y, z } = position;
+		if (x < 0 || x > 0xFFFF || y < 0 || y > 0xFFFF || z < 0 || z > 15) {
+			throw new Error(`Invalid waypoint position for ${name}: ${x},${y},${z}`);
+		}
+		
+		const waypoint = { name, position: { x, y, z } };
+		const existing = this.waypoints.findIndex(w => w.name === name);
+		if (existing !== -1) {
+			this.waypoints[existing] = waypoint;
+		} else {
+			this.waypoints.push(waypoint);
+		}
+	}
+	
+	/**
+	 * Append a tile to the compact store
+	 * @returns {number} The new tile index
+	 */
+	_pushTile(areaIndex, offsetX, offsetY, groundId) {
+		if (this.tileCount === this.tileArea.length) {
+			this._growTiles(this.tileCount * 2);
+		}
+		
+		const index = this.tileCount++;
+		this.tileArea[index] = areaIndex;
+		this.tileOffsetX[index] = offsetX;
+		this.tileOffsetY[index] = offsetY;
+		this.tileGround[index] = groundId;
+		return index;
+	}
+	
+	/**
+	 * Resize the tile store columns, keeping their contents
+	 */
+	_growTiles(capacity) {
+		const resize = (array) => {
+			const resized = new array.constructor(capacity);
+			resized.set(array.subarray(0, this.tileCount));
+			return resized;
+		};
+		this.tileArea = resize(this.tileArea);
+		this.tileOffsetX = resize(this.tileOffsetX);
+		this.tileOffsetY = resize(this.tileOffsetY);
+		this.tileGround = resize(this.tileGround);
+	}
+	
+	/**
+	 * Get the extra data of a tile, creating an empty entry if needed
+	 */
+	_getExtra(index) {
+		let extra = this.tileExtras.get(index);
+		if (!extra) {
+			extra = { items: [], flags: 0, houseId: 0 };
+			this.tileExtras.set(index, extra);
+		}
+		return extra;
+	}
+	
+	/**
+	 * Add items on top of an existing tile
+	 */
+	_appendItems(index, items) {
+		if (items.length > 0) {
+			const extra = this._getExtra(index);
+			extra.items = extra.items.concat(items);
+		}
+	}
+	
+	/**
+	 * Find the index of the tile at a position
+	 * @returns {number} Tile index, or -1 if there is none
+	 */
+	_findTile(x, y, z) {
+		// Position index is built on first use and kept up to date by addTile()
+		if (!this.tileLookup) {
+			this.tileLookup = new Map();
+			for (let i = 0; i < this.tileCount; i++) {
+				const area = this.areas[this.tileArea[i]];
+				const key = this._positionKey(area.x + this.tileOffsetX[i], area.y + this.tileOffsetY[i], area.z);
+				this.tileLookup.set(key, i);
+			}
+		}
+		
+		const index = this.tileLookup.get(this._positionKey(x, y, z));
+		return index === undefined ? -1 : index;
+	}
+	
+	/**
+	 * Numeric key for a map position
+	 */
+	_positionKey(x, y, z) {
+		return (z * 0x10000 + y) * 0x10000 + x;
+	}
+	
+	/**
+	 * Get the index of the most recent tile area for a base position, creating it if needed
+	 */
+	_getArea(baseX, baseY, z) {
+		const index = this.areaLookup.get(this._positionKey(baseX, baseY, z));
+		return index === undefined ? this._addArea(baseX, baseY, z) : index;
+	}
+	
+	/**
+	 * Append a new tile area, even if one with the same base position exists
+	 * @returns {number} The new area index
+	 */
+	_addArea(baseX, baseY, z) {
+		this.areas.push({ x: baseX, y: baseY, z });
+		this.areaLookup.set(this._positionKey(baseX, baseY, z), this.areas.length - 1);
+		return this.areas.length - 1;
+	}
+	
+	/**
+	 * Make room for count more bytes, moving a full buffer to the chunk list
+	 */
+	_reserve(count) {
+		if (this.length + count > this.buffer.length) {
+			this.chunks.push(this.buffer.subarray(0, this.length));
+			this.buffer = new Uint8Array(WRITER_CHUNK_SIZE);
+			this.length = 0;
+		}
 	}
 	
 	/**
 	 * Write a single byte to the buffer
 	 */
 	_writeByte(value) {
-		this.buffer.push(value & 0xFF);
+		this._reserve(1);
+		this.buffer[this.length++] = value & 0xFF;
 	}
 	
 	/**
@@ -64,10 +458,11 @@ class OTBMWriter {
 	 */
 	_writeEscapedByte(value) {
 		value = value & 0xFF;
+		this._reserve(2);
 		if (value === NODE_START || value === NODE_END || value === ESCAPE) {
-			this.buffer.push(ESCAPE);
+			this.buffer[this.length++] = ESCAPE;
 		}
-		this.buffer.push(value);
+		this.buffer[this.length++] = value;
 	}
 	
 	/**
@@ -97,28 +492,57 @@ class OTBMWriter {
 		this._writeEscapedByte((value >> 24) & 0xFF);
 	}
 	
+	/**
+	 * Encode a string using the writer's encoding
+	 */
+	_encodeString(str) {
+		if (this.encoding === 'latin1') {
+			return Uint8Array.from(str, c => c.charCodeAt(0) & 0xFF);
+		}
+		return new TextEncoder().encode(str);
+	}
+	
 	/**
 	 * Write a length-prefixed string
 	 */
 	_writeString(str) {
-		const encoded = new TextEncoder().encode(str);
+		const encoded = this._encodeString(str);
 		this._writeU16(encoded.length);
 		this._writeEscapedBytes(encoded);
 	}
 	
+	/**
+	 * Write a string with a uint32 length prefix
+	 */
+	_writeLongString(str) {
+		const encoded = this._encodeString(str);
+		this._writeU32(encoded.length);
+		this._writeEscapedBytes(encoded);
+	}
+	
+	/**
+	 * Write a map position (uint16 x, uint16 y, uint8 z)
+	 */
+	_writePosition(position) {
+		this._writeU16(position.x);
+		this._writeU16(position.y);
+		this._writeEscapedByte(position.z);
+	}
+	
 	/**
 	 * Start a new node
 	 */
 	_startNode(nodeType) {
-		this.buffer.push(NODE_START);
-		this._writeByte(nodeType);
+		this._reserve(2);
+		this.buffer[this.length++] = NODE_START;
+		this.buffer[this.length++] = nodeType;
 	}
 	
 	/**
 	 * End the current node
 	 */
 	_endNode() {
-		this.buffer.push(NODE_END);
+		this._writeByte(NODE_END);
 	}
 	
 	/**
@@ -133,127 +557,390 @@ class OTBMWriter {
 	}
 	
 	/**
-	 * Write the MAP_DATA node with all tiles
+	 * Start the MAP_DATA node and write its attributes
 	 */
-	_writeMapData() {
+	_writeMapAttributes() {
 		this._startNode(OTBM_MAP_DATA);
 		
-		// Write description attribute
-		this._writeByte(OTBM_ATTR_DESCRIPTION);
-		this._writeString(this.description);
-		
-		// Group tiles by area (256x256 chunks)
-		const areas = new Map();
-		for (const tile of this.tiles) {
-			const areaX = tile.x & 0xFF00;
-			const areaY = tile.y & 0xFF00;
-			const areaKey = `${areaX},${areaY},${tile.z}`;
-			
-			if (!areas.has(areaKey)) {
-				areas.set(areaKey, { areaX, areaY, z: tile.z, tiles: [] });
-			}
-			areas.get(areaKey).tiles.push(tile);
+		// Write description attribute(s)
+		const descriptions = Array.isArray(this.description) ? this.description : [this.description];
+		for (const description of descriptions) {
+			this._writeByte(OTBM_ATTR_DESCRIPTION);
+			this._writeString(description);
 		}
 		
-		// Write each tile area
-		for (const area of areas.values()) {
-			this._writeTileArea(area.areaX, area.areaY, area.z, area.tiles);
+		// External spawn and house files
+		if (this.spawnFile) {
+			this._writeByte(OTBM_ATTR_EXT_SPAWN_FILE);
+			this._writeString(this.spawnFile);
+		}
+		if (this.houseFile) {
+			this._writeByte(OTBM_ATTR_EXT_HOUSE_FILE);
+			this._writeString(this.houseFile);
+		}
+	}
+	
+	/**
+	 * Write the tile areas left in the store, the towns and the waypoints, and end the MAP_DATA node
+	 */
+	_writeMapContents() {
+		// Write each tile area, with its tiles in the order they were added
+		const { order, starts } = this._sortTilesByArea();
+		for (let i = 0; i < this.areas.length; i++) {
+			this._writeTileArea(this.areas[i], order, starts[i], starts[i + 1]);
 		}
 		
-		// Write empty towns node
+		// Towns
 		this._startNode(OTBM_TOWNS);
+		for (const town of this.towns) {
+			this._startNode(OTBM_TOWN);
+			this._writeU32(town.id);
+			this._writeString(town.name);
+			this._writePosition(town.temple);
+			this._endNode();
+		}
 		this._endNode();
 		
 		// Waypoints (version 2+)
 		if (this.otbmVersion >= 2) {
 			this._startNode(OTBM_WAYPOINTS);
+			for (const waypoint of this.waypoints) {
+				this._startNode(OTBM_WAYPOINT);
+				this._writeString(waypoint.name);
+				this._writePosition(waypoint.position);
+				this._endNode();
+			}
 			this._endNode();
 		}
 		
 		this._endNode();
 	}
 	
+	/**
+	 * Group tile indices by area with a stable counting sort
+	 * @returns {Object} { order, starts } - tiles of area i are order[starts[i]] to order[starts[i + 1] - 1]
+	 */
+	_sortTilesByArea() {
+		const starts = new Uint32Array(this.areas.length + 1);
+		for (let i = 0; i < this.tileCount; i++) {
+			starts[this.tileArea[i] + 1]++;
+		}
+		for (let i = 1; i < starts.length; i++) {
+			starts[i] += starts[i - 1];
+		}
+		
+		const next = starts.slice(0, this.areas.length);
+		const order = new Uint32Array(this.tileCount);
+		for (let i = 0; i < this.tileCount; i++) {
+			order[next[this.tileArea[i]]++] = i;
+		}
+		
+		return { order, starts };
+	}
+	
 	/**
 	 * Write a TILE_AREA node
 	 */
-	_writeTileArea(baseX, baseY, z, tiles) {
+	_writeTileArea(area, order, start, end) {
 		this._startNode(OTBM_TILE_AREA);
 		
 		// Write area base coordinates
-		this._writeU16(baseX);
-		this._writeU16(baseY);
-		this._writeEscapedByte(z);
+		this._writeU16(area.x);
+		this._writeU16(area.y);
+		this._writeEscapedByte(area.z);
 		
 		// Write each tile
-		for (const tile of tiles) {
-			this._writeTile(tile, baseX, baseY);
+		for (let i = start; i < end; i++) {
+			this._writeTile(order[i]);
 		}
 		
 		this._endNode();
 	}
 	
 	/**
-	 * Write a single TILE node
+	 * Write a single TILE (or HOUSETILE) node
 	 */
-	_writeTile(tile, baseX, baseY) {
-		this._startNode(OTBM_TILE);
+	_writeTile(index) {
+		const extra = this.tileExtras.get(index);
+		const houseId = extra ? extra.houseId : 0;
+		
+		this._startNode(houseId ? OTBM_HOUSETILE : OTBM_TILE);
 		
 		// Write tile offset from area base
-		const xOffset = tile.x - baseX;
-		const yOffset = tile.y - baseY;
+		this._writeEscapedByte(this.tileOffsetX[index]);
+		this._writeEscapedByte(this.tileOffsetY[index]);
 		
-		// Validate offsets are in valid range (0-255)
-		if (xOffset < 0 || xOffset > 255 || yOffset < 0 || yOffset > 255) {
-			throw new Error(`Invalid tile offset: x=${xOffset}, y=${yOffset} (tile at ${tile.x},${tile.y}, area base ${baseX},${baseY})`);
+		if (houseId) {
+			this._writeU32(houseId);
 		}
 		
-		this._writeEscapedByte(xOffset);
-		this._writeEscapedByte(yOffset);
+		if (extra && extra.flags) {
+			this._writeByte(OTBM_ATTR_TILE_FLAGS);
+			this._writeU32(extra.flags);
+		}
 		
 		// Write ground item using compact format
-		this._writeByte(OTBM_ATTR_ITEM);
-		this._writeU16(tile.groundId);
+		const groundId = this.tileGround[index];
+		if (groundId) {
+			this._writeByte(OTBM_ATTR_ITEM);
+			this._writeU16(groundId);
+		}
 		
 		// Write additional items as full ITEM nodes
-		for (const itemId of tile.items) {
-			this._startNode(OTBM_ITEM);
-			this._writeU16(itemId);
+		if (extra) {
+			for (const item of extra.items) {
+				this._writeItem(item);
+			}
+		}
+		
+		this._endNode();
+	}
+	
+	/**
+	 * Write an ITEM node with its attributes and contained items
+	 * @param {number|Object} item - Item ID or { id, attributes, rawAttributes, items }
+	 *   (rawAttributes: attribute bytes the reader didn't know, written back unchanged)
+	 */
+	_writeItem(item) {
+		this._startNode(OTBM_ITEM);
+		
+		if (typeof item === 'number') {
+			this._writeU16(item);
 			this._endNode();
+			return;
+		}
+		
+		this._writeU16(item.id);
+		
+		// Attributes are written in the object's key order
+		for (const [key, value] of Object.entries(item.attributes || {})) {
+			const attribute = OTBM_ITEM_ATTRIBUTES[key];
+			if (!attribute) {
+				throw new Error(`Unknown item attribute: ${key}`);
+			}
+			this._writeByte(attribute.id);
+			this._writeAttributeValue(attribute.type, value);
+		}
+		for (const b of item.rawAttributes || []) {
+			this._writeEscapedByte(b);
+		}
+		
+		// Container contents
+		for (const child of item.items || []) {
+			this._writeItem(child);
 		}
 		
 		this._endNode();
 	}
 	
 	/**
-	 * Generate the OTBM binary data
-	 * @returns {Uint8Array} The OTBM file data
+	 * Write an item attribute value of the given type
 	 */
-	generate() {
-		this.buffer = [];
+	_writeAttributeValue(type, value) {
+		switch (type) {
+			case 'u8':
+				this._writeEscapedByte(value);
+				break;
+			case 'u16':
+				this._writeU16(value);
+				break;
+			case 'u32':
+				this._writeU32(value);
+				break;
+			case 'string':
+				this._writeString(value);
+				break;
+			case 'position':
+				this._writePosition(value);
+				break;
+			case 'map':
+				this._writeAttributeMap(value);
+				break;
+			default:
+				throw new Error(`Unknown attribute type: ${type}`);
+		}
+	}
+	
+	/**
+	 * Write an OTBM_ATTR_ATTRIBUTE_MAP value
+	 * @param {Object[]} entries - Array of { key, type, value }
+	 */
+	_writeAttributeMap(entries) {
+		this._writeU16(entries.length);
+		for (const entry of entries) {
+			this._writeString(entry.key);
+			this._writeEscapedByte(entry.type);
+			
+			switch (entry.type) {
+				case ATTRIBUTE_MAP_STRING:
+					this._writeLongString(entry.value);
+					break;
+				case ATTRIBUTE_MAP_INTEGER:
+					this._writeU32(entry.value);
+					break;
+				case ATTRIBUTE_MAP_FLOAT: {
+					const view = new DataView(new ArrayBuffer(4));
+					view.setFloat32(0, entry.value, true);
+					this._writeEscapedBytes(new Uint8Array(view.buffer));
+					break;
+				}
+				case ATTRIBUTE_MAP_BOOLEAN:
+					this._writeEscapedByte(entry.value ? 1 : 0);
+					break;
+				case ATTRIBUTE_MAP_DOUBLE: {
+					const view = new DataView(new ArrayBuffer(8));
+					view.setFloat64(0, entry.value, true);
+					this._writeEscapedBytes(new Uint8Array(view.buffer));
+					break;
+				}
+				default:
+					throw new Error(`Unknown attribute map value type: ${entry.type}`);
+			}
+		}
+	}
+	
+	/**
+	 * Start writing the file: the header and the map attributes. Finished tile areas can then be
+	 * written with writeAreas() while more tiles are added, and finishChunks() writes the rest.
+	 * The size, description and external files must be set before.
+	 */
+	beginChunks() {
+		this.buffer = new Uint8Array(WRITER_CHUNK_SIZE);
+		this.length = 0;
+		this.chunks = [];
 		
-		// Write file identifier "OTBM"
-		this.buffer.push(0x4F, 0x54, 0x42, 0x4D);
+		// Write file identifier (normally "OTBM")
+		for (let i = 0; i < 4; i++) {
+			this._writeByte(this.identifier.charCodeAt(i));
+		}
 		
-		// Write root node
+		// Write root node and the start of the map data
 		this._startNode(OTBM_ROOTV1);
 		this._writeRootHeader();
+		this._writeMapAttributes();
+	}
+	
+	/**
+	 * Write the tile areas no more tiles will be added to, and drop them and their tiles from the
+	 * store (areas with the same base position, e.g. from a base map, are written together)
+	 * @param {Function} isFinished - Called with each area { x, y, z }: true to write it now
+	 */
+	writeAreas(isFinished) {
+		const finished = this.areas.map(area => isFinished(area));
+		if (!finished.includes(true)) return;
 		
-		// Write map data
-		this._writeMapData();
+		const { order, starts } = this._sortTilesByArea();
+		for (let i = 0; i < this.areas.length; i++) {
+			if (finished[i]) {
+				this._writeTileArea(this.areas[i], order, starts[i], starts[i + 1]);
+			}
+		}
+		
+		// Keep the other areas and their tiles, in the same order
+		const newAreaIndex = new Int32Array(this.areas.length);
+		const areas = [];
+		this.areaLookup.clear();
+		for (let i = 0; i < this.areas.length; i++) {
+			newAreaIndex[i] = finished[i] ? -1 : areas.length;
+			if (!finished[i]) {
+				const area = this.areas[i];
+				this.areaLookup.set(this._positionKey(area.x, area.y, area.z), areas.length);
+				areas.push(area);
+			}
+		}
+		this.areas = areas;
+		
+		const extras = new Map();
+		let count = 0;
+		for (let i = 0; i < this.tileCount; i++) {
+			const areaIndex = newAreaIndex[this.tileArea[i]];
+			if (areaIndex === -1) continue;
+			this.tileArea[count] = areaIndex;
+			this.tileOffsetX[count] = this.tileOffsetX[i];
+			this.tileOffsetY[count] = this.tileOffsetY[i];
+			this.tileGround[count] = this.tileGround[i];
+			const extra = this.tileExtras.get(i);
+			if (extra) {
+				extras.set(count, extra);
+			}
+			count++;
+		}
+		this.tileCount = count;
+		this.tileExtras = extras;
+		this.tileLookup = null;
+	}
+	
+	/**
+	 * Take the full chunks written so far, so they don't have to stay in the writer until the end
+	 * @returns {Uint8Array[]} The next part of the OTBM file data, in order
+	 */
+	takeChunks() {
+		const chunks = this.chunks;
+		this.chunks = [];
+		return chunks;
+	}
+	
+	/**
+	 * Write the rest of the file started with beginChunks(): the tile areas left, the towns and the waypoints
+	 * @returns {Uint8Array[]} The OTBM file data not taken yet, in order, each chunk on its own buffer
+	 */
+	finishChunks() {
+		this._writeMapContents();
 		
 		// End root node
 		this._endNode();
 		
-		return new Uint8Array(this.buffer);
+		const chunks = this.chunks;
+		chunks.push(this.buffer.subarray(0, this.length));
+		this.buffer = null;
+		this.length = 0;
+		this.chunks = [];
+		return chunks;
+	}
+	
+	/**
+	 * Write the whole file into chunks, each on its own buffer
+	 * @returns {Uint8Array[]} The OTBM file data, in order
+	 */
+	generateChunks() {
+		this.beginChunks();
+		return this.finishChunks();
+	}
+	
+	/**
+	 * Generate the OTBM binary data
+	 * @returns {Uint8Array} The OTBM file data
+	 */
+	generate() {
+		const chunks = this.generateChunks();
+		if (chunks.length === 1) {
+			return chunks[0];
+		}
+		
+		const data = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+		let offset = 0;
+		for (const chunk of chunks) {
+			data.set(chunk, offset);
+			offset += chunk.length;
+		}
+		return data;
+	}
+	
+	/**
+	 * Generate the OTBM file as a Blob, without joining the chunks in memory
+	 * @returns {Blob} The OTBM file
+	 */
+	generateBlob() {
+		return new Blob(this.generateChunks(), { type: "application/octet-stream" });
 	}
 	
 	/**
 	 * Download the OTBM file
 	 * @param {string} filename - The filename to save as
+	 * @returns {number} The file size in bytes
 	 */
 	download(filename = "converted_map.otbm") {
-		const data = this.generate();
-		const blob = new Blob([data], { type: "application/octet-stream" });
+		const blob = this.generateBlob();
 		const url = URL.createObjectURL(blob);
 		
 		const a = document.createElement("a");
@@ -264,7 +951,7 @@ class OTBMWriter {
 		document.body.removeChild(a);
 		URL.revokeObjectURL(url);
 		
-		return data.length;
+		return blob.size;
 	}
 }
 
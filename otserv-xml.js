@@ -0,0 +1,95 @@
+/**
+ * OTServ XML Files
+ *
+ * Builds the external XML files a server loads next to an OTBM map
+ * (referenced by the map data node's house and spawn file attributes).
+ */
+
+/**
+ * Escape text for use in an XML attribute value
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * Build a houses.xml file
+ * @param {Array} houses - Array of { id, name, townId, rent, entry: { x, y, z }, size }
+ * @returns {string} XML text
+ */
+function buildHousesXml(houses) {
+	const lines = ['<?xml version="1.0"?>', '<houses>'];
+	for (const house of houses) {
+		lines.push(
+			`\t<house name="${escapeXml(house.name)}" houseid="${house.id}" ` +
+			`entryx="${house.entry.x}" entryy="${house.entry.y}" entryz="${house.entry.z}" ` +
+			`rent="${house.rent}" townid="${house.townId}" size="${house.size}" />`
+		);
+	}
+	lines.push('</houses>');
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a spawns.xml file. Each creature is written as a <monster> or <npc> element,
+ * so NPCs can share the monster spawn file (TFS) or be left out for a separate NPC file.
+ * @param {Array} spawns - Array of { center: { x, y, z }, radius, creatures }, where each creature is
+ *   { type: 'monster'|'npc', name, x, y, z, spawnTime } with x/y relative to the center
+ * @returns {string} XML text
+ */
+function buildSpawnsXml(spawns) {
+	const lines = ['<?xml version="1.0"?>', '<spawns>'];
+	for (const spawn of spawns) {
+		lines.push(`\t<spawn ${spawnCenterAttributes(spawn)}>`);
+		for (const creature of spawn.creatures) {
+			lines.push(`\t\t${creatureElement(creature.type, creature)}`);
+		}
+		lines.push('\t</spawn>');
+	}
+	lines.push('</spawns>');
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a separate NPC spawn file (<map>-npc.xml, as loaded by Canary-based servers)
+ * @param {Array} spawns - Spawns as for buildSpawnsXml(), with NPC creatures only
+ * @returns {string} XML text
+ */
+function buildNpcSpawnsXml(spawns) {
+	const lines = ['<?xml version="1.0"?>', '<npcs>'];
+	for (const spawn of spawns) {
+		lines.push(`\t<npc ${spawnCenterAttributes(spawn)}>`);
+		for (const creature of spawn.creatures) {
+			lines.push(`\t\t${creatureElement('npc', creature)}`);
+		}
+		lines.push('\t</npc>');
+	}
+	lines.push('</npcs>');
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Center and radius attributes of a spawn element
+ */
+function spawnCenterAttributes(spawn) {
+	return `centerx="${spawn.center.x}" centery="${spawn.center.y}" centerz="${spawn.center.z}" radius="${spawn.radius}"`;
+}
+
+/**
+ * A <monster> or <npc> element for a creature in a spawn
+ */
+function creatureElement(tag, creature) {
+	return `<${tag} name="${escapeXml(creature.name)}" x="${creature.x}" y="${creature.y}" z="${creature.z}" spawntime="${creature.spawnTime}" />`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { escapeXml, buildHousesXml, buildSpawnsXml, buildNpcSpawnsXml };
+}
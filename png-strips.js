@@ -0,0 +1,412 @@
+/**
+ * PNG Strip Reader
+ *
+ * Decodes a PNG file a strip of rows at a time, so images far too large for the browser
+ * to decode at once (up to the map size limit) can still be analyzed and converted.
+ * Colors are taken as stored in the file, without the color profile correction a
+ * browser may apply when it draws the image.
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Samples per pixel by PNG color type (0 gray, 2 RGB, 3 palette, 4 gray + alpha, 6 RGBA)
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Bit depths allowed for each color type
+const PNG_BIT_DEPTHS = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+
+class PNGStripReader {
+	/**
+	 * Read the size and format of a PNG file from its header
+	 * @param {Blob} file - Image file
+	 * @returns {Promise<Object|null>} { width, height, bitDepth, colorType, interlaced }, or null
+	 *   if the file is not a PNG image
+	 */
+	static async readHeader(file) {
+		const bytes = new Uint8Array(await file.slice(0, 33).arrayBuffer());
+		const ihdr = [73, 72, 68, 82];
+		if (bytes.length < 33 || PNG_SIGNATURE.some((b, i) => bytes[i] !== b) || ihdr.some((b, i) => bytes[12 + i] !== b)) {
+			return null;
+		}
+		const view = new DataView(bytes.buffer);
+		return {
+			width: view.getUint32(16),
+			height: view.getUint32(20),
+			bitDepth: bytes[24],
+			colorType: bytes[25],
+			interlaced: bytes[28] !== 0
+		};
+	}
+	
+	/**
+	 * @param {Blob} file - PNG file, read from the start when the first strip is read
+	 */
+	constructor(file) {
+		this.file = file;
+		this.opening = null;
+		this.nextRow = 0; // Next row to decode
+		this.strip = null; // Last strip read { y, count, pixels }
+		
+		// File bytes not used yet (the rest of the stream chunk read last)
+		this.fileChunk = new Uint8Array(0);
+		this.fileChunkPos = 0;
+		// Decompressed bytes not used yet
+		this.dataChunk = new Uint8Array(0);
+		this.dataChunkPos = 0;
+	}
+	
+	/**
+	 * Read rows of the image as RGBA pixels. Rows are read top to bottom: a strip starts at or
+	 * after the start of the previous one (rows both strips share are kept, not decoded again).
+	 * @param {number} y - First row
+	 * @param {number} count - Number of rows
+	 * @returns {Promise<Uint8ClampedArray>} RGBA pixels of the rows
+	 */
+	async readStrip(y, count) {
+		if (!this.opening) {
+			this.opening = this._open();
+		}
+		await this.opening;
+		
+		const rowLength = this.width * 4;
+		const pixels = new Uint8ClampedArray(count * rowLength);
+		let row = y;
+		if (this.strip) {
+			const { y: stripY, count: stripCount, pixels: stripPixels } = this.strip;
+			if (y < stripY) {
+				throw new Error(`PNG rows are read top to bottom: row ${y} is above row ${stripY}`);
+			}
+			const end = Math.min(y + count, stripY + stripCount);
+			if (end > y) {
+				pixels.set(stripPixels.subarray((y - stripY) * rowLength, (end - stripY) * rowLength));
+				row = end;
+			}
+		}
+		
+		// Rows below the last strip and above this one are decoded but not kept
+		while (this.nextRow < y + count) {
+			const decoded = await this._decodeRow();
+			if (this.nextRow > row) {
+				this._toRGBA(decoded, pixels, (this.nextRow - 1 - y) * rowLength);
+			}
+		}
+		
+		this.strip = { y, count, pixels };
+		return pixels;
+	}
+	
+	/**
+	 * Read the header chunks up to the image data, and start decompressing it
+	 */
+	async _open() {
+		const signature = await this._readFileBytes(8);
+		if (PNG_SIGNATURE.some((b, i) => signature[i] !== b)) {
+			throw new Error('Not a PNG file');
+		}
+		
+		this.palette = null;
+		this.transparency = null;
+		for (;;) {
+			const { length, type } = await this._readChunkHeader();
+			if (type === 'IDAT') {
+				this.dataLeft = length;
+				break;
+			}
+			if (type === 'IEND') {
+				throw new Error('The PNG file has no image data');
+			}
+			if (type === 'IHDR' || type === 'PLTE' || type === 'tRNS') {
+				const data = (await this._readFileBytes(length)).slice();
+				if (type === 'IHDR') {
+					this._readImageHeader(data);
+				} else if (type === 'PLTE') {
+					this.palette = data;
+				} else {
+					this.transparency = data;
+				}
+			} else {
+				await this._skipFileBytes(length);
+			}
+			await this._skipFileBytes(4); // CRC
+		}
+		if (!this.width) {
+			throw new Error('The PNG file has no header');
+		}
+		if (this.colorType === 3 && !this.palette) {
+			throw new Error('The PNG file has no palette');
+		}
+		
+		// Scanlines: a filter type byte, then the row's samples, unfiltered against the row above
+		const bitsPerPixel = PNG_CHANNELS[this.colorType] * this.bitDepth;
+		this.pixelBytes = Math.max(1, bitsPerPixel >> 3);
+		this.rowBytes = Math.ceil(this.width * bitsPerPixel / 8);
+		this.line = new Uint8Array(1 + this.rowBytes);
+		this.current = new Uint8Array(this.rowBytes);
+		this.previous = new Uint8Array(this.rowBytes);
+		this.samples = new Uint16Array(this.width * PNG_CHANNELS[this.colorType]);
+		
+		const inflater = new DecompressionStream('deflate');
+		this.data = inflater.readable.getReader();
+		this._feedImageData(inflater.writable.getWriter());
+	}
+	
+	/**
+	 * Check the IHDR chunk: only the formats that can be read a row at a time are supported
+	 */
+	_readImageHeader(data) {
+		const view = new DataView(data.buffer);
+		this.width = view.getUint32(0);
+		this.height = view.getUint32(4);
+		this.bitDepth = data[8];
+		this.colorType = data[9];
+		if (!PNG_BIT_DEPTHS[this.colorType] || !PNG_BIT_DEPTHS[this.colorType].includes(this.bitDepth)) {
+			throw new Error(`Unsupported PNG format: color type ${this.colorType}, bit depth ${this.bitDepth}`);
+		}
+		if (data[12] !== 0) {
+			throw new Error('Interlaced PNG images can\'t be read a strip at a time. Save the image without interlacing.');
+		}
+		if (!this.width || !this.height) {
+			throw new Error('The PNG image is empty');
+		}
+	}
+	
+	/**
+	 * Pass the IDAT chunks to the decompressor, as fast as it takes them
+	 * @param {WritableStreamDefaultWriter} writer - Decompressor input
+	 */
+	async _feedImageData(writer) {
+		try {
+			for (;;) {
+				while (this.dataLeft > 0) {
+					const bytes = await this._readFileBytes(this.dataLeft, true);
+					this.dataLeft -= bytes.length;
+					await writer.write(bytes.slice());
+				}
+				await this._skipFileBytes(4); // CRC
+				const { length, type } = await this._readChunkHeader();
+				if (type !== 'IDAT') break;
+				this.dataLeft = length;
+			}
+			await writer.close();
+		} catch (error) {
+			// Reading the decompressed data fails with this error
+			writer.abort(error).catch(() => {});
+		}
+	}
+	
+	/**
+	 * Read a chunk's length and type
+	 * @returns {Promise<Object>} { length, type }
+	 */
+	async _readChunkHeader() {
+		const bytes = await this._readFileBytes(8);
+		const length = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+		return { length, type: String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]) };
+	}
+	
+	/**
+	 * Read bytes from the file
+	 * @param {number} count - Number of bytes
+	 * @param {boolean} partial - Return as soon as some bytes are available (at most count)
+	 * @returns {Promise<Uint8Array>} The bytes (a view of the file stream's chunk where possible)
+	 */
+	async _readFileBytes(count, partial = false) {
+		if (!this.fileReader) {
+			this.fileReader = this.file.stream().getReader();
+		}
+		
+		let result = null;
+		let filled = 0;
+		while (filled < count) {
+			if (this.fileChunkPos === this.fileChunk.length) {
+				const { value, done } = await this.fileReader.read();
+				if (done) {
+					throw new Error('The PNG file ends early');
+				}
+				this.fileChunk = value;
+				this.fileChunkPos = 0;
+			}
+			const available = Math.min(count - filled, this.fileChunk.length - this.fileChunkPos);
+			const bytes = this.fileChunk.subarray(this.fileChunkPos, this.fileChunkPos + available);
+			this.fileChunkPos += available;
+			if (partial || (filled === 0 && available === count)) {
+				return bytes;
+			}
+			if (!result) {
+				result = new Uint8Array(count);
+			}
+			result.set(bytes, filled);
+			filled += available;
+		}
+		return result || new Uint8Array(0);
+	}
+	
+	/**
+	 * Skip bytes of the file
+	 */
+	async _skipFileBytes(count) {
+		while (count > 0) {
+			count -= (await this._readFileBytes(count, true)).length;
+		}
+	}
+	
+	/**
+	 * Decompress and unfilter the next row
+	 * @returns {Promise<Uint8Array>} The row's samples, as stored
+	 */
+	async _decodeRow() {
+		if (this.nextRow >= this.height) {
+			throw new Error(`The PNG image has only ${this.height} rows`);
+		}
+		
+		const line = this.line;
+		let filled = 0;
+		while (filled < line.length) {
+			if (this.dataChunkPos === this.dataChunk.length) {
+				const { value, done } = await this.data.read();
+				if (done) {
+					throw new Error('The PNG image data ends early');
+				}
+				this.dataChunk = value;
+				this.dataChunkPos = 0;
+			}
+			const count = Math.min(line.length - filled, this.dataChunk.length - this.dataChunkPos);
+			line.set(this.dataChunk.subarray(this.dataChunkPos, this.dataChunkPos + count), filled);
+			this.dataChunkPos += count;
+			filled += count;
+		}
+		
+		// The row above becomes the previous row
+		const row = this.previous;
+		this.previous = this.current;
+		this.current = row;
+		const above = this.previous;
+		const bpp = this.pixelBytes;
+		const filter = line[0];
+		
+		switch (filter) {
+			case 0: // None
+				row.set(line.subarray(1));
+				break;
+			case 1: // Sub
+				for (let i = 0; i < row.length; i++) {
+					row[i] = line[i + 1] + (i >= bpp ? row[i - bpp] : 0);
+				}
+				break;
+			case 2: // Up
+				for (let i = 0; i < row.length; i++) {
+					row[i] = line[i + 1] + above[i];
+				}
+				break;
+			case 3: // Average
+				for (let i = 0; i < row.length; i++) {
+					row[i] = line[i + 1] + (((i >= bpp ? row[i - bpp] : 0) + above[i]) >> 1);
+				}
+				break;
+			case 4: // Paeth
+				for (let i = 0; i < row.length; i++) {
+					const a = i >= bpp ? row[i - bpp] : 0;
+					const b = above[i];
+					const c = i >= bpp ? above[i - bpp] : 0;
+					const p = a + b - c;
+					const pa = Math.abs(p - a);
+					const pb = Math.abs(p - b);
+					const pc = Math.abs(p - c);
+					row[i] = line[i + 1] + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+				}
+				break;
+			default:
+				throw new Error(`Invalid PNG filter type ${filter} in row ${this.nextRow}`);
+		}
+		
+		this.nextRow++;
+		return row;
+	}
+	
+	/**
+	 * Convert a row's samples to RGBA
+	 * @param {Uint8Array} row - Unfiltered row
+	 * @param {Uint8ClampedArray} out - Output pixels
+	 * @param {number} offset - Where the row goes in out
+	 */
+	_toRGBA(row, out, offset) {
+		const { width, bitDepth, colorType, transparency } = this;
+		if (bitDepth === 8 && colorType === 6) {
+			out.set(row, offset);
+			return;
+		}
+		
+		// Samples as stored (palette indexes, or values up to the bit depth's maximum)
+		let samples = row;
+		if (bitDepth === 16) {
+			samples = this.samples;
+			for (let i = 0; i < samples.length; i++) {
+				samples[i] = (row[i * 2] << 8) | row[i * 2 + 1];
+			}
+		} else if (bitDepth < 8) {
+			samples = this.samples;
+			const mask = (1 << bitDepth) - 1;
+			for (let i = 0; i < width; i++) {
+				const bit = i * bitDepth;
+				samples[i] = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & mask;
+			}
+		}
+		
+		// Sample value to 8 bits
+		const max = (1 << bitDepth) - 1;
+		const to8 = bitDepth === 8 ? (v => v) : bitDepth === 16 ? (v => (v * 255 + 32895) >> 16) : (v => v * 255 / max);
+		// Transparent color (tRNS for gray and RGB images), as stored
+		const key = transparency && (colorType === 0 || colorType === 2)
+			? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => (transparency[i * 2] << 8) | transparency[i * 2 + 1])
+			: null;
+		
+		let p = offset;
+		switch (colorType) {
+			case 0:
+				for (let i = 0; i < width; i++, p += 4) {
+					const v = to8(samples[i]);
+					out[p] = out[p + 1] = out[p + 2] = v;
+					out[p + 3] = key && samples[i] === key[0] ? 0 : 255;
+				}
+				break;
+			case 2:
+				for (let i = 0; i < width; i++, p += 4) {
+					const r = samples[i * 3];
+					const g = samples[i * 3 + 1];
+					const b = samples[i * 3 + 2];
+					out[p] = to8(r);
+					out[p + 1] = to8(g);
+					out[p + 2] = to8(b);
+					out[p + 3] = key && r === key[0] && g === key[1] && b === key[2] ? 0 : 255;
+				}
+				break;
+			case 3: {
+				const palette = this.palette;
+				for (let i = 0; i < width; i++, p += 4) {
+					const index = samples[i];
+					out[p] = palette[index * 3];
+					out[p + 1] = palette[index * 3 + 1];
+					out[p + 2] = palette[index * 3 + 2];
+					out[p + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+				}
+				break;
+			}
+			case 4:
+				for (let i = 0; i < width; i++, p += 4) {
+					out[p] = out[p + 1] = out[p + 2] = to8(samples[i * 2]);
+					out[p + 3] = to8(samples[i * 2 + 1]);
+				}
+				break;
+			case 6:
+				for (let i = 0; i < width * 4; i++) {
+					out[p + i] = to8(samples[i]);
+				}
+				break;
+		}
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { PNGStripReader };
+}
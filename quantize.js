@@ -0,0 +1,251 @@
+/**
+ * Color Quantization
+ *
+ * Reduces images to a small palette (median cut or k-means), so photos and
+ * anti-aliased drawings can be mapped to a manageable number of tile colors,
+ * and measures how different two colors look (ΔE).
+ */
+
+/**
+ * Count the opaque colors of one or more RGBA pixel arrays
+ * @param {Uint8ClampedArray[]} pixelArrays - RGBA pixels (transparent pixels are skipped)
+ * @param {number} alphaThreshold - Pixels with less alpha are transparent
+ * @returns {Object} { colors: Uint32Array of 0xRRGGBB, counts: Uint32Array }
+ */
+function buildColorHistogram(pixelArrays, alphaThreshold = 128) {
+	const counts = new Map();
+	for (const pixels of pixelArrays) {
+		for (let i = 0; i < pixels.length; i += 4) {
+			if (pixels[i + 3] < alphaThreshold) continue;
+			const color = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+			counts.set(color, (counts.get(color) || 0) + 1);
+		}
+	}
+	return {
+		colors: Uint32Array.from(counts.keys()),
+		counts: Uint32Array.from(counts.values())
+	};
+}
+
+/**
+ * Channel value of a packed color
+ * @param {number} color - 0xRRGGBB
+ * @param {number} channel - 0 = red, 1 = green, 2 = blue
+ */
+function colorChannel(color, channel) {
+	return (color >> (16 - channel * 8)) & 255;
+}
+
+/**
+ * Palette by median cut: the box of colors with the most pixels times its widest channel range
+ * is split at the pixel median of that channel until there are enough boxes; each box
+ * becomes the pixel-weighted average of its colors
+ * @param {Object} histogram - From buildColorHistogram()
+ * @param {number} size - Maximum palette size
+ * @returns {number[][]} Palette of [r, g, b]
+ */
+function medianCutPalette(histogram, size) {
+	const describe = (indices) => {
+		const min = [255, 255, 255];
+		const max = [0, 0, 0];
+		let pixels = 0;
+		for (const index of indices) {
+			const color = histogram.colors[index];
+			for (let channel = 0; channel < 3; channel++) {
+				const value = colorChannel(color, channel);
+				if (value < min[channel]) min[channel] = value;
+				if (value > max[channel]) max[channel] = value;
+			}
+			pixels += histogram.counts[index];
+		}
+		const ranges = [0, 1, 2].map(channel => max[channel] - min[channel]);
+		const channel = ranges.indexOf(Math.max(...ranges));
+		return { indices, pixels, channel, range: ranges[channel] };
+	};
+	
+	const boxes = [describe([...histogram.colors.keys()])];
+	while (boxes.length < size) {
+		let best = -1;
+		for (let i = 0; i < boxes.length; i++) {
+			if (boxes[i].range > 0 && (best < 0 || boxes[i].pixels * boxes[i].range > boxes[best].pixels * boxes[best].range)) {
+				best = i;
+			}
+		}
+		if (best < 0) break;
+		
+		const box = boxes[best];
+		const sorted = box.indices.slice().sort((a, b) =>
+			colorChannel(histogram.colors[a], box.channel) - colorChannel(histogram.colors[b], box.channel)
+		);
+		let half = 0;
+		let split = 1;
+		for (let i = 0; i < sorted.length - 1; i++) {
+			half += histogram.counts[sorted[i]];
+			split = i + 1;
+			if (half * 2 >= box.pixels) break;
+		}
+		boxes.splice(best, 1, describe(sorted.slice(0, split)), describe(sorted.slice(split)));
+	}
+	
+	return boxes.map(box => {
+		const sum = [0, 0, 0];
+		for (const index of box.indices) {
+			for (let channel = 0; channel < 3; channel++) {
+				sum[channel] += colorChannel(histogram.colors[index], channel) * histogram.counts[index];
+			}
+		}
+		return sum.map(value => Math.round(value / box.pixels));
+	});
+}
+
+/**
+ * Palette by k-means, starting from the median cut palette: each color moves to the
+ * pixel-weighted average of the colors nearest to it. Slower, but often closer to the image.
+ * @param {Object} histogram - From buildColorHistogram()
+ * @param {number} size - Maximum palette size
+ * @param {number} iterations - Refinement rounds
+ * @returns {number[][]} Palette of [r, g, b]
+ */
+function kMeansPalette(histogram, size, iterations = 8) {
+	const palette = medianCutPalette(histogram, size);
+	for (let round = 0; round < iterations; round++) {
+		const sums = palette.map(() => [0, 0, 0, 0]);
+		for (let i = 0; i < histogram.colors.length; i++) {
+			const color = histogram.colors[i];
+			const r = colorChannel(color, 0);
+			const g = colorChannel(color, 1);
+			const b = colorChannel(color, 2);
+			const sum = sums[nearestPaletteIndex(palette, r, g, b)];
+			const count = histogram.counts[i];
+			sum[0] += r * count;
+			sum[1] += g * count;
+			sum[2] += b * count;
+			sum[3] += count;
+		}
+		
+		let moved = false;
+		sums.forEach((sum, index) => {
+			if (sum[3] === 0) return;
+			const mean = [0, 1, 2].map(channel => Math.round(sum[channel] / sum[3]));
+			if (mean.some((value, channel) => value !== palette[index][channel])) {
+				palette[index] = mean;
+				moved = true;
+			}
+		});
+		if (!moved) break;
+	}
+	
+	// Colors can merge while moving
+	const unique = new Map(palette.map(color => [color.join(','), color]));
+	return [...unique.values()];
+}
+
+/**
+ * Index of the palette color closest to a color (squared RGB distance)
+ * @returns {number} Palette index
+ */
+function nearestPaletteIndex(palette, r, g, b) {
+	let best = 0;
+	let bestDistance = Infinity;
+	for (let i = 0; i < palette.length; i++) {
+		const dr = palette[i][0] - r;
+		const dg = palette[i][1] - g;
+		const db = palette[i][2] - b;
+		const distance = dr * dr + dg * dg + db * db;
+		if (distance < bestDistance) {
+			best = i;
+			bestDistance = distance;
+		}
+	}
+	return best;
+}
+
+/**
+ * Replace every opaque pixel by its nearest palette color. Dithering (Floyd–Steinberg)
+ * spreads the difference to the next pixels: smoother gradients, but speckled tiles.
+ * @param {ImageData} imageData - Pixels to reduce
+ * @param {number[][]} palette - Palette of [r, g, b]
+ * @param {boolean} dither - Diffuse the error to the neighbouring pixels
+ * @param {number} alphaThreshold - Pixels with less alpha are transparent
+ * @returns {Uint8ClampedArray} Reduced RGBA pixels (transparent pixels and alpha are kept)
+ */
+function remapToPalette(imageData, palette, dither, alphaThreshold = 128) {
+	const { width, height, data } = imageData;
+	const result = new Uint8ClampedArray(data);
+	
+	// Nearest color per 6-bit color cell; each cell is looked up once
+	const cache = new Int16Array(1 << 18).fill(-1);
+	const nearest = (r, g, b) => {
+		const key = ((r >> 2) << 12) | ((g >> 2) << 6) | (b >> 2);
+		if (cache[key] < 0) {
+			cache[key] = nearestPaletteIndex(palette, r, g, b);
+		}
+		return cache[key];
+	};
+	
+	// Errors carried to the current and the next row
+	const errors = dither ? [new Float32Array((width + 2) * 3), new Float32Array((width + 2) * 3)] : null;
+	for (let y = 0; y < height; y++) {
+		if (errors) {
+			errors.reverse();
+			errors[1].fill(0);
+		}
+		for (let x = 0; x < width; x++) {
+			const i = (y * width + x) * 4;
+			if (data[i + 3] < alphaThreshold) continue;
+			
+			const e = (x + 1) * 3;
+			const r = errors ? Math.max(0, Math.min(255, Math.round(data[i] + errors[0][e]))) : data[i];
+			const g = errors ? Math.max(0, Math.min(255, Math.round(data[i + 1] + errors[0][e + 1]))) : data[i + 1];
+			const b = errors ? Math.max(0, Math.min(255, Math.round(data[i + 2] + errors[0][e + 2]))) : data[i + 2];
+			const color = palette[nearest(r, g, b)];
+			result[i] = color[0];
+			result[i + 1] = color[1];
+			result[i + 2] = color[2];
+			
+			if (errors) {
+				const difference = [r - color[0], g - color[1], b - color[2]];
+				for (let channel = 0; channel < 3; channel++) {
+					errors[0][e + 3 + channel] += difference[channel] * 7 / 16;
+					errors[1][e - 3 + channel] += difference[channel] * 3 / 16;
+					errors[1][e + channel] += difference[channel] * 5 / 16;
+					errors[1][e + 3 + channel] += difference[channel] * 1 / 16;
+				}
+			}
+		}
+	}
+	return result;
+}
+
+/**
+ * Convert an sRGB color to CIE L*a*b* (D65 white point)
+ * @returns {number[]} [L, a, b]
+ */
+function rgbToLab(red, green, blue) {
+	const [r, g, b] = [red, green, blue].map(value => {
+		const channel = value / 255;
+		return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+	});
+	const xyz = [
+		(0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047,
+		0.2126 * r + 0.7152 * g + 0.0722 * b,
+		(0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883
+	].map(value => value > 0.008856 ? Math.cbrt(value) : 7.787 * value + 16 / 116);
+	return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+}
+
+/**
+ * Perceptual difference of two L*a*b* colors (CIE76 ΔE: about 2.3 is just noticeable)
+ * @returns {number} ΔE
+ */
+function deltaE(lab1, lab2) {
+	const dl = lab1[0] - lab2[0];
+	const da = lab1[1] - lab2[1];
+	const db = lab1[2] - lab2[2];
+	return Math.sqrt(dl * dl + da * da + db * db);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { buildColorHistogram, medianCutPalette, kMeansPalette, nearestPaletteIndex, remapToPalette, rgbToLab, deltaE };
+}
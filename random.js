@@ -0,0 +1,78 @@
+/**
+ * Seeded Randomness
+ *
+ * Deterministic random numbers for map generation, so converting the same
+ * image with the same seed always produces the same map.
+ */
+
+// Salts for randomAt(), so each random choice on a tile is independent
+const RANDOM_SALT_VARIANT = 0;
+const RANDOM_SALT_SCATTER = 1;
+const RANDOM_SALT_SCATTER_ITEM = 2;
+const RANDOM_SALT_WALL = 3;
+
+/**
+ * Mix a 32-bit integer (MurmurHash3 finalizer)
+ * @param {number} h - Input value
+ * @returns {number} Mixed unsigned 32-bit value
+ */
+function hash32(h) {
+	h ^= h >>> 16;
+	h = Math.imul(h, 0x85ebca6b);
+	h ^= h >>> 13;
+	h = Math.imul(h, 0xc2b2ae35);
+	h ^= h >>> 16;
+	return h >>> 0;
+}
+
+/**
+ * Random number for a map position. The same seed, position and salt always give
+ * the same number, independent of the order tiles are generated in.
+ * @param {number} seed - Generation seed
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} z - Z coordinate
+ * @param {number} salt - Distinguishes several random choices on the same tile (optional)
+ * @returns {number} Number in [0, 1)
+ */
+function randomAt(seed, x, y, z, salt = 0) {
+	let h = hash32(seed >>> 0);
+	h = hash32(h ^ x);
+	h = hash32(h ^ y);
+	h = hash32(h ^ z);
+	h = hash32(h ^ salt);
+	return h / 4294967296;
+}
+
+/**
+ * Pick an index from a list of weights
+ * @param {number[]} weights - Positive weights
+ * @param {number} random - Number in [0, 1)
+ * @returns {number} Index into weights
+ */
+function pickWeightedIndex(weights, random) {
+	let total = 0;
+	for (const weight of weights) {
+		total += weight;
+	}
+	
+	let target = random * total;
+	for (let i = 0; i < weights.length; i++) {
+		target -= weights[i];
+		if (target < 0) return i;
+	}
+	return weights.length - 1;
+}
+
+/**
+ * Random seed for a new project
+ * @returns {number} Unsigned 32-bit seed
+ */
+function createSeed() {
+	return Math.floor(Math.random() * 4294967296);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { RANDOM_SALT_VARIANT, RANDOM_SALT_SCATTER, RANDOM_SALT_SCATTER_ITEM, RANDOM_SALT_WALL, randomAt, pickWeightedIndex, createSeed };
+}
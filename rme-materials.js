@@ -0,0 +1,261 @@
+/**
+ * RME Materials
+ *
+ * Reads Remere's Map Editor material files (borders.xml, grounds.xml, walls.xml)
+ * and picks the border and wall items a tile needs from the tiles around it.
+ */
+
+// Border edges as named in borders.xml: sides, outer corners and inner (diagonal) corners
+const BORDER_EDGES = ['n', 'e', 's', 'w', 'cnw', 'cne', 'csw', 'cse', 'dnw', 'dne', 'dsw', 'dse'];
+
+// Neighbour bits, one per surrounding tile
+const NEIGHBOUR_NW = 1;
+const NEIGHBOUR_N = 2;
+const NEIGHBOUR_NE = 4;
+const NEIGHBOUR_W = 8;
+const NEIGHBOUR_E = 16;
+const NEIGHBOUR_SW = 32;
+const NEIGHBOUR_S = 64;
+const NEIGHBOUR_SE = 128;
+
+// Wall types as named in walls.xml, by the sides (N, W, E, S) connected to the same wall
+const WALL_ALIGNMENTS = {
+	0: 'pole',
+	[NEIGHBOUR_N]: 'south end',
+	[NEIGHBOUR_W]: 'east end',
+	[NEIGHBOUR_E]: 'west end',
+	[NEIGHBOUR_S]: 'north end',
+	[NEIGHBOUR_N | NEIGHBOUR_S]: 'vertical',
+	[NEIGHBOUR_W | NEIGHBOUR_E]: 'horizontal',
+	[NEIGHBOUR_E | NEIGHBOUR_S]: 'corner',
+	[NEIGHBOUR_W | NEIGHBOUR_S]: 'northeast diagonal',
+	[NEIGHBOUR_N | NEIGHBOUR_E]: 'southwest diagonal',
+	[NEIGHBOUR_N | NEIGHBOUR_W]: 'southeast diagonal',
+	[NEIGHBOUR_N | NEIGHBOUR_W | NEIGHBOUR_E]: 'south T',
+	[NEIGHBOUR_N | NEIGHBOUR_W | NEIGHBOUR_S]: 'east T',
+	[NEIGHBOUR_N | NEIGHBOUR_E | NEIGHBOUR_S]: 'west T',
+	[NEIGHBOUR_W | NEIGHBOUR_E | NEIGHBOUR_S]: 'north T',
+	[NEIGHBOUR_N | NEIGHBOUR_W | NEIGHBOUR_E | NEIGHBOUR_S]: 'intersection'
+};
+const WALL_TYPES = [...new Set(Object.values(WALL_ALIGNMENTS))];
+
+// Neighbour offsets in the order of the bits above
+const NEIGHBOUR_OFFSETS = [
+	{ dx: -1, dy: -1, bit: NEIGHBOUR_NW },
+	{ dx: 0, dy: -1, bit: NEIGHBOUR_N },
+	{ dx: 1, dy: -1, bit: NEIGHBOUR_NE },
+	{ dx: -1, dy: 0, bit: NEIGHBOUR_W },
+	{ dx: 1, dy: 0, bit: NEIGHBOUR_E },
+	{ dx: -1, dy: 1, bit: NEIGHBOUR_SW },
+	{ dx: 0, dy: 1, bit: NEIGHBOUR_S },
+	{ dx: 1, dy: 1, bit: NEIGHBOUR_SE }
+];
+
+/**
+ * Parse an RME materials file. Both top-level <border> definitions (borders.xml) and
+ * ground brushes (grounds.xml) are read, so either file or a combined one can be passed.
+ * @param {string} text - XML text
+ * @returns {Object} { borders: { [id]: { edge: itemId } }, brushes: [{ name, zOrder, items, borderId }] }
+ * @throws {Error} If the text is not valid XML
+ */
+function parseMaterialsXml(text) {
+	const doc = new DOMParser().parseFromString(text, 'application/xml');
+	const parserError = doc.getElementsByTagName('parsererror')[0];
+	if (parserError) {
+		throw new Error(`Invalid XML: ${parserError.textContent.trim().split('\n')[0]}`);
+	}
+	
+	const borders = {};
+	for (const element of doc.documentElement.children) {
+		if (element.tagName !== 'border') continue;
+		
+		const id = parseInt(element.getAttribute('id'));
+		if (!(id > 0)) continue;
+		
+		const border = {};
+		for (const item of element.getElementsByTagName('borderitem')) {
+			const edge = item.getAttribute('edge');
+			const itemId = parseInt(item.getAttribute('item'));
+			if (BORDER_EDGES.includes(edge) && itemId > 0 && itemId <= 65535) {
+				border[edge] = itemId;
+			}
+		}
+		if (Object.keys(border).length > 0) {
+			borders[id] = border;
+		}
+	}
+	
+	const brushes = [];
+	for (const element of doc.getElementsByTagName('brush')) {
+		if (element.getAttribute('type') !== 'ground') continue;
+		
+		const items = [...element.getElementsByTagName('item')]
+			.map(item => parseInt(item.getAttribute('id')))
+			.filter(id => id > 0 && id <= 65535);
+		const lookId = parseInt(element.getAttribute('server_lookid'));
+		if (lookId > 0 && lookId <= 65535 && !items.includes(lookId)) {
+			items.push(lookId);
+		}
+		if (items.length === 0) continue;
+		
+		// The outer border drawn around this ground on lower grounds (not the ones for specific neighbours)
+		const outer = [...element.getElementsByTagName('border')].find(border =>
+			(border.getAttribute('align') || 'outer') === 'outer' &&
+			(!border.hasAttribute('to') || border.getAttribute('to') === 'all')
+		);
+		const borderId = outer ? parseInt(outer.getAttribute('id')) || 0 : 0;
+		
+		brushes.push({
+			name: element.getAttribute('name') || `Ground ${items[0]}`,
+			zOrder: parseInt(element.getAttribute('z-order')) || 0,
+			items,
+			borderId
+		});
+	}
+	
+	return { borders, brushes };
+}
+
+/**
+ * Border items for a tile next to a higher ground. Where two sides meet, the inner corner
+ * replaces both side items; outer corners are used when only the diagonal neighbour is higher.
+ * Missing edges fall back to the side items or are left out.
+ * @param {Object} border - Border definition { edge: itemId }
+ * @param {number} neighbours - NEIGHBOUR_* bits of the surrounding tiles with the higher ground
+ * @returns {number[]} Border item IDs
+ */
+function getBorderItems(border, neighbours) {
+	const north = (neighbours & NEIGHBOUR_N) !== 0;
+	const east = (neighbours & NEIGHBOUR_E) !== 0;
+	const south = (neighbours & NEIGHBOUR_S) !== 0;
+	const west = (neighbours & NEIGHBOUR_W) !== 0;
+	
+	const items = [];
+	const covered = new Set();
+	const diagonals = [
+		{ edge: 'dnw', sides: ['n', 'w'], present: north && west },
+		{ edge: 'dne', sides: ['n', 'e'], present: north && east },
+		{ edge: 'dsw', sides: ['s', 'w'], present: south && west },
+		{ edge: 'dse', sides: ['s', 'e'], present: south && east }
+	];
+	for (const diagonal of diagonals) {
+		if (diagonal.present && border[diagonal.edge]) {
+			items.push(border[diagonal.edge]);
+			diagonal.sides.forEach(side => covered.add(side));
+		}
+	}
+	
+	const sides = [
+		{ edge: 'n', present: north },
+		{ edge: 'e', present: east },
+		{ edge: 's', present: south },
+		{ edge: 'w', present: west }
+	];
+	for (const side of sides) {
+		if (side.present && !covered.has(side.edge) && border[side.edge]) {
+			items.push(border[side.edge]);
+		}
+	}
+	
+	const corners = [
+		{ edge: 'cnw', present: (neighbours & NEIGHBOUR_NW) !== 0 && !north && !west },
+		{ edge: 'cne', present: (neighbours & NEIGHBOUR_NE) !== 0 && !north && !east },
+		{ edge: 'csw', present: (neighbours & NEIGHBOUR_SW) !== 0 && !south && !west },
+		{ edge: 'cse', present: (neighbours & NEIGHBOUR_SE) !== 0 && !south && !east }
+	];
+	for (const corner of corners) {
+		if (corner.present && border[corner.edge]) {
+			items.push(border[corner.edge]);
+		}
+	}
+	
+	return items;
+}
+
+/**
+ * Parse an RME walls.xml file
+ * @param {string} text - XML text
+ * @returns {Array} Wall brushes [{ name, types: { [wallType]: [{ id, weight }] } }]
+ * @throws {Error} If the text is not valid XML
+ */
+function parseWallsXml(text) {
+	const doc = new DOMParser().parseFromString(text, 'application/xml');
+	const parserError = doc.getElementsByTagName('parsererror')[0];
+	if (parserError) {
+		throw new Error(`Invalid XML: ${parserError.textContent.trim().split('\n')[0]}`);
+	}
+	
+	const brushes = [];
+	for (const element of doc.getElementsByTagName('brush')) {
+		if (element.getAttribute('type') !== 'wall') continue;
+		
+		const types = {};
+		for (const wall of element.getElementsByTagName('wall')) {
+			const type = wall.getAttribute('type');
+			if (!WALL_TYPES.includes(type)) continue;
+			
+			// Doors in the wall (<door>) are left out
+			const items = [...wall.getElementsByTagName('item')]
+				.map(item => ({
+					id: parseInt(item.getAttribute('id')),
+					weight: Math.max(1, parseInt(item.getAttribute('chance')) || 1)
+				}))
+				.filter(item => item.id > 0 && item.id <= 65535);
+			if (items.length > 0) {
+				types[type] = (types[type] || []).concat(items);
+			}
+		}
+		if (Object.keys(types).length === 0) continue;
+		
+		brushes.push({
+			name: element.getAttribute('name') || `Wall ${Object.values(types)[0][0].id}`,
+			types
+		});
+	}
+	
+	return brushes;
+}
+
+/**
+ * Wall items for a tile. The wall type comes from the sides connected to the same wall;
+ * a type the wall doesn't define falls back to the basic Tibia pieces: the corner
+ * (or horizontal plus vertical) when the wall continues east and south, the horizontal
+ * piece when it continues east or only comes from the west, the vertical piece when it
+ * continues south or only comes from the north, else the pole.
+ * @param {Object} types - Wall items by type { [wallType]: [{ id, weight }] }
+ * @param {number} neighbours - NEIGHBOUR_N/W/E/S bits of the connected sides
+ * @param {number} random - Number in [0, 1) to pick between weighted items of a type
+ * @returns {number[]} Wall item IDs (empty if the wall defines none of the fallbacks)
+ */
+function getWallItems(types, neighbours, random) {
+	const pick = (type) => {
+		const items = types[type];
+		if (!items || items.length === 0) return null;
+		return items[pickWeightedIndex(items.map(item => item.weight), random)].id;
+	};
+	
+	const exact = pick(WALL_ALIGNMENTS[neighbours & (NEIGHBOUR_N | NEIGHBOUR_W | NEIGHBOUR_E | NEIGHBOUR_S)]);
+	if (exact) return [exact];
+	
+	const north = (neighbours & NEIGHBOUR_N) !== 0;
+	const west = (neighbours & NEIGHBOUR_W) !== 0;
+	const east = (neighbours & NEIGHBOUR_E) !== 0;
+	const south = (neighbours & NEIGHBOUR_S) !== 0;
+	const horizontal = pick('horizontal');
+	const vertical = pick('vertical');
+	if (east && south) {
+		const corner = pick('corner');
+		if (corner) return [corner];
+		return [horizontal, vertical].filter(Boolean);
+	}
+	if ((east || (west && !north && !south)) && horizontal) return [horizontal];
+	if ((south || (north && !west)) && vertical) return [vertical];
+	
+	const pole = pick('pole');
+	return pole ? [pole] : [];
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = { NEIGHBOUR_OFFSETS, WALL_TYPES, parseMaterialsXml, getBorderItems, parseWallsXml, getWallItems };
+}